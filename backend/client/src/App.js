@@ -1,29 +1,377 @@
 import React, { useEffect, useState, useRef, useCallback } from "react";
-import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from "recharts";
+import { createPortal } from "react-dom";
+import {
+  PieChart,
+  Pie,
+  Cell,
+  ResponsiveContainer,
+  Legend,
+  Tooltip,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  LineChart,
+  Line,
+} from "recharts";
 
 // Use environment variable or fallback to localhost
 const API_URL = process.env.REACT_APP_API_URL || "https://crowdvoice-fg8d.onrender.com/api";
 
+// Session token issued by /api/auth/login and /api/auth/register
+const TOKEN_KEY = "pollToken";
+
+function getStoredToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function setStoredToken(token) {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Random id for this browser, used by the server to keep anonymous voters
+// to one ballot per poll
+const DEVICE_TOKEN_KEY = "pollDeviceToken";
+
+function getDeviceToken() {
+  try {
+    let token = localStorage.getItem(DEVICE_TOKEN_KEY);
+    if (!token) {
+      token = window.crypto.randomUUID().replace(/-/g, "");
+      localStorage.setItem(DEVICE_TOKEN_KEY, token);
+    }
+    return token;
+  } catch {
+    return null;
+  }
+}
+
+// Access tokens for private polls, keyed by poll id. They come from invite
+// links (?access=) and from entering an invite code.
+const POLL_ACCESS_KEY = "pollAccessTokens";
+
+function getPollAccessTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(POLL_ACCESS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function setPollAccessToken(pollId, accessToken) {
+  try {
+    const tokens = getPollAccessTokens();
+    tokens[pollId] = accessToken;
+    localStorage.setItem(POLL_ACCESS_KEY, JSON.stringify(tokens));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Workspace picked in the nav. Every API request is scoped to it (X-Workspace);
+// none means the default workspace.
+const WORKSPACE_KEY = "pollWorkspace";
+
+function getStoredWorkspace() {
+  try {
+    return localStorage.getItem(WORKSPACE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function setStoredWorkspace(workspaceId) {
+  try {
+    if (workspaceId) {
+      localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    } else {
+      localStorage.removeItem(WORKSPACE_KEY);
+    }
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Workspaces of polls opened from a link (?workspace=) or an invite code,
+// keyed by poll id, so they still load while another workspace is picked
+const POLL_WORKSPACES_KEY = "pollWorkspaces";
+
+function getPollWorkspaces() {
+  try {
+    return JSON.parse(localStorage.getItem(POLL_WORKSPACES_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function setPollWorkspace(pollId, workspaceId) {
+  try {
+    const workspaces = getPollWorkspaces();
+    workspaces[pollId] = workspaceId;
+    localStorage.setItem(POLL_WORKSPACES_KEY, JSON.stringify(workspaces));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Id of the poll an API path is about (/polls/:id/...), if any
+function pollIdFromPath(path) {
+  const match = path.match(/^\/polls\/([0-9a-f]{24})(?:[/?]|$)/i);
+  return match ? match[1] : null;
+}
+
+// Stored access token for the poll an API path is about, if any
+function pollAccessTokenFor(path) {
+  const pollId = pollIdFromPath(path);
+  return pollId ? getPollAccessTokens()[pollId] || null : null;
+}
+
+// Workspace an API request runs in: the poll's own one for polls opened from
+// a link, otherwise the picked one
+function workspaceFor(path) {
+  const pollId = pollIdFromPath(path);
+  return (pollId && getPollWorkspaces()[pollId]) || getStoredWorkspace();
+}
+
+// fetch() against the API that sends the session token when there is one
+function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const token = getStoredToken();
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const deviceToken = getDeviceToken();
+  if (deviceToken) {
+    headers["X-Device-Token"] = deviceToken;
+  }
+  const accessToken = pollAccessTokenFor(path);
+  if (accessToken) {
+    headers["X-Poll-Access"] = accessToken;
+  }
+  const workspace = workspaceFor(path);
+  if (workspace) {
+    headers["X-Workspace"] = workspace;
+  }
+  return fetch(`${API_URL}${path}`, { ...options, headers });
+}
+
+// Error message for a failed API response. Requests the server throttled
+// (429) get a friendly "slow down" message using its Retry-After hint.
+function apiErrorMessage(res, data, fallback) {
+  if (res.status === 429) {
+    const seconds = Number(res.headers.get("Retry-After")) || data?.retryAfter;
+    const wait = seconds ? formatDuration(seconds * 1000) : "a moment";
+    return `Slow down! You're doing that a bit too often. Please wait ${wait} and try again.`;
+  }
+  return data?.message || fallback;
+}
+
+// Per-field messages of a validation error response ({ code, message,
+// details: [{ field, message }] }), keyed by field; {} for other errors
+function apiFieldErrors(data) {
+  if (!data || data.code !== "validation_failed" || !Array.isArray(data.details)) return {};
+  return Object.fromEntries(data.details.map((detail) => [detail.field, detail.message]));
+}
+
+// Short-lived token that opens a stream as the logged-in user, so the session
+// token itself never goes in a URL. Resolves to null when logged out or when
+// it can't be had (the stream then opens anonymously).
+async function fetchStreamToken() {
+  if (!getStoredToken()) return null;
+  try {
+    const res = await apiFetch("/auth/stream-token", { method: "POST" });
+    return res.ok ? (await res.json()).token : null;
+  } catch {
+    return null;
+  }
+}
+
+// EventSource URL for an API stream. EventSource cannot send headers, so the
+// stream token (see fetchStreamToken), the device and poll access tokens and
+// the workspace go in the query string instead.
+function apiStreamUrl(path, streamToken) {
+  const params = new URLSearchParams();
+  if (streamToken) params.set("stream_token", streamToken);
+  const deviceToken = getDeviceToken();
+  if (deviceToken) params.set("device_token", deviceToken);
+  const accessToken = pollAccessTokenFor(path);
+  if (accessToken) params.set("access", accessToken);
+  const workspace = workspaceFor(path);
+  if (workspace) params.set("workspace", workspace);
+  const query = params.toString();
+  return `${API_URL}${path}${query ? `${path.includes("?") ? "&" : "?"}${query}` : ""}`;
+}
+
+// Saves an API response as a file. Plain links can't send the session token,
+// so the response is fetched and handed to the browser as a blob.
+async function downloadApiFile(path, fallbackFilename) {
+  const res = await apiFetch(path);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.message || "Download failed");
+  }
+  const match = (res.headers.get("Content-Disposition") || "").match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match ? match[1] : fallbackFilename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ====== Routing ======
+// Each screen has its own URL, so refreshing keeps your place and polls can be
+// shared. vercel.json and render.yaml rewrite every path to index.html; the
+// path is matched here.
+const ROUTE_PATHS = {
+  list: "/",
+  dashboard: "/dashboard",
+  auth: "/login",
+  admin: "/admin",
+  workspace: "/workspace",
+};
+
+// Views with an id in the path, e.g. /polls/:id. /embed/:id is rendered by
+// EmbedApp instead of App (see index.js).
+const ROUTE_PREFIXES = {
+  polls: "detail",
+  surveys: "survey",
+  embed: "embed",
+};
+
+// { view, id } for a URL path; unknown paths show the poll list
+function routeFromPath(pathname) {
+  const path = pathname.replace(/\/+$/, "") || "/";
+  const match = path.match(/^\/(\w+)\/([^/]+)$/);
+  if (match && ROUTE_PREFIXES[match[1]]) {
+    return { view: ROUTE_PREFIXES[match[1]], id: decodeURIComponent(match[2]) };
+  }
+  const view = Object.keys(ROUTE_PATHS).find((name) => ROUTE_PATHS[name] === path);
+  return { view: view || "list", id: null };
+}
+
+function pathForRoute(view, id) {
+  const prefix = Object.keys(ROUTE_PREFIXES).find((name) => ROUTE_PREFIXES[name] === view);
+  if (prefix) return `/${prefix}/${encodeURIComponent(id)}`;
+  return ROUTE_PATHS[view] || "/";
+}
+
+// Token that opens a private poll: the invite token its managers see, or the
+// one this browser was given; null for other polls
+function pollAccessToken(poll) {
+  if (poll.visibility !== "private") return null;
+  return poll.invite?.accessToken || getPollAccessTokens()[poll._id] || null;
+}
+
+// Shareable link to a poll ("detail") or its embed page ("embed"). Links name
+// the poll's workspace, and links to private polls carry an access token,
+// like the server's invite links.
+function pollUrl(poll, view = "detail") {
+  const params = new URLSearchParams({ workspace: poll.workspace });
+  const accessToken = pollAccessToken(poll);
+  if (accessToken) params.set("access", accessToken);
+  return `${window.location.origin}${pathForRoute(view, poll._id)}?${params}`;
+}
+
+// Route for the current URL. The workspace and access token of a poll link
+// (/polls/:id?workspace=...&access=...) are kept for later requests and
+// dropped from the address bar.
+function claimRouteFromLocation() {
+  const route = routeFromPath(window.location.pathname);
+  const params = new URLSearchParams(window.location.search);
+  const workspace = params.get("workspace");
+  const accessToken = params.get("access");
+  if ((workspace || accessToken) && (route.view === "detail" || route.view === "embed")) {
+    if (workspace) setPollWorkspace(route.id, workspace);
+    if (accessToken) setPollAccessToken(route.id, accessToken);
+    params.delete("workspace");
+    params.delete("access");
+    const query = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  }
+  return route;
+}
+
+// The route for the current URL, and navigate(view, id) to move to another
+// one. Navigating pushes a history entry (or replaces the current one with
+// { replace: true }); back/forward are picked up from popstate.
+function useRoute() {
+  const [route, setRoute] = useState(claimRouteFromLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(routeFromPath(window.location.pathname));
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const navigate = useCallback((view, id = null, { replace = false } = {}) => {
+    const path = pathForRoute(view, id);
+    if (path !== window.location.pathname) {
+      if (replace) {
+        window.history.replaceState(null, "", path);
+      } else {
+        window.history.pushState(null, "", path);
+        window.scrollTo(0, 0);
+      }
+    }
+    setRoute({ view, id });
+  }, []);
+
+  return [route, navigate];
+}
+
+// Copies text to the clipboard, falling back to a prompt the user can copy
+// from where the Clipboard API isn't available (e.g. plain http)
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    window.prompt("Copy this link:", text);
+    return false;
+  }
+}
+
 function App() {
-  const [view, setView] = useState("list"); // "list" | "detail" | "auth" | "admin" | "dashboard"
-  const [polls, setPolls] = useState([]);
+  // "list" | "detail" | "survey" | "auth" | "admin" | "workspace" | "dashboard",
+  // from the URL
+  const [route, navigate] = useRoute();
+  const view = route.view;
+  // Sort and filters chosen in PollList; kept here so they survive navigation
+  const [listFilters, setListFilters] = useState(DEFAULT_LIST_FILTERS);
   const [selectedPoll, setSelectedPoll] = useState(null);
+  // Why the poll in the URL couldn't be shown (e.g. it was deleted)
+  const [pollError, setPollError] = useState("");
   const [loading, setLoading] = useState(false);
-  const [currentUser, setCurrentUser] = useState(() => {
-    try {
-      const stored = localStorage.getItem("pollUser");
-      return stored ? JSON.parse(stored) : null;
-    } catch {
-      return null;
-    }
-  });
-  const [isAdmin, setIsAdmin] = useState(() => {
-    try {
-      return localStorage.getItem("pollAdmin") === "true";
-    } catch {
-      return false;
-    }
-  });
+  const [currentUser, setCurrentUser] = useState(null);
+  // Workspaces the logged-in user can switch between (GET /api/workspaces)
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(getStoredWorkspace);
+  const workspace =
+    workspaces.find((w) => w._id === workspaceId) || workspaces.find((w) => w.isDefault) || null;
+
+  // Roles come from the server (GET /api/auth/me) and are per workspace; the
+  // backend enforces them.
+  const isAdmin = currentUser?.role === "admin";
+  const canCreate = isAdmin || currentUser?.role === "creator";
+  const canManage = (poll) =>
+    isAdmin ||
+    (currentUser?.role === "creator" && !!poll && poll.createdBy === currentUser._id);
 
   // Use refs to track current values without causing re-renders
   const selectedPollRef = useRef(selectedPoll);
@@ -61,113 +409,177 @@ function App() {
     };
   }, []);
 
-  const fetchPolls = useCallback(async (showLoading = true) => {
-    try {
-      if (showLoading) setLoading(true);
-      const res = await fetch(`${API_URL}/polls`);
-      const data = await res.json();
-      if (Array.isArray(data)) {
-        setPolls(data);
-      } else {
-        console.error("API returned non-array:", data);
-        setPolls([]);
-      }
-    } catch (err) {
-      console.error("Error fetching polls", err);
-    } finally {
-      if (showLoading) setLoading(false);
-    }
+  // Load the logged-in user, with their role in the current workspace, from the
+  // stored session token
+  const loadCurrentUser = useCallback(() => {
+    if (!getStoredToken()) return;
+    apiFetch("/auth/me")
+      .then(async (res) => {
+        if (res.ok) {
+          const data = await res.json();
+          setCurrentUser(data.user);
+        } else if (res.status === 401) {
+          setStoredToken(null);
+          setStoredWorkspace(null);
+          setWorkspaceId(null);
+        }
+      })
+      .catch((err) => console.error("Error restoring session", err));
   }, []);
 
+  useEffect(() => {
+    loadCurrentUser();
+  }, [loadCurrentUser]);
+
+  // Work in another workspace: the user's role is reloaded for it and the
+  // screens start over from the poll list
+  const switchWorkspace = useCallback(
+    (id) => {
+      setStoredWorkspace(id);
+      setWorkspaceId(id);
+      setSelectedPoll(null);
+      navigate("list");
+      loadCurrentUser();
+    },
+    [navigate, loadCurrentUser]
+  );
+
+  const userId = currentUser?._id;
+  useEffect(() => {
+    if (!userId) {
+      setWorkspaces([]);
+      return;
+    }
+    apiFetch("/workspaces")
+      .then(async (res) => {
+        if (!res.ok) return;
+        const data = await res.json();
+        setWorkspaces(data);
+        // Fall back to the default workspace after being removed from this one
+        const stored = getStoredWorkspace();
+        if (stored && !data.some((w) => w._id === stored)) {
+          switchWorkspace(null);
+        }
+      })
+      .catch((err) => console.error("Error fetching workspaces", err));
+  }, [userId, switchWorkspace]);
+
   const fetchPollById = useCallback(async (id, showLoading = true) => {
     try {
       if (showLoading) setLoading(true);
-      const res = await fetch(`${API_URL}/polls/${id}`);
+      const res = await apiFetch(`/polls/${id}`);
       const data = await res.json();
+      if (!res.ok) {
+        // A failed background refresh keeps showing the poll we have
+        if (showLoading) {
+          setSelectedPoll(null);
+          // Malformed ids in a typed or truncated link are rejected with 400
+          const notFound = res.status === 404 || res.status === 400;
+          setPollError(notFound ? "This poll doesn't exist or has been deleted." : data.message || "Could not load the poll.");
+        }
+        return;
+      }
+      setPollError("");
       setSelectedPoll(data);
     } catch (err) {
       console.error("Error fetching poll", err);
+      if (showLoading) setPollError("Could not load the poll. Please try again.");
     } finally {
       if (showLoading) setLoading(false);
     }
   }, []);
 
-  // For "real-time" updates (basic approach: refetch every 3 seconds)
+  // Load the poll named in the URL, on first visit and on back/forward.
+  // Polls opened from a list are already selected and aren't refetched.
+  const routePollId = view === "detail" ? route.id : null;
+  useEffect(() => {
+    if (!routePollId || selectedPollRef.current?._id === routePollId) return;
+    setSelectedPoll(null);
+    fetchPollById(routePollId);
+  }, [routePollId, fetchPollById]);
+
+  // Live updates for the open poll are pushed by the server over Server-Sent
+  // Events. PollList and Dashboard subscribe to the list stream themselves
+  // (see usePollPages).
+  const streamPath = view === "detail" && selectedPoll ? `/polls/${selectedPoll._id}/stream` : null;
+
+  // The stream starts with a snapshot, so reconnects catch up by themselves.
+  const streamStatus = useEventStream(streamPath, {
+    poll: (poll) => {
+      if (selectedPollRef.current && selectedPollRef.current._id === poll._id) {
+        setSelectedPoll(poll);
+      }
+    },
+    "poll-deleted": ({ _id }) => {
+      if (selectedPollRef.current && selectedPollRef.current._id === _id) {
+        setSelectedPoll(null);
+        navigate("list", null, { replace: true });
+      }
+    },
+  });
+
+  // Fallback when streaming isn't available: refetch every 3 seconds
   useEffect(() => {
-    fetchPolls();
+    if (streamStatus !== "unavailable") return;
 
     const intervalId = setInterval(() => {
       // Use refs to get current values without triggering re-renders
-      const currentView = viewRef.current;
       const currentSelectedPoll = selectedPollRef.current;
-
-      if (currentView === "detail" && currentSelectedPoll) {
-        // Refresh just the selected poll
+      if (viewRef.current === "detail" && currentSelectedPoll) {
         fetchPollById(currentSelectedPoll._id, false);
-      } else if (currentView === "list" || currentView === "dashboard") {
-        fetchPolls(false);
       }
     }, 3000);
 
     return () => clearInterval(intervalId);
-  }, [fetchPolls, fetchPollById]); // Stable references from useCallback
+  }, [streamStatus, fetchPollById]);
 
   const handlePollClick = (poll) => {
     setSelectedPoll(poll);
-    setView("detail");
+    navigate("detail", poll._id);
+  };
+
+  const handleSurveyClick = (survey) => {
+    navigate("survey", survey._id);
   };
 
   const handleBackToList = () => {
-    setView("list");
+    navigate("list");
     setSelectedPoll(null);
   };
 
   const handleCreatedPoll = (poll) => {
     // After creating, go to detail view
     setSelectedPoll(poll);
-    setView("detail");
+    navigate("detail", poll._id);
   };
 
-  const handleUserChange = (user) => {
+  const handleLogin = (user, token) => {
+    setStoredToken(token);
     setCurrentUser(user);
-    try {
-      if (user) {
-        localStorage.setItem("pollUser", JSON.stringify(user));
-      } else {
-        localStorage.removeItem("pollUser");
-      }
-    } catch {
-      // ignore storage errors
-    }
-  };
-
-  const handleAdminLogin = () => {
-    setIsAdmin(true);
-    try {
-      localStorage.setItem("pollAdmin", "true");
-    } catch {
-      // ignore
-    }
   };
 
-  const handleAdminLogout = () => {
-    setIsAdmin(false);
+  const handleLogout = async () => {
     try {
-      localStorage.removeItem("pollAdmin");
-    } catch {
-      // ignore
+      await apiFetch("/auth/logout", { method: "POST" });
+    } catch (err) {
+      console.error("Error logging out", err);
     }
+    setStoredToken(null);
+    setStoredWorkspace(null);
+    setWorkspaceId(null);
+    setCurrentUser(null);
   };
 
-  const deletePoll = async (pollId) => {
-    // Extra safety: only allow delete when admin flag is true
-    if (!isAdmin) {
-      alert("Only admins can delete polls.");
+  const deletePoll = async (poll) => {
+    // Extra safety: the server rejects this anyway for other users
+    if (!canManage(poll)) {
+      alert("Only admins and the poll's creator can delete polls.");
       return;
     }
+    const pollId = poll._id;
     try {
       setLoading(true);
-      const res = await fetch(`${API_URL}/polls/${pollId}`, {
+      const res = await apiFetch(`/polls/${pollId}`, {
         method: "DELETE",
       });
 
@@ -176,10 +588,10 @@ function App() {
         throw new Error(data.message || "Failed to delete poll");
       }
 
-      // After successful deletion, go back to list and refresh
-      setView("list");
+      // After successful deletion, go back to the list (which reloads itself).
+      // The deleted poll's URL is replaced so Back doesn't return to it.
+      navigate("list", null, { replace: true });
       setSelectedPoll(null);
-      await fetchPolls();
     } catch (err) {
       console.error("Error deleting poll", err);
       alert(err.message || "Failed to delete poll");
@@ -199,50 +611,98 @@ function App() {
 
       <nav style={styles.nav}>
         <button
-          onClick={() => setView("list")}
+          onClick={() => navigate("list")}
           style={view === "list" ? styles.activeButton : styles.button}
         >
           Surveys
         </button>
         <button
-          onClick={() => setView("dashboard")}
+          onClick={() => navigate("dashboard")}
           style={view === "dashboard" ? styles.activeButton : styles.button}
         >
           Dashboard
         </button>
         <button
-          onClick={() => setView("auth")}
+          onClick={() => navigate("auth")}
           style={view === "auth" ? styles.activeButton : styles.button}
         >
           {currentUser ? `User: ${currentUser.name}` : "Register / Login"}
         </button>
         <button
-          onClick={() => setView("admin")}
+          onClick={() => navigate("admin")}
           style={view === "admin" ? styles.activeButton : styles.button}
         >
-          {isAdmin ? "Admin (logged in)" : "Admin"}
+          {canCreate && !isAdmin ? "Create Polls" : "Admin"}
         </button>
+        {isAdmin && (
+          <button
+            onClick={() => navigate("workspace")}
+            style={view === "workspace" ? styles.activeButton : styles.button}
+          >
+            Workspace
+          </button>
+        )}
+        {currentUser && workspace && (
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            workspace={workspace}
+            onSwitch={switchWorkspace}
+            onCreated={(created) => {
+              setWorkspaces((prev) => [...prev, created]);
+              switchWorkspace(created._id);
+            }}
+          />
+        )}
       </nav>
 
-      <main style={styles.main}>
+      {/* Remounted on switching workspaces so every screen reloads its data */}
+      <main key={workspaceId || "default"} style={styles.main}>
         {loading && <LoadingSpinner />}
 
         {!loading && view === "list" && (
-          <PollList polls={polls} onPollClick={handlePollClick} />
+          <PollList
+            filters={listFilters}
+            onFiltersChange={setListFilters}
+            onPollClick={handlePollClick}
+            onSurveyClick={handleSurveyClick}
+          />
+        )}
+
+        {!loading && view === "survey" && route.id && (
+          <SurveyRunner
+            key={route.id}
+            surveyId={route.id}
+            currentUser={currentUser}
+            canManage={canManage}
+            onBack={() => navigate("list")}
+            onRequireAuth={() => navigate("auth")}
+          />
+        )}
+
+        {!loading && view === "detail" && !selectedPoll && pollError && (
+          <div style={styles.fadeIn}>
+            <div style={styles.errorMessage}>
+              <span>⚠️ {pollError}</span>
+            </div>
+            <button onClick={handleBackToList} style={styles.button}>
+              ← Back to Polls
+            </button>
+          </div>
         )}
 
-        {!loading && view === "detail" && selectedPoll && (
+        {!loading && view === "detail" && selectedPoll?._id === route.id && (
           <PollDetail
             poll={selectedPoll}
             onBack={handleBackToList}
             onRefresh={() => fetchPollById(selectedPoll._id)}
-            onDelete={isAdmin ? () => deletePoll(selectedPoll._id) : null}
+            onDelete={canManage(selectedPoll) ? () => deletePoll(selectedPoll) : null}
             currentUser={currentUser}
-            onRequireAuth={() => setView("auth")}
-            isAdmin={isAdmin}
+            onRequireAuth={() => navigate("auth")}
+            canManage={canManage(selectedPoll)}
+            live={streamStatus === "open"}
             onPublishToggle={async (published) => {
               try {
-                const res = await fetch(`${API_URL}/polls/${selectedPoll._id}/publish`, {
+                const res = await apiFetch(`/polls/${selectedPoll._id}/publish`, {
                   method: "PATCH",
                   headers: { "Content-Type": "application/json" },
                   body: JSON.stringify({ published }),
@@ -250,53 +710,82 @@ function App() {
                 if (res.ok) {
                   const updatedPoll = await res.json();
                   setSelectedPoll(updatedPoll);
-                  await fetchPolls(false);
                 }
               } catch (err) {
                 console.error("Error toggling publish status", err);
               }
             }}
+            onCloseToggle={async (closed) => {
+              try {
+                const res = await apiFetch(`/polls/${selectedPoll._id}/close`, {
+                  method: "PATCH",
+                  headers: { "Content-Type": "application/json" },
+                  body: JSON.stringify({ closed }),
+                });
+                if (res.ok) {
+                  const updatedPoll = await res.json();
+                  setSelectedPoll(updatedPoll);
+                }
+              } catch (err) {
+                console.error("Error toggling close status", err);
+              }
+            }}
           />
         )}
 
         {!loading && view === "auth" && (
           <AuthForm
             currentUser={currentUser}
-            onUserChange={handleUserChange}
-            onDone={() => setView("list")}
+            onLogin={handleLogin}
+            onLogout={handleLogout}
+            onUserChange={setCurrentUser}
+            onDone={() => navigate("list")}
           />
         )}
 
         {!loading && view === "admin" && (
           <AdminPanel
+            currentUser={currentUser}
             isAdmin={isAdmin}
-            onAdminLogin={handleAdminLogin}
-            onAdminLogout={handleAdminLogout}
+            canCreate={canCreate}
+            onRequireAuth={() => navigate("auth")}
             onCreated={handleCreatedPoll}
+            onSurveyCreated={handleSurveyClick}
+          />
+        )}
+
+        {!loading && view === "workspace" && (
+          <WorkspaceAdmin
+            currentUser={currentUser}
+            workspace={workspace}
+            isAdmin={isAdmin}
+            onRequireAuth={() => navigate("auth")}
+            onRenamed={(renamed) =>
+              setWorkspaces((prev) => prev.map((w) => (w._id === renamed._id ? renamed : w)))
+            }
           />
         )}
 
         {!loading && view === "dashboard" && (
           <Dashboard
-            polls={polls}
             onPollClick={handlePollClick}
-            isAdmin={isAdmin}
+            canManage={canManage}
+            canExport={canCreate}
+            // Resolves to the updated poll, or null if the request failed
             onPublishToggle={async (pollId, published) => {
               try {
-                const res = await fetch(`${API_URL}/polls/${pollId}/publish`, {
+                const res = await apiFetch(`/polls/${pollId}/publish`, {
                   method: "PATCH",
                   headers: { "Content-Type": "application/json" },
                   body: JSON.stringify({ published }),
                 });
                 if (res.ok) {
-                  await fetchPolls(false);
-                  if (selectedPoll && selectedPoll._id === pollId) {
-                    await fetchPollById(pollId, false);
-                  }
+                  return await res.json();
                 }
               } catch (err) {
                 console.error("Error toggling publish status", err);
               }
+              return null;
             }}
           />
         )}
@@ -305,186 +794,4010 @@ function App() {
   );
 }
 
-// ====== Loading Spinner Component ======
-function LoadingSpinner() {
-  return (
-    <div style={styles.loadingContainer}>
-      <div style={styles.spinner}></div>
-      <p style={styles.loadingText}>Loading...</p>
-    </div>
-  );
-}
+// ====== Live Update Stream Hook ======
+// Subscribes to a Server-Sent Events endpoint while `path` is set. Dropped
+// streams are reopened with backoff, each time with a fresh stream token
+// (they expire after a minute). `listeners` maps event names to handlers, plus
+// an optional "open" handler called on every (re)connect.
+// Returns "connecting" | "open" | "unavailable". "unavailable" means EventSource
+// isn't supported or keeps failing, and the caller should poll instead.
+const STREAM_FAILURES_BEFORE_FALLBACK = 3;
 
-// ====== Poll List Component ======
-function PollList({ polls, onPollClick }) {
-  if (polls.length === 0) {
-    return (
-      <div style={styles.emptyState}>
-        <div style={styles.emptyIcon}>📊</div>
-        <h2 style={styles.emptyTitle}>No polls yet</h2>
-        <p style={styles.emptyText}>Create your first poll to get started!</p>
-      </div>
-    );
-  }
+function useEventStream(path, listeners) {
+  const [status, setStatus] = useState("connecting");
+  const listenersRef = useRef(listeners);
 
-  return (
-    <div style={styles.fadeIn}>
-      <h2 style={styles.sectionTitle}>All Polls</h2>
-      <ul style={styles.list}>
-        {polls.map((poll, index) => (
-          <li
-            key={poll._id}
-            style={{
-              ...styles.listItem,
-              animationDelay: `${index * 0.1}s`,
-            }}
-            onClick={() => onPollClick(poll)}
-            className="poll-item"
-          >
-            <div style={styles.listItemContent}>
-              <strong style={styles.pollQuestion}>{poll.question}</strong>
-              <div style={styles.pollMeta}>
-                <span style={styles.badge}>
-                  {poll.allowAnonymous ? "🔓 Anonymous" : "🔒 Non-anonymous"}
-                </span>
-                {poll.published && (
-                  <span style={styles.publishedBadge}>✨ Published</span>
-                )}
-              </div>
-            </div>
-            <div style={styles.listItemRight}>
-              <span style={styles.dateText}>
-                {new Date(poll.createdAt).toLocaleDateString()}
-              </span>
-              <span style={styles.arrow}>→</span>
-            </div>
-          </li>
-        ))}
-      </ul>
-    </div>
-  );
-}
+  useEffect(() => {
+    listenersRef.current = listeners;
+  });
 
-// ====== Create Poll Form Component ======
-function CreatePollForm({ onCreated }) {
-  const [question, setQuestion] = useState("");
-  const [options, setOptions] = useState(["", ""]);
-  const [allowAnonymous, setAllowAnonymous] = useState(true);
-  const [submitting, setSubmitting] = useState(false);
-  const [error, setError] = useState("");
+  useEffect(() => {
+    if (!path) return undefined;
+    if (typeof window.EventSource === "undefined") {
+      setStatus("unavailable");
+      return undefined;
+    }
 
-  const handleOptionChange = (index, value) => {
-    const newOptions = [...options];
-    newOptions[index] = value;
-    setOptions(newOptions);
-  };
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let stopped = false;
 
-  const addOption = () => {
-    setOptions([...options, ""]);
-  };
+    const connect = async () => {
+      const streamToken = await fetchStreamToken();
+      if (stopped) return;
+      source = new EventSource(apiStreamUrl(path, streamToken));
 
-  const removeOption = (index) => {
-    if (options.length <= 2) return; // keep at least 2 options
-    const newOptions = options.filter((_, i) => i !== index);
-    setOptions(newOptions);
-  };
+      source.onopen = () => {
+        failures = 0;
+        setStatus("open");
+        if (listenersRef.current.open) listenersRef.current.open();
+      };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError("");
+      source.onerror = () => {
+        failures += 1;
+        setStatus(failures >= STREAM_FAILURES_BEFORE_FALLBACK ? "unavailable" : "connecting");
+        // The browser would reconnect with the same, soon expired, token
+        source.close();
+        if (!stopped) {
+          retryTimer = setTimeout(connect, Math.min(30000, 1000 * 2 ** failures));
+        }
+      };
 
-    const trimmedOptions = options.map((opt) => opt.trim()).filter((opt) => opt);
-    if (!question.trim() || trimmedOptions.length < 2) {
-      setError("Please enter a question and at least two options.");
-      return;
-    }
+      Object.keys(listenersRef.current)
+        .filter((event) => event !== "open")
+        .forEach((event) => {
+          source.addEventListener(event, (e) => {
+            const handler = listenersRef.current[event];
+            if (handler) handler(JSON.parse(e.data));
+          });
+        });
+    };
 
-    setSubmitting(true);
-    try {
-      const res = await fetch(`${API_URL}/polls`, {
+    setStatus("connecting");
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [path]);
+
+  return status;
+}
+
+// ====== Paginated Poll List Hooks ======
+// usePollPages loads GET /api/polls one page at a time for a sort/filter
+// query and keeps the loaded polls current through the list stream, falling
+// back to refetching them every 3 seconds when streaming isn't available.
+const POLL_PAGE_SIZE = 20;
+const MAX_POLL_PAGE_SIZE = 100;
+
+// UI state of the PollList filter bar. Dates are <input type="date"> values.
+const DEFAULT_LIST_FILTERS = {
+  sort: "newest", // "newest" | "votes" | "active"
+  status: "", // "" | "open" | "closed" | "scheduled"
+  published: "", // "" | "true" | "false"
+  anonymous: "", // "" | "true" | "false"
+  createdFrom: "",
+  createdTo: "",
+};
+
+// Turns filter bar state into GET /api/polls query parameters. Date inputs
+// are whole local days, so "to" is exclusive of the following midnight.
+function toPollQuery(filters) {
+  const startOfDay = (value, addDays = 0) => {
+    const date = new Date(`${value}T00:00`);
+    date.setDate(date.getDate() + addDays);
+    return date.toISOString();
+  };
+  return {
+    sort: filters.sort,
+    status: filters.status,
+    published: filters.published,
+    anonymous: filters.anonymous,
+    createdAfter: filters.createdFrom ? startOfDay(filters.createdFrom) : "",
+    createdBefore: filters.createdTo ? startOfDay(filters.createdTo, 1) : "",
+  };
+}
+
+// Same rules as the server-side filters, used to decide whether a pushed
+// update belongs in the list being shown
+function pollMatchesQuery(poll, query, now = Date.now()) {
+  // Survey questions are shown through their survey
+  if (poll.survey) return false;
+  const created = new Date(poll.createdAt).getTime();
+  if (query.published && String(poll.published) !== query.published) return false;
+  if (query.anonymous && String(poll.allowAnonymous) !== query.anonymous) return false;
+  if (query.status && getPollStatus(poll, now) !== query.status) return false;
+  if (query.createdAfter && created < new Date(query.createdAfter).getTime()) return false;
+  if (query.createdBefore && created >= new Date(query.createdBefore).getTime()) return false;
+  return true;
+}
+
+function usePollPages(query) {
+  const [polls, setPolls] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  // Callers pass a fresh object every render; the query string is what matters
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) params.set(key, value);
+  });
+  const queryString = params.toString();
+
+  const queryRef = useRef(query);
+  const loadedCountRef = useRef(0);
+  // Bumped by every reload so that responses for an outdated query are dropped
+  const requestIdRef = useRef(0);
+  const streamOpenedRef = useRef(false);
+
+  useEffect(() => {
+    queryRef.current = query;
+    loadedCountRef.current = polls.length;
+  });
+
+  const fetchPage = useCallback(
+    async (extra) => {
+      const pageParams = new URLSearchParams(queryString);
+      Object.entries(extra).forEach(([key, value]) => pageParams.set(key, value));
+      const res = await apiFetch(`/polls?${pageParams}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to load polls");
+      }
+      return data;
+    },
+    [queryString]
+  );
+
+  // Replaces the list with a fresh first page of `limit` polls
+  const reload = useCallback(
+    async (showLoading = true, limit = POLL_PAGE_SIZE) => {
+      const requestId = ++requestIdRef.current;
+      try {
+        if (showLoading) setLoading(true);
+        const data = await fetchPage({ limit });
+        if (requestId !== requestIdRef.current) return;
+        setPolls(data.polls);
+        setNextCursor(data.nextCursor);
+        setError("");
+      } catch (err) {
+        console.error("Error fetching polls", err);
+        if (requestId === requestIdRef.current) setError(err.message || "Failed to load polls");
+      } finally {
+        if (showLoading && requestId === requestIdRef.current) setLoading(false);
+      }
+    },
+    [fetchPage]
+  );
+
+  // Refetches everything loaded so far, in one request
+  const refresh = useCallback(() => {
+    const limit = Math.min(MAX_POLL_PAGE_SIZE, Math.max(POLL_PAGE_SIZE, loadedCountRef.current));
+    return reload(false, limit);
+  }, [reload]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const requestId = requestIdRef.current;
+    try {
+      setLoadingMore(true);
+      const data = await fetchPage({ cursor: nextCursor, limit: POLL_PAGE_SIZE });
+      if (requestId !== requestIdRef.current) return;
+      setPolls((prev) => [
+        ...prev,
+        ...data.polls.filter((poll) => !prev.some((p) => p._id === poll._id)),
+      ]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching more polls", err);
+      setError(err.message || "Failed to load polls");
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, fetchPage]);
+
+  // Applies a created or changed poll: updated in place, dropped once it no
+  // longer matches the filters, and added on top of "newest" lists when new.
+  // Other sort orders pick up new polls on the next reload.
+  const applyPoll = useCallback((poll) => {
+    const currentQuery = queryRef.current;
+    setPolls((prev) => {
+      const exists = prev.some((p) => p._id === poll._id);
+      if (!pollMatchesQuery(poll, currentQuery)) {
+        return exists ? prev.filter((p) => p._id !== poll._id) : prev;
+      }
+      if (exists) {
+        return prev.map((p) => (p._id === poll._id ? poll : p));
+      }
+      return (currentQuery.sort || "newest") === "newest" ? [poll, ...prev] : prev;
+    });
+  }, []);
+
+  const streamStatus = useEventStream("/polls/stream", {
+    // Catch up on anything missed while the stream was disconnected
+    open: () => {
+      if (streamOpenedRef.current) refresh();
+      streamOpenedRef.current = true;
+    },
+    poll: applyPoll,
+    "poll-deleted": ({ _id }) => {
+      setPolls((prev) => prev.filter((p) => p._id !== _id));
+    },
+  });
+
+  useEffect(() => {
+    if (streamStatus !== "unavailable") return undefined;
+    const intervalId = setInterval(refresh, 3000);
+    return () => clearInterval(intervalId);
+  }, [streamStatus, refresh]);
+
+  return { polls, hasMore: !!nextCursor, loading, loadingMore, error, loadMore, applyPoll };
+}
+
+// Calls onReachEnd when the element given to the returned ref callback
+// scrolls into view (or near it) while `enabled`
+function useInfiniteScroll(onReachEnd, enabled) {
+  const [node, setNode] = useState(null);
+  const onReachEndRef = useRef(onReachEnd);
+
+  useEffect(() => {
+    onReachEndRef.current = onReachEnd;
+  });
+
+  useEffect(() => {
+    if (!node || !enabled || typeof window.IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onReachEndRef.current();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [node, enabled]);
+
+  return setNode;
+}
+
+// "Load more" button doubling as the infinite-scroll sentinel
+function LoadMore({ hasMore, loading, onLoadMore }) {
+  const sentinelRef = useInfiniteScroll(onLoadMore, hasMore && !loading);
+  if (!hasMore) return null;
+  return (
+    <div ref={sentinelRef} style={styles.loadMoreRow}>
+      <button onClick={onLoadMore} disabled={loading} style={styles.secondaryButton}>
+        {loading ? "Loading..." : "Load more"}
+      </button>
+    </div>
+  );
+}
+
+// ====== Poll Scheduling Helpers ======
+// Same rules as getPollStatus() on the server, evaluated locally so that
+// countdowns tick without refetching: "scheduled" | "open" | "closed".
+function getPollStatus(poll, now = Date.now()) {
+  if (poll.closed || (poll.closesAt && new Date(poll.closesAt).getTime() <= now)) return "closed";
+  if (poll.opensAt && new Date(poll.opensAt).getTime() > now) return "scheduled";
+  return "open";
+}
+
+// 93784000 -> "1d 2h", 7384000 -> "2h 3m", 184000 -> "3m 4s"
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds}s`;
+}
+
+// Current time, refreshed every `intervalMs` so countdowns re-render
+function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(intervalId);
+  }, [intervalMs]);
+  return now;
+}
+
+// "Opens in …" / "Closes in …" / "Closed" badge; renders nothing for open
+// polls without a closing time
+function PollStatusBadge({ poll }) {
+  const now = useNow();
+  const status = getPollStatus(poll, now);
+
+  if (status === "scheduled") {
+    return (
+      <span style={styles.scheduledBadge}>
+        ⏳ Opens in {formatDuration(new Date(poll.opensAt).getTime() - now)}
+      </span>
+    );
+  }
+  if (status === "closed") {
+    return <span style={styles.closedBadge}>🔴 Closed</span>;
+  }
+  if (poll.closesAt) {
+    return (
+      <span style={styles.badge}>
+        ⏱️ Closes in {formatDuration(new Date(poll.closesAt).getTime() - now)}
+      </span>
+    );
+  }
+  return null;
+}
+
+// ====== Loading Spinner Component ======
+function LoadingSpinner() {
+  return (
+    <div style={styles.loadingContainer}>
+      <div style={styles.spinner}></div>
+      <p style={styles.loadingText}>Loading...</p>
+    </div>
+  );
+}
+
+// ====== Poll List Component ======
+function PollList({ filters, onFiltersChange, onPollClick, onSurveyClick }) {
+  const { polls, hasMore, loading, loadingMore, error, loadMore } = usePollPages(
+    toPollQuery(filters)
+  );
+  const filtered = Object.keys(DEFAULT_LIST_FILTERS).some(
+    (key) => key !== "sort" && filters[key] !== DEFAULT_LIST_FILTERS[key]
+  );
+  const setFilter = (key) => (e) => onFiltersChange({ ...filters, [key]: e.target.value });
+
+  return (
+    <div style={styles.fadeIn}>
+      <SurveyList onSurveyClick={onSurveyClick} />
+      <InviteCodeForm onJoined={onPollClick} />
+      <h2 style={styles.sectionTitle}>All Polls</h2>
+      <div style={styles.filterBar}>
+        <label style={styles.filterField}>
+          Sort by
+          <select style={styles.filterInput} value={filters.sort} onChange={setFilter("sort")}>
+            <option value="newest">Newest</option>
+            <option value="votes">Most votes</option>
+            <option value="active">Recently active</option>
+          </select>
+        </label>
+        <label style={styles.filterField}>
+          Status
+          <select style={styles.filterInput} value={filters.status} onChange={setFilter("status")}>
+            <option value="">Any</option>
+            <option value="open">Open</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="closed">Closed</option>
+          </select>
+        </label>
+        <label style={styles.filterField}>
+          Results
+          <select
+            style={styles.filterInput}
+            value={filters.published}
+            onChange={setFilter("published")}
+          >
+            <option value="">Any</option>
+            <option value="true">Published</option>
+            <option value="false">Not published</option>
+          </select>
+        </label>
+        <label style={styles.filterField}>
+          Voting
+          <select
+            style={styles.filterInput}
+            value={filters.anonymous}
+            onChange={setFilter("anonymous")}
+          >
+            <option value="">Any</option>
+            <option value="true">Anonymous</option>
+            <option value="false">Non-anonymous</option>
+          </select>
+        </label>
+        <label style={styles.filterField}>
+          Created from
+          <input
+            type="date"
+            style={styles.filterInput}
+            value={filters.createdFrom}
+            onChange={setFilter("createdFrom")}
+          />
+        </label>
+        <label style={styles.filterField}>
+          Created to
+          <input
+            type="date"
+            style={styles.filterInput}
+            value={filters.createdTo}
+            onChange={setFilter("createdTo")}
+          />
+        </label>
+        {filtered && (
+          <button
+            onClick={() => onFiltersChange({ ...DEFAULT_LIST_FILTERS, sort: filters.sort })}
+            style={styles.secondaryButton}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && <div style={styles.errorMessage}>⚠️ {error}</div>}
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : polls.length === 0 ? (
+        <div style={styles.emptyState}>
+          <div style={styles.emptyIcon}>📊</div>
+          {filtered ? (
+            <>
+              <h2 style={styles.emptyTitle}>No matching polls</h2>
+              <p style={styles.emptyText}>Try different filters.</p>
+            </>
+          ) : (
+            <>
+              <h2 style={styles.emptyTitle}>No polls yet</h2>
+              <p style={styles.emptyText}>Create your first poll to get started!</p>
+            </>
+          )}
+        </div>
+      ) : (
+        <>
+          <ul style={styles.list}>
+            {polls.map((poll, index) => (
+              <li
+                key={poll._id}
+                style={{
+                  ...styles.listItem,
+                  animationDelay: `${(index % POLL_PAGE_SIZE) * 0.1}s`,
+                }}
+                onClick={() => onPollClick(poll)}
+                className="poll-item"
+              >
+                <div style={styles.listItemContent}>
+                  <strong style={styles.pollQuestion}>{poll.question}</strong>
+                  <div style={styles.pollMeta}>
+                    <span style={styles.badge}>
+                      {poll.allowAnonymous ? "🔓 Anonymous" : "🔒 Non-anonymous"}
+                    </span>
+                    <PollVisibilityBadge poll={poll} />
+                    {poll.published && (
+                      <span style={styles.publishedBadge}>✨ Published</span>
+                    )}
+                    <PollStatusBadge poll={poll} />
+                  </div>
+                </div>
+                <div style={styles.listItemRight}>
+                  <span style={styles.dateText}>
+                    {new Date(poll.createdAt).toLocaleDateString()}
+                  </span>
+                  <span style={styles.arrow}>→</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <LoadMore hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Opens a private poll from the invite code its owner shared. The access
+// token that comes back is kept for the poll's later requests.
+function InviteCodeForm({ onJoined }) {
+  const [code, setCode] = useState("");
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setError("");
+    setJoining(true);
+    try {
+      const res = await apiFetch("/polls/join", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code: code.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(apiErrorMessage(res, data, "Could not open the poll"));
+      }
+      setPollAccessToken(data.poll._id, data.accessToken);
+      setPollWorkspace(data.poll._id, data.workspace);
+      setCode("");
+      onJoined(data.poll);
+    } catch (err) {
+      console.error("Error joining poll", err);
+      setError(err.message);
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.filterBar}>
+      <label style={styles.filterField}>
+        Have an invite code?
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="e.g. K7QP-2XMD"
+          maxLength={20}
+          style={styles.filterInput}
+        />
+      </label>
+      <button type="submit" disabled={joining || !code.trim()} style={styles.secondaryButton}>
+        {joining ? "⏳ Opening..." : "🔐 Open private poll"}
+      </button>
+      {error && <span style={styles.fieldError}>{error}</span>}
+    </form>
+  );
+}
+
+// ====== Survey List Component ======
+// Surveys group several questions; their question polls are not listed
+// on their own (the server leaves them out of GET /api/polls).
+function SurveyList({ onSurveyClick }) {
+  const [surveys, setSurveys] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: String(POLL_PAGE_SIZE) });
+    if (cursor) params.set("cursor", cursor);
+    const res = await apiFetch(`/surveys?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Failed to load surveys");
+    return data;
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPage(null)
+      .then((data) => {
+        if (cancelled) return;
+        setSurveys(data.surveys);
+        setNextCursor(data.nextCursor);
+      })
+      .catch((err) => {
+        console.error("Error fetching surveys", err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadPage]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await loadPage(nextCursor);
+      setSurveys((prev) => [...prev, ...data.surveys]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching surveys", err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (error) return <div style={styles.errorMessage}>⚠️ {error}</div>;
+  if (surveys.length === 0) return null;
+
+  return (
+    <div style={{ marginBottom: "32px" }}>
+      <h2 style={styles.sectionTitle}>Surveys</h2>
+      <ul style={styles.list}>
+        {surveys.map((survey) => (
+          <li
+            key={survey._id}
+            style={styles.listItem}
+            onClick={() => onSurveyClick(survey)}
+            className="poll-item"
+          >
+            <div style={styles.listItemContent}>
+              <strong style={styles.pollQuestion}>📋 {survey.title}</strong>
+              <div style={styles.pollMeta}>
+                <span style={styles.badge}>
+                  {survey.questions.length} question{survey.questions.length !== 1 ? "s" : ""}
+                </span>
+                {survey.published && <span style={styles.publishedBadge}>✨ Published</span>}
+                <PollStatusBadge poll={survey} />
+              </div>
+            </div>
+            <div style={styles.listItemRight}>
+              <span style={styles.dateText}>{new Date(survey.createdAt).toLocaleDateString()}</span>
+              <span style={styles.arrow}>→</span>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {nextCursor && (
+        <div style={styles.loadMoreRow}>
+          <button onClick={loadMore} disabled={loadingMore} style={styles.secondaryButton}>
+            {loadingMore ? "⏳ Loading..." : "Load more surveys"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ====== Result Visibility ======
+// The server's resultsVisibility modes. Hidden results arrive without vote
+// counts and with resultsHidden: true.
+const RESULTS_VISIBILITY_LABELS = {
+  always: "Always visible",
+  after_vote: "After voting",
+  after_close: "After the poll closes",
+  after_publish: "Only once published",
+};
+
+const RESULTS_HIDDEN_REASONS = {
+  after_vote: "Vote to see the results.",
+  after_close: "Results will be shown once voting closes.",
+  after_publish: "Results will be shown once they are published.",
+};
+
+function ResultsVisibilitySelect({ value, onChange }) {
+  return (
+    <label style={{ ...styles.label, marginTop: "20px" }}>
+      Results visible to voters:
+      <select style={styles.input} value={value} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(RESULTS_VISIBILITY_LABELS).map(([mode, label]) => (
+          <option key={mode} value={mode}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// ====== Poll Visibility ======
+// Unlisted polls are left out of the poll list; private polls also need an
+// invite code or invite link to open (see PollAccessPanel).
+const POLL_VISIBILITY_LABELS = {
+  public: "Public: listed for everyone",
+  unlisted: "Unlisted: anyone with the link",
+  private: "Private: invite code or link only",
+};
+
+function PollVisibilitySelect({ value, onChange }) {
+  return (
+    <label style={{ ...styles.label, marginTop: "20px" }}>
+      Who can find this poll:
+      <select style={styles.input} value={value} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(POLL_VISIBILITY_LABELS).map(([mode, label]) => (
+          <option key={mode} value={mode}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function PollVisibilityBadge({ poll }) {
+  if (poll.visibility === "private") return <span style={styles.badge}>🔐 Private</span>;
+  if (poll.visibility === "unlisted") return <span style={styles.badge}>🔗 Unlisted</span>;
+  return null;
+}
+
+// Invite code and link of a private poll, for its managers. Regenerating the
+// code, or revoking it, stops every earlier code and link from working.
+function PollAccessPanel({ poll, onChanged }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState("");
+  const invite = poll.invite;
+
+  const updateInvite = async (method) => {
+    const question =
+      method === "DELETE"
+        ? "Revoke the invite code? Nobody new can open the poll until you generate another one."
+        : "Generate a new invite code? The current code and links will stop working.";
+    if (invite && !window.confirm(question)) return;
+
+    setError("");
+    setBusy(true);
+    try {
+      const res = await apiFetch(`/polls/${poll._id}/invite`, { method });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(apiErrorMessage(res, data, "Failed to update the invite"));
+      }
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Error updating invite", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copy = async (what, text) => {
+    if (await copyToClipboard(text)) {
+      setCopied(what);
+      setTimeout(() => setCopied(""), 2000);
+    }
+  };
+
+  return (
+    <div style={styles.formCard}>
+      <h3 style={styles.sectionTitle}>🔐 Invite</h3>
+      {invite ? (
+        <>
+          <p style={styles.sectionSubtitle}>
+            Only people with this code or link can open the poll.
+          </p>
+          <div style={styles.inviteCode}>{invite.code}</div>
+        </>
+      ) : (
+        <p style={styles.sectionSubtitle}>
+          The invite has been revoked, so only you can open this poll. Generate a new code to share it again.
+        </p>
+      )}
+      {error && <div style={styles.errorMessage}>⚠️ {error}</div>}
+      <div style={styles.buttonGroup}>
+        {invite && (
+          <>
+            <button type="button" onClick={() => copy("code", invite.code)} style={styles.button}>
+              {copied === "code" ? "✅ Copied" : "📋 Copy Code"}
+            </button>
+            <button type="button" onClick={() => copy("link", pollUrl(poll))} style={styles.button}>
+              {copied === "link" ? "✅ Copied" : "🔗 Copy Invite Link"}
+            </button>
+          </>
+        )}
+        <button
+          type="button"
+          onClick={() => updateInvite("POST")}
+          disabled={busy}
+          style={styles.secondaryButton}
+        >
+          {invite ? "🔄 Regenerate" : "✨ Generate Code"}
+        </button>
+        {invite && (
+          <button
+            type="button"
+            onClick={() => updateInvite("DELETE")}
+            disabled={busy}
+            style={styles.dangerButton}
+          >
+            🚫 Revoke
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ====== Export Buttons ======
+// One download button per export format for an export endpoint, e.g.
+// "/polls/<id>/export" or "/polls/export?published=true"
+const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+
+function ExportButtons({ path, label = "Export" }) {
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState("");
+
+  const download = async (format) => {
+    setError("");
+    setDownloading(format);
+    try {
+      const separator = path.includes("?") ? "&" : "?";
+      await downloadApiFile(`${path}${separator}format=${format}`, `export.${format}`);
+    } catch (err) {
+      console.error("Error downloading export", err);
+      setError(err.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div>
+      <div style={styles.exportButtons}>
+        <span style={styles.totalVotesLabel}>{label}:</span>
+        {EXPORT_FORMATS.map((format) => (
+          <button
+            key={format}
+            onClick={() => download(format)}
+            disabled={downloading !== null}
+            style={styles.secondaryButton}
+          >
+            {downloading === format ? "⏳" : "⬇️"} {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {error && <div style={styles.errorMessage}>⚠️ {error}</div>}
+    </div>
+  );
+}
+
+// ====== Vote Timeline ======
+const CHART_COLORS = ["#6366f1", "#8b5cf6", "#ec4899", "#f59e0b", "#10b981", "#3b82f6", "#ef4444"];
+
+const TIMELINE_BUCKETS = { minute: "Per minute", hour: "Per hour", day: "Per day" };
+
+function formatBucketTime(time, bucket) {
+  const date = new Date(time);
+  if (bucket === "day") return date.toLocaleDateString();
+  return date.toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Cumulative votes per option over time (fetches /polls/:id/timeline).
+// Free-text polls have no options, so they chart the number of responses.
+function VoteTimeline({ poll }) {
+  const [bucket, setBucket] = useState("hour");
+  const [timeline, setTimeline] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/timeline?bucket=${bucket}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load timeline");
+        if (!cancelled) {
+          setTimeline(data);
+          setError("");
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll._id, poll.voterCount, poll.updatedAt, bucket]);
+
+  if (error) {
+    return (
+      <div style={styles.errorMessage}>
+        <span>⚠️ {error}</span>
+      </div>
+    );
+  }
+  if (!timeline) {
+    return <div style={styles.noVotesChart}>Loading trend...</div>;
+  }
+
+  const series =
+    timeline.options.length > 0
+      ? timeline.options.map((text, i) => ({ key: `option${i}`, name: text }))
+      : [{ key: "voterCount", name: "Responses" }];
+  const data = timeline.points.map((point) => ({
+    time: formatBucketTime(point.time, timeline.bucket),
+    voterCount: point.voterCount,
+    ...Object.fromEntries(point.votes.map((votes, i) => [`option${i}`, votes])),
+  }));
+
+  return (
+    <div style={styles.chartContainer}>
+      <div style={styles.exportButtons}>
+        <span style={styles.totalVotesLabel}>Votes over time:</span>
+        <select
+          style={styles.filterInput}
+          value={bucket}
+          onChange={(e) => setBucket(e.target.value)}
+        >
+          {Object.entries(TIMELINE_BUCKETS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {data.length === 0 ? (
+        <div style={styles.noVotesChart}>
+          <p>No votes recorded yet</p>
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="time" tick={{ fontSize: 12 }} />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend wrapperStyle={{ fontSize: "0.85rem" }} iconType="circle" />
+            {series.map((line, i) => (
+              <Line
+                key={line.key}
+                type="stepAfter"
+                dataKey={line.key}
+                name={line.name}
+                stroke={CHART_COLORS[i % CHART_COLORS.length]}
+                strokeWidth={2}
+                dot={data.length === 1}
+                animationDuration={800}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
+
+// ====== Voter Attributes ======
+// Admin-defined fields such as department or team. Voters fill them in on their
+// account or on the ballot, and the Dashboard can break results down by them.
+const MAX_ATTRIBUTE_VALUE_LENGTH = 100;
+
+function useAttributeFields() {
+  const [fields, setFields] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch("/attributes")
+      .then(async (res) => {
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) setFields(data);
+      })
+      .catch((err) => console.error("Error fetching attribute fields", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return [fields, setFields];
+}
+
+// One select (fields with choices) or text input per field; `values` maps
+// field keys to values
+function AttributeInputs({ fields, values, onChange, disabled }) {
+  const setValue = (key) => (e) => onChange({ ...values, [key]: e.target.value });
+
+  return (
+    <>
+      {fields.map((field) => (
+        <label key={field.key} style={styles.label}>
+          {field.label}:
+          {field.choices.length > 0 ? (
+            <select
+              style={styles.input}
+              value={values[field.key] || ""}
+              onChange={setValue(field.key)}
+              disabled={disabled}
+            >
+              <option value="">Prefer not to say</option>
+              {field.choices.map((choice) => (
+                <option key={choice} value={choice}>
+                  {choice}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              style={styles.input}
+              value={values[field.key] || ""}
+              onChange={setValue(field.key)}
+              maxLength={MAX_ATTRIBUTE_VALUE_LENGTH}
+              placeholder="Optional"
+              disabled={disabled}
+            />
+          )}
+        </label>
+      ))}
+    </>
+  );
+}
+
+// "Your details" on the account page (PUT /auth/me/attributes)
+function VoterDetailsForm({ currentUser, fields, onSaved }) {
+  const [values, setValues] = useState(currentUser.attributes || {});
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSaved(false);
+    setSaving(true);
+    try {
+      const res = await apiFetch("/auth/me/attributes", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ attributes: values }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to save your details");
+      }
+      onSaved(data.user);
+      setSaved(true);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ ...styles.form, marginTop: "16px" }}>
+      <h3 style={styles.dashboardCardTitle}>🏷️ Your details</h3>
+      <p style={styles.dateText}>
+        Used to break results down by group. Groups that are too small are never shown on their
+        own.
+      </p>
+      <AttributeInputs
+        fields={fields}
+        values={values}
+        onChange={(next) => {
+          setValues(next);
+          setSaved(false);
+        }}
+        disabled={saving}
+      />
+      {error && (
+        <div style={styles.errorMessage}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+      {saved && (
+        <div style={styles.successMessage}>
+          <span>✅ Details saved</span>
+        </div>
+      )}
+      <button type="submit" style={styles.button} disabled={saving}>
+        {saving ? "⏳ Saving..." : "💾 Save details"}
+      </button>
+    </form>
+  );
+}
+
+// Bar label for a group of a results?groupBy= response
+function groupLabel(group) {
+  if (group.other) return "Other";
+  return group.value ?? "Not specified";
+}
+
+// "Break down by" selector with stacked bars per group (fetches the results
+// with ?groupBy= for the chosen field)
+function ResultsBreakdown({ poll, fields }) {
+  const [groupBy, setGroupBy] = useState("");
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!groupBy) {
+      setResults(null);
+      return undefined;
+    }
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/results?groupBy=${encodeURIComponent(groupBy)}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load breakdown");
+        if (!cancelled) {
+          setResults(data);
+          setError("");
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll._id, poll.voterCount, poll.updatedAt, groupBy]);
+
+  return (
+    <div>
+      <div style={styles.exportButtons}>
+        <span style={styles.totalVotesLabel}>Break down by:</span>
+        <select
+          style={styles.filterInput}
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+        >
+          <option value="">Nothing</option>
+          {fields.map((field) => (
+            <option key={field.key} value={field.key}>
+              {field.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && (
+        <div style={styles.errorMessage}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+      {groupBy && results && results.groupBy?.key === groupBy && (
+        <BreakdownChart results={results} />
+      )}
+    </div>
+  );
+}
+
+// Stacked bars of a results?groupBy= response: one bar per group, one stack
+// segment per option (or just the voter count for free-text polls)
+function BreakdownChart({ results }) {
+  if (results.groups.length === 0) {
+    return (
+      <div style={styles.noVotesChart}>
+        <p>Not enough voters yet to break results down by {results.groupBy.label.toLowerCase()}.</p>
+      </div>
+    );
+  }
+
+  const series =
+    results.options.length > 0
+      ? results.options.map((opt, i) => ({ key: `option${i}`, name: opt.text }))
+      : [{ key: "voterCount", name: "Responses" }];
+  const data = results.groups.map((group) => ({
+    group: groupLabel(group),
+    voterCount: group.voterCount,
+    ...Object.fromEntries(group.votes.map((votes, i) => [`option${i}`, votes])),
+  }));
+
+  return (
+    <div style={styles.chartContainer}>
+      <ResponsiveContainer width="100%" height={260}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} />
+          <XAxis dataKey="group" tick={{ fontSize: 12 }} />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Legend wrapperStyle={{ fontSize: "0.85rem" }} iconType="circle" />
+          {series.map((bar, i) => (
+            <Bar
+              key={bar.key}
+              dataKey={bar.key}
+              name={bar.name}
+              stackId="votes"
+              fill={CHART_COLORS[i % CHART_COLORS.length]}
+              animationDuration={800}
+            />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+      <p style={styles.dateText}>
+        Groups with fewer than {results.minGroupSize} voters are combined into "Other".
+        {results.type === "ranked" && " Ranked ballots are counted by first preference."}
+      </p>
+    </div>
+  );
+}
+
+// ====== Poll Types & Scale Questions ======
+const POLL_TYPE_LABELS = {
+  single: "Single choice",
+  multiple: "Multiple choice (approval voting)",
+  ranked: "Ranked choice (instant runoff)",
+  text: "Free text (open-ended answers)",
+  scale: "Rating scale / Likert",
+  nps: "Net Promoter Score (0–10)",
+};
+// Types whose options are written by the poll's author
+const OPTION_POLL_TYPES = ["single", "multiple", "ranked"];
+
+// Same limit as MAX_SCALE_POINTS on the server
+const MAX_SCALE_POINTS = 11;
+const DEFAULT_SCALE = { scaleMin: 1, scaleMax: 5, minLabel: "", maxLabel: "" };
+const SCALE_PRESETS = {
+  "1–5 rating": DEFAULT_SCALE,
+  "Likert (agree)": {
+    scaleMin: 1,
+    scaleMax: 5,
+    minLabel: "Strongly disagree",
+    maxLabel: "Strongly agree",
+  },
+  "0–10 rating": { scaleMin: 0, scaleMax: 10, minLabel: "", maxLabel: "" },
+};
+
+// Same rules as parseScale() on the server; returns an error message or null
+function scaleError({ scaleMin, scaleMax }) {
+  if (!Number.isInteger(scaleMin) || !Number.isInteger(scaleMax) || scaleMin >= scaleMax) {
+    return "The scale needs whole numbers with the lowest value below the highest.";
+  }
+  if (scaleMax - scaleMin + 1 > MAX_SCALE_POINTS) {
+    return `A scale can have at most ${MAX_SCALE_POINTS} points.`;
+  }
+  return null;
+}
+
+// Request fields for a scale or NPS poll (NPS always runs 0–10 on the server)
+function scaleFields(type, scale) {
+  const labels = { minLabel: scale.minLabel.trim(), maxLabel: scale.maxLabel.trim() };
+  return type === "nps"
+    ? labels
+    : { scaleMin: scale.scaleMin, scaleMax: scale.scaleMax, ...labels };
+}
+
+// Range and end labels for a scale poll (only the labels for NPS polls)
+function ScaleSettings({ type, value, onChange }) {
+  const set = (key) => (e) =>
+    onChange({
+      ...value,
+      [key]: key === "scaleMin" || key === "scaleMax" ? Number(e.target.value) : e.target.value,
+    });
+
+  return (
+    <div>
+      {type === "scale" && (
+        <div style={styles.optionRow}>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Preset:
+            <select
+              style={styles.input}
+              value=""
+              onChange={(e) => e.target.value && onChange(SCALE_PRESETS[e.target.value])}
+            >
+              <option value="">Choose…</option>
+              {Object.keys(SCALE_PRESETS).map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Lowest:
+            <input
+              style={styles.input}
+              type="number"
+              value={value.scaleMin}
+              onChange={set("scaleMin")}
+            />
+          </label>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Highest:
+            <input
+              style={styles.input}
+              type="number"
+              value={value.scaleMax}
+              onChange={set("scaleMax")}
+            />
+          </label>
+        </div>
+      )}
+      <div style={styles.optionRow}>
+        <label style={{ ...styles.label, flex: 1 }}>
+          Label for the lowest value (optional):
+          <input
+            style={styles.input}
+            value={value.minLabel}
+            onChange={set("minLabel")}
+            placeholder={type === "nps" ? "Not at all likely" : "e.g. Poor"}
+          />
+        </label>
+        <label style={{ ...styles.label, flex: 1 }}>
+          Label for the highest value (optional):
+          <input
+            style={styles.input}
+            value={value.maxLabel}
+            onChange={set("maxLabel")}
+            placeholder={type === "nps" ? "Extremely likely" : "e.g. Excellent"}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// One button per point on the scale, with the end labels underneath.
+// value / onChange use option indexes, like the other ballots.
+function ScaleBallot({ poll, value, disabled, onChange }) {
+  return (
+    <div style={{ marginTop: "16px" }}>
+      <div style={styles.scaleRow}>
+        {poll.options.map((opt, index) => (
+          <button
+            key={index}
+            type="button"
+            style={{
+              ...styles.scaleButton,
+              ...(value.includes(index) ? styles.scaleButtonActive : {}),
+            }}
+            disabled={disabled}
+            onClick={() => onChange([index])}
+          >
+            {opt.text}
+          </button>
+        ))}
+      </div>
+      {(poll.minLabel || poll.maxLabel) && (
+        <div style={styles.scaleLabels}>
+          <span>{poll.minLabel}</span>
+          <span>{poll.maxLabel}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Histogram and summary statistics for a scale or NPS poll (fetches its results)
+function ScaleResults({ poll }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/results`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load results");
+        if (!cancelled) setResults(data);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll._id, poll.voterCount, poll.updatedAt]);
+
+  if (error) {
+    return (
+      <div style={styles.errorMessage}>
+        <span>⚠️ {error}</span>
+      </div>
+    );
+  }
+  if (!results) {
+    return <div style={styles.noVotesChart}>Calculating...</div>;
+  }
+  return <ScaleChart type={results.type} summary={results.summary} />;
+}
+
+// Renders the "summary" of a scale / NPS results response
+function ScaleChart({ type, summary }) {
+  if (summary.count === 0) {
+    return (
+      <div style={styles.noVotesChart}>
+        <p>No votes yet</p>
+      </div>
+    );
+  }
+
+  const stats = [
+    ["Mean", summary.mean],
+    ["Median", summary.median],
+    ["Std. dev.", summary.standardDeviation],
+    ["Responses", summary.count],
+  ];
+  // NPS bars are coloured by group: detractors, passives, promoters
+  const barColor = (value) =>
+    type !== "nps" ? "#6366f1" : value >= 9 ? "#10b981" : value >= 7 ? "#f59e0b" : "#ef4444";
+
+  return (
+    <div style={styles.chartContainer}>
+      {type === "nps" && (
+        <div style={styles.rankWinner}>
+          NPS {summary.nps > 0 ? "+" : ""}
+          {summary.nps} · 😀 {summary.promoters.percentage}% · 😐 {summary.passives.percentage}% ·
+          🙁 {summary.detractors.percentage}%
+        </div>
+      )}
+      <div style={styles.scaleStats}>
+        {stats.map(([label, value]) => (
+          <div key={label} style={styles.totalVotes}>
+            <span style={styles.totalVotesLabel}>{label}:</span>
+            <strong style={styles.totalVotesValue}>{value}</strong>
+          </div>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={summary.distribution}>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} />
+          <XAxis dataKey="value" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Bar dataKey="count" name="Votes" animationDuration={800}>
+            {summary.distribution.map((point) => (
+              <Cell key={point.value} fill={barColor(point.value)} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// ====== Create Poll Form Component ======
+// Message shown under a form field
+function FieldError({ message }) {
+  if (!message) return null;
+  return <div style={styles.fieldError}>⚠️ {message}</div>;
+}
+
+function CreatePollForm({ onCreated }) {
+  const [question, setQuestion] = useState("");
+  const [options, setOptions] = useState(["", ""]);
+  const [allowAnonymous, setAllowAnonymous] = useState(true);
+  const [type, setType] = useState("single"); // one of POLL_TYPE_LABELS
+  const [scale, setScale] = useState(DEFAULT_SCALE);
+  const [minSelections, setMinSelections] = useState(1);
+  const [maxSelections, setMaxSelections] = useState(2);
+  // <input type="datetime-local"> values (local time, "" when unset)
+  const [opensAt, setOpensAt] = useState("");
+  const [closesAt, setClosesAt] = useState("");
+  const [publishOnClose, setPublishOnClose] = useState(false);
+  const [resultsVisibility, setResultsVisibility] = useState("always");
+  const [visibility, setVisibility] = useState("public");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  // Problems with individual fields, keyed by field name ("options[1]" for one option)
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleOptionChange = (index, value) => {
+    const newOptions = [...options];
+    newOptions[index] = value;
+    setOptions(newOptions);
+  };
+
+  const addOption = () => {
+    setOptions([...options, ""]);
+  };
+
+  const removeOption = (index) => {
+    if (options.length <= 2) return; // keep at least 2 options
+    const newOptions = options.filter((_, i) => i !== index);
+    setOptions(newOptions);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    // Only single, multiple and ranked polls have options
+    const hasOptions = OPTION_POLL_TYPES.includes(type);
+    const trimmedOptions = hasOptions ? options.map((opt) => opt.trim()).filter((opt) => opt) : [];
+    const hasSelectionLimits = type === "multiple" || type === "ranked";
+    const problems = {};
+    if (!question.trim()) {
+      problems.question = "Please enter a question.";
+    }
+    if (hasOptions && trimmedOptions.length < 2) {
+      problems.options = "Please enter at least two options.";
+    } else if (
+      hasSelectionLimits &&
+      (minSelections < 1 || minSelections > maxSelections || maxSelections > trimmedOptions.length)
+    ) {
+      problems.minSelections = "Selections must be between 1 and the number of options, with min ≤ max.";
+    }
+    const scaleMessage = type === "scale" && scaleError(scale);
+    if (scaleMessage) {
+      problems.scaleMax = scaleMessage;
+    }
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      problems.closesAt = "The closing time must be in the future.";
+    } else if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+      problems.closesAt = "The closing time must be after the opening time.";
+    }
+    setFieldErrors(problems);
+    if (Object.keys(problems).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await apiFetch("/polls", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          question: question.trim(),
+          options: trimmedOptions,
+          allowAnonymous,
+          type,
+          ...(type === "multiple" || type === "ranked" ? { minSelections, maxSelections } : {}),
+          ...(type === "scale" || type === "nps" ? scaleFields(type, scale) : {}),
+          opensAt: opensAt ? new Date(opensAt).toISOString() : null,
+          closesAt: closesAt ? new Date(closesAt).toISOString() : null,
+          publishOnClose,
+          resultsVisibility,
+          visibility,
+        }),
+      });
+
+      if (!res.ok) {
+        const data = await res.json();
+        const serverFieldErrors = apiFieldErrors(data);
+        if (Object.keys(serverFieldErrors).length > 0) {
+          setFieldErrors(serverFieldErrors);
+          throw new Error("Please fix the highlighted fields.");
+        }
+        throw new Error(apiErrorMessage(res, data, "Failed to create poll"));
+      }
+
+      const createdPoll = await res.json();
+      onCreated(createdPoll);
+
+      // Reset form
+      setQuestion("");
+      setOptions(["", ""]);
+      setAllowAnonymous(true);
+      setType("single");
+      setScale(DEFAULT_SCALE);
+      setMinSelections(1);
+      setMaxSelections(2);
+      setOpensAt("");
+      setClosesAt("");
+      setPublishOnClose(false);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={styles.fadeIn}>
+      <h2 style={styles.sectionTitle}>✨ Create a New Poll</h2>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <label style={styles.label}>
+          Question:
+          <input
+            style={styles.input}
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="What do you want to ask?"
+          />
+          <FieldError message={fieldErrors.question} />
+        </label>
+
+        {OPTION_POLL_TYPES.includes(type) && (
+          <div style={{ marginTop: "20px" }}>
+            <div style={styles.label}>Options:</div>
+            {options.map((opt, index) => (
+              <React.Fragment key={index}>
+                <div style={styles.optionRow}>
+                  <input
+                    style={styles.input}
+                    value={opt}
+                    onChange={(e) => handleOptionChange(index, e.target.value)}
+                    placeholder={`Option ${index + 1}`}
+                  />
+                  {options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => removeOption(index)}
+                      style={styles.smallButton}
+                      title="Remove option"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+                <FieldError message={fieldErrors[`options[${index}]`]} />
+              </React.Fragment>
+            ))}
+            <FieldError message={fieldErrors.options} />
+            <button
+              type="button"
+              onClick={addOption}
+              style={{ ...styles.secondaryButton, marginTop: "12px" }}
+            >
+              ➕ Add Option
+            </button>
+          </div>
+        )}
+
+        <label style={{ ...styles.label, marginTop: "20px" }}>
+          Voting type:
+          <select
+            style={styles.input}
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            {Object.entries(POLL_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <FieldError message={fieldErrors.type} />
+        </label>
+
+        {(type === "scale" || type === "nps") && (
+          <>
+            <ScaleSettings type={type} value={scale} onChange={setScale} />
+            {["scaleMin", "scaleMax", "minLabel", "maxLabel"].map((field) => (
+              <FieldError key={field} message={fieldErrors[field]} />
+            ))}
+          </>
+        )}
+
+        {(type === "multiple" || type === "ranked") && (
+          <div style={styles.optionRow}>
+            <label style={{ ...styles.label, flex: 1 }}>
+              {type === "ranked" ? "Min options to rank:" : "Min selections:"}
+              <input
+                style={styles.input}
+                type="number"
+                min={1}
+                value={minSelections}
+                onChange={(e) => setMinSelections(Number(e.target.value))}
+              />
+            </label>
+            <label style={{ ...styles.label, flex: 1 }}>
+              {type === "ranked" ? "Max options to rank:" : "Max selections:"}
+              <input
+                style={styles.input}
+                type="number"
+                min={1}
+                value={maxSelections}
+                onChange={(e) => setMaxSelections(Number(e.target.value))}
+              />
+            </label>
+          </div>
+        )}
+        <FieldError message={fieldErrors.minSelections || fieldErrors.maxSelections} />
+
+        <div style={styles.optionRow}>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Opens at (optional):
+            <input
+              style={styles.input}
+              type="datetime-local"
+              value={opensAt}
+              onChange={(e) => setOpensAt(e.target.value)}
+            />
+          </label>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Closes at (optional):
+            <input
+              style={styles.input}
+              type="datetime-local"
+              value={closesAt}
+              onChange={(e) => setClosesAt(e.target.value)}
+            />
+          </label>
+        </div>
+        <FieldError message={fieldErrors.opensAt || fieldErrors.closesAt} />
+
+        {closesAt && (
+          <label style={{ ...styles.label, display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={publishOnClose}
+              onChange={(e) => setPublishOnClose(e.target.checked)}
+              style={{ width: "18px", height: "18px", cursor: "pointer" }}
+            />
+            <span>Publish results automatically when the poll closes</span>
+          </label>
+        )}
+
+        <ResultsVisibilitySelect value={resultsVisibility} onChange={setResultsVisibility} />
+        <FieldError message={fieldErrors.resultsVisibility} />
+
+        <PollVisibilitySelect value={visibility} onChange={setVisibility} />
+        <FieldError message={fieldErrors.visibility} />
+
+        <label style={{ ...styles.label, marginTop: "20px", display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={allowAnonymous}
+            onChange={(e) => setAllowAnonymous(e.target.checked)}
+            style={{ width: "18px", height: "18px", cursor: "pointer" }}
+          />
+          <span>Allow anonymous voting</span>
+        </label>
+
+        {error && (
+          <div style={styles.errorMessage}>
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          style={{ ...styles.button, marginTop: "24px", width: "100%" }}
+          disabled={submitting}
+        >
+          {submitting ? "⏳ Creating..." : "🚀 Create Poll"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ====== Create Survey Form Component ======
+const emptySurveyQuestion = () => ({
+  question: "",
+  options: ["", ""],
+  type: "single",
+  minSelections: 1,
+  maxSelections: 2,
+  scale: DEFAULT_SCALE,
+});
+
+function CreateSurveyForm({ onCreated }) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [questions, setQuestions] = useState([emptySurveyQuestion()]);
+  const [allowAnonymous, setAllowAnonymous] = useState(true);
+  const [opensAt, setOpensAt] = useState("");
+  const [closesAt, setClosesAt] = useState("");
+  const [publishOnClose, setPublishOnClose] = useState(false);
+  const [resultsVisibility, setResultsVisibility] = useState("always");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const updateQuestion = (index, changes) => {
+    setQuestions((prev) => prev.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+  };
+
+  const updateOption = (index, optionIndex, value) => {
+    updateQuestion(index, {
+      options: questions[index].options.map((opt, i) => (i === optionIndex ? value : opt)),
+    });
+  };
+
+  const moveQuestion = (index, offset) => {
+    setQuestions((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!title.trim()) {
+      setError("Please enter a survey title.");
+      return;
+    }
+    const payload = questions.map((q) => ({
+      question: q.question.trim(),
+      options: OPTION_POLL_TYPES.includes(q.type)
+        ? q.options.map((opt) => opt.trim()).filter((opt) => opt)
+        : [],
+      type: q.type,
+      ...(q.type === "multiple" || q.type === "ranked"
+        ? { minSelections: q.minSelections, maxSelections: q.maxSelections }
+        : {}),
+      ...(q.type === "scale" || q.type === "nps" ? scaleFields(q.type, q.scale) : {}),
+    }));
+    const incomplete = payload.findIndex(
+      (q) => !q.question || (OPTION_POLL_TYPES.includes(q.type) && q.options.length < 2)
+    );
+    if (incomplete !== -1) {
+      setError(`Question ${incomplete + 1}: enter the question and at least two options.`);
+      return;
+    }
+    const badScale = questions.findIndex((q) => q.type === "scale" && scaleError(q.scale));
+    if (badScale !== -1) {
+      setError(`Question ${badScale + 1}: ${scaleError(questions[badScale].scale)}`);
+      return;
+    }
+    if (closesAt && new Date(closesAt) <= new Date()) {
+      setError("The closing time must be in the future.");
+      return;
+    }
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+      setError("The closing time must be after the opening time.");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await apiFetch("/surveys", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          title: title.trim(),
+          description: description.trim(),
+          questions: payload,
+          allowAnonymous,
+          opensAt: opensAt ? new Date(opensAt).toISOString() : null,
+          closesAt: closesAt ? new Date(closesAt).toISOString() : null,
+          publishOnClose,
+          resultsVisibility,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(apiErrorMessage(res, data, "Failed to create survey"));
+
+      onCreated(data);
+      setTitle("");
+      setDescription("");
+      setQuestions([emptySurveyQuestion()]);
+      setOpensAt("");
+      setClosesAt("");
+      setPublishOnClose(false);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.fadeIn, marginTop: "32px" }}>
+      <h2 style={styles.sectionTitle}>📋 Create a Survey</h2>
+      <p style={styles.sectionSubtitle}>
+        Several questions answered and submitted together, with one schedule and results policy.
+      </p>
+      <form onSubmit={handleSubmit} style={styles.form}>
+        <label style={styles.label}>
+          Title:
+          <input
+            style={styles.input}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="What is this survey about?"
+          />
+        </label>
+        <label style={styles.label}>
+          Description (optional):
+          <input
+            style={styles.input}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </label>
+
+        {questions.map((q, index) => (
+          <div key={index} style={{ ...styles.optionCard, marginTop: "20px" }}>
+            <div style={styles.optionRow}>
+              <label style={{ ...styles.label, flex: 1 }}>
+                Question {index + 1}:
+                <input
+                  style={styles.input}
+                  value={q.question}
+                  onChange={(e) => updateQuestion(index, { question: e.target.value })}
+                />
+              </label>
+              <button
+                type="button"
+                style={styles.smallButton}
+                disabled={index === 0}
+                onClick={() => moveQuestion(index, -1)}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                style={styles.smallButton}
+                disabled={index === questions.length - 1}
+                onClick={() => moveQuestion(index, 1)}
+                title="Move down"
+              >
+                ↓
+              </button>
+              {questions.length > 1 && (
+                <button
+                  type="button"
+                  style={styles.smallButton}
+                  onClick={() => setQuestions((prev) => prev.filter((_, i) => i !== index))}
+                  title="Remove question"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+
+            {OPTION_POLL_TYPES.includes(q.type) && q.options.map((opt, optionIndex) => (
+              <div key={optionIndex} style={styles.optionRow}>
+                <input
+                  style={styles.input}
+                  value={opt}
+                  onChange={(e) => updateOption(index, optionIndex, e.target.value)}
+                  placeholder={`Option ${optionIndex + 1}`}
+                />
+                {q.options.length > 2 && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateQuestion(index, {
+                        options: q.options.filter((_, i) => i !== optionIndex),
+                      })
+                    }
+                    style={styles.smallButton}
+                    title="Remove option"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            <div style={styles.optionRow}>
+              {OPTION_POLL_TYPES.includes(q.type) && (
+                <button
+                  type="button"
+                  onClick={() => updateQuestion(index, { options: [...q.options, ""] })}
+                  style={styles.secondaryButton}
+                >
+                  ➕ Add Option
+                </button>
+              )}
+              <select
+                style={styles.input}
+                value={q.type}
+                onChange={(e) => updateQuestion(index, { type: e.target.value })}
+              >
+                {Object.entries(POLL_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {(q.type === "scale" || q.type === "nps") && (
+              <ScaleSettings
+                type={q.type}
+                value={q.scale}
+                onChange={(scale) => updateQuestion(index, { scale })}
+              />
+            )}
+            {(q.type === "multiple" || q.type === "ranked") && (
+              <div style={styles.optionRow}>
+                <label style={{ ...styles.label, flex: 1 }}>
+                  Min:
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min={1}
+                    value={q.minSelections}
+                    onChange={(e) => updateQuestion(index, { minSelections: Number(e.target.value) })}
+                  />
+                </label>
+                <label style={{ ...styles.label, flex: 1 }}>
+                  Max:
+                  <input
+                    style={styles.input}
+                    type="number"
+                    min={1}
+                    value={q.maxSelections}
+                    onChange={(e) => updateQuestion(index, { maxSelections: Number(e.target.value) })}
+                  />
+                </label>
+              </div>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setQuestions((prev) => [...prev, emptySurveyQuestion()])}
+          style={{ ...styles.secondaryButton, marginTop: "12px" }}
+        >
+          ➕ Add Question
+        </button>
+
+        <div style={styles.optionRow}>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Opens at (optional):
+            <input
+              style={styles.input}
+              type="datetime-local"
+              value={opensAt}
+              onChange={(e) => setOpensAt(e.target.value)}
+            />
+          </label>
+          <label style={{ ...styles.label, flex: 1 }}>
+            Closes at (optional):
+            <input
+              style={styles.input}
+              type="datetime-local"
+              value={closesAt}
+              onChange={(e) => setClosesAt(e.target.value)}
+            />
+          </label>
+        </div>
+
+        {closesAt && (
+          <label style={{ ...styles.label, display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={publishOnClose}
+              onChange={(e) => setPublishOnClose(e.target.checked)}
+              style={{ width: "18px", height: "18px", cursor: "pointer" }}
+            />
+            <span>Publish results automatically when the survey closes</span>
+          </label>
+        )}
+
+        <ResultsVisibilitySelect value={resultsVisibility} onChange={setResultsVisibility} />
+
+        <label style={{ ...styles.label, marginTop: "20px", display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
+          <input
+            type="checkbox"
+            checked={allowAnonymous}
+            onChange={(e) => setAllowAnonymous(e.target.checked)}
+            style={{ width: "18px", height: "18px", cursor: "pointer" }}
+          />
+          <span>Allow anonymous responses</span>
+        </label>
+
+        {error && (
+          <div style={styles.errorMessage}>
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          style={{ ...styles.button, marginTop: "24px", width: "100%" }}
+          disabled={submitting}
+        >
+          {submitting ? "⏳ Creating..." : "🚀 Create Survey"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ====== Admin Panel (admins and creators can create polls) ======
+function AdminPanel({
+  currentUser,
+  isAdmin,
+  canCreate,
+  onRequireAuth,
+  onCreated,
+  onSurveyCreated,
+}) {
+  if (!currentUser) {
+    return (
+      <div style={styles.fadeIn}>
+        <h2 style={styles.sectionTitle}>🔐 Admin Area</h2>
+        <p style={styles.sectionSubtitle}>
+          Only administrators and poll creators can create new polls. Log in to continue.
+        </p>
+        <button type="button" onClick={onRequireAuth} style={styles.button}>
+          🔑 Log in
+        </button>
+      </div>
+    );
+  }
+
+  if (!canCreate) {
+    return (
+      <div style={styles.fadeIn}>
+        <h2 style={styles.sectionTitle}>🔐 Admin Area</h2>
+        <div style={styles.errorMessage}>
+          <span>
+            ⚠️ Your account ({currentUser.role || "not a member"}) cannot create polls in this
+            workspace. Ask one of its admins to make you a creator.
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.fadeIn}>
+      <h2 style={styles.sectionTitle}>🔐 Admin Area</h2>
+      <div style={styles.successMessage}>
+        <span>
+          ✅ You are logged in as {isAdmin ? "an admin" : "a poll creator"}. You can create new
+          polls below.
+        </span>
+      </div>
+      <CreatePollForm onCreated={onCreated} />
+      <CreateSurveyForm onCreated={onSurveyCreated} />
+      <PollImporter />
+    </div>
+  );
+}
+
+// ====== Workspace Admin (workspace admins) ======
+// The current workspace's name, members and voter attributes
+function WorkspaceAdmin({ currentUser, workspace, isAdmin, onRequireAuth, onRenamed }) {
+  const [name, setName] = useState(workspace?.name || "");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setName(workspace?.name || "");
+  }, [workspace?.name]);
+
+  if (!currentUser) {
+    return (
+      <div style={styles.fadeIn}>
+        <h2 style={styles.sectionTitle}>🏢 Workspace</h2>
+        <p style={styles.sectionSubtitle}>Only workspace admins can manage a workspace. Log in to continue.</p>
+        <button type="button" onClick={onRequireAuth} style={styles.button}>
+          🔑 Log in
+        </button>
+      </div>
+    );
+  }
+
+  if (!isAdmin || !workspace) {
+    return (
+      <div style={styles.fadeIn}>
+        <h2 style={styles.sectionTitle}>🏢 Workspace</h2>
+        <div style={styles.errorMessage}>
+          <span>⚠️ Only this workspace's admins can manage it.</span>
+        </div>
+      </div>
+    );
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    setError("");
+    if (!name.trim()) {
+      setError("Please enter a name.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await apiFetch(`/workspaces/${workspace._id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: name.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(apiErrorMessage(res, data, "Failed to rename the workspace"));
+      }
+      onRenamed(data);
+      setMessage("Workspace renamed.");
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={styles.fadeIn}>
+      <h2 style={styles.sectionTitle}>🏢 {workspace.name}</h2>
+      <p style={styles.sectionSubtitle}>
+        Polls, surveys, roles and voter attributes here are separate from your other workspaces.
+      </p>
+      <form onSubmit={handleRename} style={styles.formCard}>
+        <label style={styles.label}>
+          Workspace name:
+          <input
+            style={styles.input}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={80}
+          />
+        </label>
+        {message && (
+          <div style={styles.successMessage}>
+            <span>✅ {message}</span>
+          </div>
+        )}
+        {error && (
+          <div style={styles.errorMessage}>
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+        <button type="submit" style={styles.button} disabled={saving || name.trim() === workspace.name}>
+          {saving ? "⏳ Saving..." : "💾 Rename"}
+        </button>
+      </form>
+      <UserRoleManager currentUser={currentUser} />
+      <AttributeFieldManager />
+    </div>
+  );
+}
+
+// ====== Workspace Switcher ======
+// Picks the workspace the app works in. "New workspace…" creates one, with
+// the current user as its admin, and switches to it.
+const NEW_WORKSPACE_OPTION = "new";
+
+function WorkspaceSwitcher({ workspaces, workspace, onSwitch, onCreated }) {
+  const [creating, setCreating] = useState(false);
+
+  const handleChange = async (e) => {
+    if (e.target.value !== NEW_WORKSPACE_OPTION) {
+      onSwitch(e.target.value);
+      return;
+    }
+    const name = window.prompt("Name of the new workspace:");
+    if (!name || !name.trim()) return;
+
+    setCreating(true);
+    try {
+      const res = await apiFetch("/workspaces", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: name.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(apiErrorMessage(res, data, "Failed to create the workspace"));
+      }
+      onCreated(data);
+    } catch (err) {
+      console.error("Error creating workspace", err);
+      alert(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <select
+      value={workspace._id}
+      onChange={handleChange}
+      disabled={creating}
+      aria-label="Workspace"
+      style={styles.workspaceSelect}
+    >
+      {workspaces.map((w) => (
+        <option key={w._id} value={w._id}>
+          🏢 {w.name}
+          {w.role ? "" : " (visitor)"}
+        </option>
+      ))}
+      <option value={NEW_WORKSPACE_OPTION}>➕ New workspace…</option>
+    </select>
+  );
+}
+
+// ====== Member Manager (workspace admins) ======
+// Members of the current workspace and their roles. Accounts are added by
+// username; removing a member keeps their account and their polls.
+function UserRoleManager({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("voter");
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const res = await apiFetch("/users");
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to load users");
+      }
+      setUsers(data);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleRoleChange = async (userId, role) => {
+    setError("");
+    try {
+      const res = await apiFetch(`/users/${userId}/role`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ role }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to update role");
+      }
+      setUsers((prev) => prev.map((user) => (user._id === data._id ? data : user)));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!username.trim()) {
+      setError("Please enter a username.");
+      return;
+    }
+
+    setAdding(true);
+    try {
+      const res = await apiFetch("/users", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: username.trim(), role }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to add member");
+      }
+      setUsers((prev) => [...prev, data]);
+      setUsername("");
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = async (user) => {
+    if (!window.confirm(`Remove ${user.name} from this workspace?`)) {
+      return;
+    }
+    setError("");
+    try {
+      const res = await apiFetch(`/users/${user._id}`, { method: "DELETE" });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to remove member");
+      }
+      setUsers((prev) => prev.filter((u) => u._id !== user._id));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.formCard, marginTop: "32px" }}>
+      <h3 style={styles.dashboardCardTitle}>👥 Members</h3>
+      <ul style={styles.list}>
+        {users.map((user) => (
+          <li key={user._id} style={styles.optionRow}>
+            <span style={styles.optionText}>
+              {user.name} <span style={styles.dateText}>@{user.username}</span>
+            </span>
+            <select
+              value={user.role}
+              onChange={(e) => handleRoleChange(user._id, e.target.value)}
+              disabled={user._id === currentUser._id}
+              style={{ ...styles.input, width: "auto", marginTop: 0 }}
+            >
+              <option value="admin">admin</option>
+              <option value="creator">creator</option>
+              <option value="voter">voter</option>
+            </select>
+            <button
+              type="button"
+              onClick={() => handleRemove(user)}
+              disabled={user._id === currentUser._id}
+              title="Remove from workspace"
+              style={styles.smallButton}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleAdd} style={styles.form}>
+        <label style={styles.label}>
+          Add an account by username:
+          <input
+            style={styles.input}
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="e.g. alice"
+          />
+        </label>
+        <label style={styles.label}>
+          Role:
+          <select value={role} onChange={(e) => setRole(e.target.value)} style={styles.input}>
+            <option value="voter">voter</option>
+            <option value="creator">creator</option>
+            <option value="admin">admin</option>
+          </select>
+        </label>
+        {error && (
+          <div style={styles.errorMessage}>
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+        <button type="submit" style={styles.button} disabled={adding}>
+          {adding ? "⏳ Adding..." : "➕ Add member"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ====== Attribute Field Manager (workspace admins) ======
+function AttributeFieldManager() {
+  const [fields, setFields] = useAttributeFields();
+  const [label, setLabel] = useState("");
+  const [choices, setChoices] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!label.trim()) {
+      setError("Please enter a label.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await apiFetch("/attributes", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          label: label.trim(),
+          choices: choices
+            .split(",")
+            .map((choice) => choice.trim())
+            .filter(Boolean),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to add field");
+      }
+      setFields((prev) => [...prev, data]);
+      setLabel("");
+      setChoices("");
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (field) => {
+    if (!window.confirm(`Remove the "${field.label}" field? Results can no longer be broken down by it.`)) {
+      return;
+    }
+    setError("");
+    try {
+      const res = await apiFetch(`/attributes/${field._id}`, { method: "DELETE" });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to remove field");
+      }
+      setFields((prev) => prev.filter((f) => f._id !== field._id));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.formCard, marginTop: "32px" }}>
+      <h3 style={styles.dashboardCardTitle}>🏷️ Voter Attributes</h3>
+      <p style={styles.dateText}>
+        Voters can fill these in on their account or when voting, and the Dashboard can break
+        results down by them.
+      </p>
+      <ul style={styles.list}>
+        {fields.map((field) => (
+          <li key={field._id} style={styles.optionRow}>
+            <span style={styles.optionText}>
+              {field.label} <span style={styles.dateText}>({field.key})</span>
+              {field.choices.length > 0 && (
+                <span style={styles.dateText}> · {field.choices.join(", ")}</span>
+              )}
+            </span>
+            <button type="button" onClick={() => handleDelete(field)} style={styles.smallButton}>
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleAdd} style={styles.form}>
+        <label style={styles.label}>
+          Label:
+          <input
+            style={styles.input}
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="e.g. Department"
+          />
+        </label>
+        <label style={styles.label}>
+          Choices (comma-separated, leave empty for free text):
+          <input
+            style={styles.input}
+            value={choices}
+            onChange={(e) => setChoices(e.target.value)}
+            placeholder="e.g. Sales, Engineering, HR"
+          />
+        </label>
+        {error && (
+          <div style={styles.errorMessage}>
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+        <button type="submit" style={styles.button} disabled={saving}>
+          {saving ? "⏳ Adding..." : "➕ Add field"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ====== Poll Importer (admins and creators) ======
+// Uploads a CSV or JSON file as a dry run first and shows the server's
+// per-row report; nothing is created until the preview is confirmed.
+function PollImporter() {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const fileInputRef = useRef(null);
+
+  const pollCount = (n) => `${n} poll${n !== 1 ? "s" : ""}`;
+
+  const upload = async (selectedFile, dryRun) => {
+    const body = new FormData();
+    body.append("file", selectedFile);
+    const res = await apiFetch(`/polls/import${dryRun ? "?dryRun=true" : ""}`, {
+      method: "POST",
+      body,
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.message || "Import failed");
+    }
+    return data;
+  };
+
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files[0] || null;
+    setFile(selectedFile);
+    setReport(null);
+    setError("");
+    if (!selectedFile) return;
+
+    setBusy(true);
+    try {
+      setReport(await upload(selectedFile, true));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      setReport(await upload(file, false));
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.formCard, marginTop: "32px" }}>
+      <h3 style={styles.dashboardCardTitle}>📥 Import Polls</h3>
+      <p style={styles.dateText}>
+        CSV with a header row: <code>question</code>, <code>options</code> (separated by{" "}
+        <code>|</code>) and optionally <code>type</code>, <code>minSelections</code>,{" "}
+        <code>maxSelections</code>, <code>allowAnonymous</code>, <code>opensAt</code>,{" "}
+        <code>closesAt</code>, <code>publishOnClose</code>, <code>resultsVisibility</code>. Or a
+        JSON array of polls with the same fields.
+      </p>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleFileChange}
+        disabled={busy}
+        style={{ ...styles.input, marginBottom: "12px" }}
+      />
+
+      {busy && <p style={styles.dateText}>⏳ Working...</p>}
+
+      {report && (
+        <>
+          <div style={report.dryRun ? styles.infoBadge : styles.successMessage}>
+            {report.dryRun
+              ? `Preview: ${pollCount(report.valid)} ready to import, ${report.failed} with errors.`
+              : `✅ Created ${pollCount(report.created)}, skipped ${report.failed} with errors.`}
+          </div>
+          <table style={styles.roundsTable}>
+            <thead>
+              <tr>
+                <th style={styles.roundsCell}>Row</th>
+                <th style={styles.roundsCell}>Question</th>
+                <th style={styles.roundsCell}>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.row}>
+                  <td style={styles.roundsCell}>{row.row}</td>
+                  <td style={styles.roundsCell}>{row.question || "—"}</td>
+                  <td
+                    style={{
+                      ...styles.roundsCell,
+                      ...(row.status === "error" ? styles.eliminatedCell : {}),
+                    }}
+                  >
+                    {row.status === "error" ? `⚠️ ${row.message}` : `✓ ${row.status}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.dryRun && (
+            <div style={styles.buttonGroup}>
+              <button
+                type="button"
+                style={styles.button}
+                disabled={busy || report.valid === 0}
+                onClick={handleImport}
+              >
+                📥 Import {pollCount(report.valid)}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {error && (
+        <div style={styles.errorMessage}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ====== Registration / Login Component ======
+// Accounts live on the server; a successful login or registration returns
+// a session token that is sent with every API request. Non-anonymous polls
+// require a logged-in user before voting.
+function AuthForm({ currentUser, onLogin, onLogout, onUserChange, onDone }) {
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [username, setUsername] = useState("");
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [attributes, setAttributes] = useState({});
+  const [attributeFields] = useAttributeFields();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!username.trim() || !password) {
+      setError("Please enter a username and password.");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await apiFetch(`/auth/${mode}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          username: username.trim(),
+          password,
+          ...(mode === "register" ? { name: name.trim(), attributes } : {}),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || "Authentication failed");
+      }
+
+      onLogin(data.user, data.token);
+      setPassword("");
+      // Stay on the account page so the voter can fill in missing details
+      const missingDetails = attributeFields.some((field) => !data.user.attributes?.[field.key]);
+      if (!missingDetails) onDone();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLogout = () => {
+    onLogout();
+    setUsername("");
+    setName("");
+    setPassword("");
+    setAttributes({});
+  };
+
+  if (currentUser) {
+    return (
+      <div style={styles.fadeIn}>
+        <h2 style={styles.sectionTitle}>👤 Your Account</h2>
+        <div style={styles.formCard}>
+          <div style={styles.successMessage}>
+            <span>
+              ✅ Logged in as: <strong>{currentUser.name}</strong> (@{currentUser.username})
+            </span>
+          </div>
+          <button
+            type="button"
+            onClick={handleLogout}
+            style={{
+              ...styles.secondaryButton,
+              width: "100%",
+            }}
+          >
+            🚪 Log out
+          </button>
+          {attributeFields.length > 0 && (
+            <VoterDetailsForm
+              key={currentUser._id}
+              currentUser={currentUser}
+              fields={attributeFields}
+              onSaved={onUserChange}
+            />
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.fadeIn}>
+      <h2 style={styles.sectionTitle}>👤 Register / Login</h2>
+      <p style={styles.sectionSubtitle}>
+        Log in to vote on polls that do not allow anonymous voting.
+      </p>
+      <div style={styles.formCard}>
+        <div style={{ ...styles.buttonGroup, marginBottom: "8px" }}>
+          <button
+            type="button"
+            onClick={() => setMode("login")}
+            style={mode === "login" ? styles.activeButton : styles.secondaryButton}
+          >
+            Login
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode("register")}
+            style={mode === "register" ? styles.activeButton : styles.secondaryButton}
+          >
+            Register
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <label style={styles.label}>
+            Username:
+            <input
+              style={styles.input}
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Enter your username"
+              autoComplete="username"
+            />
+          </label>
+          {mode === "register" && (
+            <label style={styles.label}>
+              Display name:
+              <input
+                style={styles.input}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="How should we show your name?"
+              />
+            </label>
+          )}
+          {mode === "register" && (
+            <AttributeInputs
+              fields={attributeFields}
+              values={attributes}
+              onChange={setAttributes}
+              disabled={submitting}
+            />
+          )}
+          <label style={styles.label}>
+            Password:
+            <input
+              style={styles.input}
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={mode === "register" ? "At least 8 characters" : "Enter your password"}
+              autoComplete={mode === "register" ? "new-password" : "current-password"}
+            />
+          </label>
+          {error && (
+            <div style={styles.errorMessage}>
+              <span>⚠️ {error}</span>
+            </div>
+          )}
+          <button
+            type="submit"
+            style={{ ...styles.button, marginTop: "16px", width: "100%" }}
+            disabled={submitting}
+          >
+            {submitting ? "⏳ Please wait..." : mode === "register" ? "📝 Create Account" : "🔑 Log In"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// ====== Dashboard Component ======
+const DASHBOARD_QUERY = { published: "true" };
+
+function Dashboard({ onPollClick, canManage, canExport, onPublishToggle }) {
+  const [attributeFields] = useAttributeFields();
+  // Poll whose QR code is shown full-screen
+  const [qrPoll, setQrPoll] = useState(null);
+  const {
+    polls: publishedPolls,
+    hasMore,
+    loading,
+    loadingMore,
+    error,
+    loadMore,
+    applyPoll,
+  } = usePollPages(DASHBOARD_QUERY);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error && publishedPolls.length === 0) {
+    return <div style={styles.errorMessage}>⚠️ {error}</div>;
+  }
+
+  if (publishedPolls.length === 0) {
+    return (
+      <div style={styles.fadeIn}>
+        <div style={styles.emptyState}>
+          <div style={styles.emptyIcon}>📈</div>
+          <h2 style={styles.emptyTitle}>No Published Polls</h2>
+          <p style={styles.emptyText}>
+            Publish a poll to see its results displayed here in beautiful pie charts!
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.fadeIn}>
+      <h2 style={styles.sectionTitle}>📊 Dashboard - Published Poll Results</h2>
+      <p style={styles.sectionSubtitle}>
+        View results of published polls in interactive pie chart format
+      </p>
+      {canExport && (
+        <ExportButtons path="/polls/export?published=true" label="Download all published polls" />
+      )}
+      <div style={styles.dashboardGrid}>
+        {publishedPolls.map((poll, index) => {
+          const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes, 0);
+          const chartData = poll.options.map((opt, idx) => ({
+            name: opt.text,
+            value: opt.votes,
+            percentage: totalVotes > 0 ? ((opt.votes / totalVotes) * 100).toFixed(1) : 0,
+          }));
+
+          return (
+            <div
+              key={poll._id}
+              style={{
+                ...styles.dashboardCard,
+                animationDelay: `${(index % POLL_PAGE_SIZE) * 0.15}s`,
+              }}
+              className="dashboard-card"
+            >
+              <h3 style={styles.dashboardCardTitle}>{poll.question}</h3>
+              {poll.type === "ranked" ? (
+                <RankedResults poll={poll} />
+              ) : poll.type === "text" ? (
+                <WordFrequency poll={poll} />
+              ) : poll.type === "scale" || poll.type === "nps" ? (
+                <ScaleResults poll={poll} />
+              ) : totalVotes === 0 ? (
+                <div style={styles.noVotesChart}>
+                  <p>No votes yet</p>
+                </div>
+              ) : (
+                <div style={styles.chartContainer}>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <PieChart>
+                      <Pie
+                        data={chartData}
+                        cx="50%"
+                        cy="50%"
+                        labelLine={false}
+                        label={({ name, percentage }) => `${name}: ${percentage}%`}
+                        outerRadius={90}
+                        fill="#8884d8"
+                        dataKey="value"
+                        animationDuration={800}
+                      >
+                        {chartData.map((entry, idx) => (
+                          <Cell
+                            key={`cell-${idx}`}
+                            fill={CHART_COLORS[idx % CHART_COLORS.length]}
+                          />
+                        ))}
+                      </Pie>
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: "rgba(255, 255, 255, 0.95)",
+                          border: "1px solid #e5e7eb",
+                          borderRadius: "8px",
+                          boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+                        }}
+                      />
+                      <Legend
+                        wrapperStyle={{ fontSize: "0.85rem" }}
+                        iconType="circle"
+                      />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+              <div style={styles.dashboardCardFooter}>
+                {!OPTION_POLL_TYPES.includes(poll.type) || poll.type === "ranked" ? (
+                  <div style={styles.totalVotes}>
+                    <span style={styles.totalVotesLabel}>
+                      {poll.type === "ranked" ? "Ballots:" : "Responses:"}
+                    </span>
+                    <strong style={styles.totalVotesValue}>{poll.voterCount}</strong>
+                  </div>
+                ) : poll.type === "multiple" ? (
+                  <>
+                    <div style={styles.totalVotes}>
+                      <span style={styles.totalVotesLabel}>Voters:</span>
+                      <strong style={styles.totalVotesValue}>{poll.voterCount}</strong>
+                    </div>
+                    <div style={styles.totalVotes}>
+                      <span style={styles.totalVotesLabel}>Total Approvals:</span>
+                      <strong style={styles.totalVotesValue}>{totalVotes}</strong>
+                    </div>
+                  </>
+                ) : (
+                  <div style={styles.totalVotes}>
+                    <span style={styles.totalVotesLabel}>Total Votes:</span>
+                    <strong style={styles.totalVotesValue}>{totalVotes}</strong>
+                  </div>
+                )}
+                <div style={styles.dashboardButtons}>
+                  <button
+                    onClick={() => onPollClick(poll)}
+                    style={styles.button}
+                  >
+                    👁️ View Details
+                  </button>
+                  <button onClick={() => setQrPoll(poll)} style={styles.button}>
+                    📱 Show QR
+                  </button>
+                  {canManage(poll) && (
+                    <button
+                      onClick={async () => {
+                        const updatedPoll = await onPublishToggle(poll._id, false);
+                        if (updatedPoll) applyPoll(updatedPoll);
+                      }}
+                      style={styles.secondaryButton}
+                    >
+                      Unpublish
+                    </button>
+                  )}
+                </div>
+              </div>
+              <VoteTimeline poll={poll} />
+              {attributeFields.length > 0 && (
+                <ResultsBreakdown poll={poll} fields={attributeFields} />
+              )}
+              <ExportButtons path={`/polls/${poll._id}/export`} label="Download" />
+            </div>
+          );
+        })}
+      </div>
+      <LoadMore hasMore={hasMore} loading={loadingMore} onLoadMore={loadMore} />
+      {qrPoll && <QrOverlay poll={qrPoll} onClose={() => setQrPoll(null)} />}
+    </div>
+  );
+}
+
+// ====== Poll Detail & Voting Component ======
+function PollDetail({
+  poll,
+  onBack,
+  onRefresh,
+  onDelete,
+  currentUser,
+  onRequireAuth,
+  canManage,
+  live,
+  onPublishToggle,
+  onCloseToggle,
+  // Shown in the /embed widget: just the ballot and results, no toolbar
+  embedded = false,
+}) {
+  const [submittingVote, setSubmittingVote] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState("");
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showEmbed, setShowEmbed] = useState(false);
+  const [showQr, setShowQr] = useState(false);
+  // Options in this voter's ballot, or null when they haven't voted
+  const [votedIndexes, setVotedIndexes] = useState(null);
+  // Checkboxes ticked but not yet submitted (multiple-choice polls)
+  const [pendingIndexes, setPendingIndexes] = useState([]);
+  // Free-text polls: the answer being written, and the one submitted
+  const [pendingText, setPendingText] = useState("");
+  const [votedText, setVotedText] = useState(null);
+  // Attribute values given on this ballot, for fields missing from the account
+  const [ballotAttributes, setBallotAttributes] = useState({});
+  const [attributeFields] = useAttributeFields();
+  const missingAttributeFields = attributeFields.filter(
+    (field) => !currentUser?.attributes?.[field.key]
+  );
+
+  const isMultiple = poll.type === "multiple";
+  const isRanked = poll.type === "ranked";
+  const isText = poll.type === "text";
+  const isScale = poll.type === "scale" || poll.type === "nps";
+
+  // Re-evaluated every second so the ballot unlocks/locks on schedule
+  const now = useNow();
+  const status = getPollStatus(poll, now);
+  const isOpen = status === "open";
+
+  // The server keeps the ballot, so ask it what this voter already chose
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/my-vote`)
+      .then(async (res) => {
+        if (!res.ok) return;
+        const data = await res.json();
+        if (cancelled) return;
+        setVotedIndexes(data.optionIndexes);
+        setVotedText(data.text ?? null);
+      })
+      .catch((err) => console.error("Error fetching your vote", err));
+    return () => {
+      cancelled = true;
+    };
+    // poll.revision: an edit may have remapped or removed this voter's ballot
+  }, [poll._id, poll.revision, currentUser]);
+
+  // Vote counts are left out of the poll while its results are hidden from us
+  const resultsHidden = !!poll.resultsHidden;
+  const totalVotes = poll.options.reduce((sum, opt) => sum + (opt.votes || 0), 0);
+  // Multiple-choice percentages are "share of voters who approved this option"
+  const voterCount = poll.voterCount ?? totalVotes;
+  const percentageBase = isMultiple ? voterCount : totalVotes;
+
+  const togglePending = (optionIndex) => {
+    setPendingIndexes((prev) =>
+      prev.includes(optionIndex) ? prev.filter((i) => i !== optionIndex) : [...prev, optionIndex]
+    );
+  };
+
+  const handleVote = async (optionIndexes) => {
+    if (!poll.allowAnonymous && !currentUser) {
+      setError("You must register / log in before voting on this poll.");
+      if (onRequireAuth) {
+        onRequireAuth();
+      }
+      return;
+    }
+
+    if (!isOpen) {
+      setError(status === "scheduled" ? "This poll is not open yet." : "This poll is closed.");
+      return;
+    }
+
+    if (votedIndexes !== null) {
+      setError("You have already voted. Clear your response to change your vote.");
+      return;
+    }
+
+    const selectionMessage = selectionError(poll, isText ? pendingText : optionIndexes);
+    if (selectionMessage) {
+      setError(selectionMessage);
+      return;
+    }
+
+    setError("");
+    setSubmittingVote(true);
+    try {
+      const res = await apiFetch(
+        `/polls/${poll._id}/vote`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...(isText
+              ? { text: pendingText.trim() }
+              : isRanked
+                ? { ranking: optionIndexes }
+                : { optionIndexes }),
+            attributes: ballotAttributes,
+          }),
+        }
+      );
+
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(apiErrorMessage(res, data, "Failed to vote"));
+      }
+
+      // Refresh from server so state is correctly updated
+      setVotedIndexes(optionIndexes);
+      setPendingIndexes([]);
+      if (isText) {
+        setVotedText(pendingText.trim());
+        setPendingText("");
+      }
+      if (onRefresh) onRefresh();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSubmittingVote(false);
+    }
+  };
+
+  const handleClearVote = async () => {
+    if (votedIndexes === null) {
+      setError("You have not voted yet.");
+      return;
+    }
+
+    // For non-anonymous polls, require login before clearing (so only that user can clear)
+    if (!poll.allowAnonymous && !currentUser) {
+      setError("You must register / log in before clearing your vote on this poll.");
+      if (onRequireAuth) {
+        onRequireAuth();
+      }
+      return;
+    }
+
+    setError("");
+    setSubmittingVote(true);
+    try {
+      const res = await apiFetch(
+        `/polls/${poll._id}/clear-vote`,
+        {
+          method: "POST",
+        }
+      );
+
+      if (!res.ok) {
+        const text = await res.text();
+        console.error("Clear vote failed. Status:", res.status, "Body:", text);
+        let message = "Failed to clear vote";
+        try {
+          message = apiErrorMessage(res, JSON.parse(text), message);
+        } catch {
+          // not JSON, fall back to raw text snippet
+          if (text && text.trim().length > 0) {
+            message = text.substring(0, 200);
+          }
+        }
+        throw new Error(message);
+      }
+
+      const updatedPoll = await res.json();
+      // don't mutate poll prop — let React re-render via onRefresh
+      void updatedPoll;
+      setVotedIndexes(null);
+      setVotedText(null);
+      // Sync UI fully with server
+      if (onRefresh) {
+        onRefresh();
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSubmittingVote(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!canManage || !onDelete) {
+      setError("Only admins and the poll's creator can delete polls.");
+      return;
+    }
+    if (!window.confirm("Are you sure you want to delete this poll? This action cannot be undone.")) {
+      return;
+    }
+
+    setError("");
+    setDeleting(true);
+    try {
+      await onDelete();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div style={styles.fadeIn}>
+      {!embedded && (
+        <div style={styles.buttonGroup}>
+          <button onClick={onBack} style={styles.button}>
+            ← Back to Polls
+          </button>
+          <button onClick={onRefresh} style={styles.button}>
+            🔄 Refresh
+          </button>
+          <button
+            onClick={async () => {
+              if (await copyToClipboard(pollUrl(poll))) {
+                setLinkCopied(true);
+                setTimeout(() => setLinkCopied(false), 2000);
+              }
+            }}
+            style={styles.button}
+            title={pollUrl(poll)}
+          >
+            {linkCopied ? "✅ Link Copied" : "🔗 Copy Link"}
+          </button>
+          <button onClick={() => setShowEmbed((shown) => !shown)} style={styles.button}>
+            🧩 Embed
+          </button>
+          <button onClick={() => setShowQr(true)} style={styles.button}>
+            📱 Show QR
+          </button>
+          <button
+            onClick={handleClearVote}
+            disabled={submittingVote || votedIndexes === null || !isOpen}
+            style={styles.secondaryButton}
+          >
+            Clear Response
+          </button>
+          {canManage && onDelete && (
+            <button
+              onClick={handleDelete}
+              disabled={deleting}
+              style={styles.dangerButton}
+            >
+              {deleting ? "Deleting..." : "🗑️ Delete"}
+            </button>
+          )}
+          {canManage && onPublishToggle && (
+            <button
+              onClick={() => onPublishToggle(!poll.published)}
+              style={poll.published ? styles.secondaryButton : styles.successButton}
+            >
+              {poll.published ? "👁️ Unpublish" : "✨ Publish Results"}
+            </button>
+          )}
+          {canManage && !editing && (
+            <button onClick={() => setEditing(true)} style={styles.secondaryButton}>
+              ✏️ Edit
+            </button>
+          )}
+          {canManage && onCloseToggle && status !== "scheduled" && (
+            <button
+              onClick={() => onCloseToggle(isOpen)}
+              style={isOpen ? styles.dangerButton : styles.successButton}
+            >
+              {isOpen ? "⏹️ Close Voting" : "▶️ Reopen Voting"}
+            </button>
+          )}
+        </div>
+      )}
+
+      {showEmbed && <EmbedCodePanel poll={poll} onClose={() => setShowEmbed(false)} />}
+      {showQr && <QrOverlay poll={poll} onClose={() => setShowQr(false)} />}
+      {canManage && !embedded && !editing && poll.visibility === "private" && (
+        <PollAccessPanel poll={poll} onChanged={onRefresh} />
+      )}
+
+      {editing && (
+        <PollEditForm
+          poll={poll}
+          onCancel={() => setEditing(false)}
+          onSaved={() => {
+            setEditing(false);
+            if (onRefresh) onRefresh();
+          }}
+        />
+      )}
+
+      {!editing && (
+        <div style={styles.pollDetailCard}>
+          <h2 style={styles.pollDetailTitle}>{poll.question}</h2>
+          <div style={styles.infoBadge}>
+            {poll.allowAnonymous ? (
+              <span>🔓 Anonymous voting enabled</span>
+            ) : (
+              <span>🔒 Non-anonymous voting</span>
+            )}
+          </div>
+          <div style={{ marginBottom: "16px" }}>
+            <PollVisibilityBadge poll={poll} />
+            <PollStatusBadge poll={poll} />
+          </div>
+          {status === "scheduled" && (
+            <div style={styles.emptyVotes}>
+              <p>⏳ Voting opens {new Date(poll.opensAt).toLocaleString()}.</p>
+            </div>
+          )}
+          {status === "closed" && (
+            <div style={styles.emptyVotes}>
+              <p>🔴 Voting has closed{poll.closedAt ? ` (${new Date(poll.closedAt).toLocaleString()})` : ""}.</p>
+            </div>
+          )}
+          {(isMultiple || isRanked) && (
+            <div style={{ ...styles.infoBadge, marginLeft: "8px" }}>
+              {isRanked ? "🔢 Rank" : "☑️ Choose"}{" "}
+              {poll.minSelections === poll.maxSelections
+                ? poll.maxSelections
+                : `${poll.minSelections}–${poll.maxSelections}`}
+            </div>
+          )}
+
+          {resultsHidden && (
+            <div style={styles.emptyVotes}>
+              <p>
+                🙈 Results are hidden.{" "}
+                {RESULTS_HIDDEN_REASONS[poll.resultsVisibility] || RESULTS_HIDDEN_REASONS.after_publish}
+              </p>
+            </div>
+          )}
+
+          {votedIndexes === null && isOpen && missingAttributeFields.length > 0 && (
+            <details style={styles.ballotDetails}>
+              <summary style={styles.label}>🏷️ About you (optional)</summary>
+              <AttributeInputs
+                fields={missingAttributeFields}
+                values={ballotAttributes}
+                onChange={setBallotAttributes}
+                disabled={submittingVote}
+              />
+            </details>
+          )}
+
+          {isScale && (
+            <ScaleBallot
+              poll={poll}
+              value={votedIndexes || []}
+              disabled={submittingVote || votedIndexes !== null || !isOpen}
+              onChange={(picked) => handleVote(picked)}
+            />
+          )}
+          {isScale && !resultsHidden && <ScaleResults poll={poll} />}
+
+          {!isScale && (
+            <div style={styles.optionsContainer}>
+              {poll.options && Array.isArray(poll.options) && poll.options.map((opt, index) => {
+                const percentage = percentageBase
+                  ? ((opt.votes / percentageBase) * 100).toFixed(1)
+                  : 0;
+                const isSelected = votedIndexes !== null && votedIndexes.includes(index);
+                return (
+                  <div key={index} style={styles.optionCard}>
+                    <div style={styles.optionHeader}>
+                      <span style={styles.optionText}>{opt.text}</span>
+                      {!resultsHidden && (
+                        <div style={styles.voteCount}>
+                          <strong>{opt.votes}</strong>{" "}
+                          {isRanked ? "first choice" : "vote"}
+                          {opt.votes !== 1 ? "s" : ""} — {percentage}%
+                        </div>
+                      )}
+                    </div>
+                    {!resultsHidden && (
+                      <div style={styles.progressBarOuter}>
+                        <div
+                          style={{
+                            ...styles.progressBarInner,
+                            width: `${percentage}%`,
+                            transition: "width 0.6s ease-out",
+                          }}
+                        ></div>
+                      </div>
+                    )}
+                    {isRanked ? (
+                      isSelected && (
+                        <div style={styles.checkboxLabel}>
+                          ✓ You ranked this #{votedIndexes.indexOf(index) + 1}
+                        </div>
+                      )
+                    ) : isMultiple ? (
+                      <label style={styles.checkboxLabel}>
+                        <input
+                          type="checkbox"
+                          checked={isSelected || pendingIndexes.includes(index)}
+                          disabled={submittingVote || votedIndexes !== null || !isOpen}
+                          onChange={() => togglePending(index)}
+                          style={{ width: "18px", height: "18px", cursor: "pointer" }}
+                        />
+                        <span>{isSelected ? "✓ Voted" : "Select"}</span>
+                      </label>
+                    ) : (
+                      <button
+                        style={{
+                          ...styles.voteButton,
+                          ...(isSelected ? styles.votedButton : {}),
+                        }}
+                        disabled={submittingVote || !isOpen}
+                        onClick={() => handleVote([index])}
+                      >
+                        {submittingVote ? "⏳ Submitting..." : isSelected ? "✓ Voted" : "🗳️ Vote"}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {isMultiple && isOpen && votedIndexes === null && (
+            <button
+              style={{ ...styles.voteButton, marginTop: "20px" }}
+              disabled={submittingVote || pendingIndexes.length === 0}
+              onClick={() => handleVote([...pendingIndexes].sort((a, b) => a - b))}
+            >
+              {submittingVote
+                ? "⏳ Submitting..."
+                : `🗳️ Submit ${pendingIndexes.length} selection${pendingIndexes.length !== 1 ? "s" : ""}`}
+            </button>
+          )}
+
+          {isText && votedText !== null && (
+            <div style={styles.successMessage}>
+              <span>✓ Your response: “{votedText}”</span>
+            </div>
+          )}
+
+          {isText && isOpen && votedIndexes === null && (
+            <div style={styles.form}>
+              <textarea
+                style={styles.textArea}
+                value={pendingText}
+                maxLength={MAX_TEXT_RESPONSE_LENGTH}
+                onChange={(e) => setPendingText(e.target.value)}
+                placeholder="Type your answer..."
+              />
+              <button
+                style={styles.voteButton}
+                disabled={submittingVote || !pendingText.trim()}
+                onClick={() => handleVote([])}
+              >
+                {submittingVote ? "⏳ Submitting..." : "🗳️ Submit response"}
+              </button>
+            </div>
+          )}
+
+          {isRanked && isOpen && votedIndexes === null && (
+            <RankedBallot
+              poll={poll}
+              submitting={submittingVote}
+              onSubmit={(ranking) => handleVote(ranking)}
+            />
+          )}
+
+          {isMultiple && (
+            <div style={styles.footerInfo}>
+              <span>
+                <strong>{voterCount}</strong> voter{voterCount !== 1 ? "s" : ""}
+                {!resultsHidden && (
+                  <>
+                    {" "}· <strong>{totalVotes}</strong> approval{totalVotes !== 1 ? "s" : ""}
+                  </>
+                )}
+              </span>
+            </div>
+          )}
+
+          {isRanked && (
+            <div style={styles.footerInfo}>
+              <span>
+                <strong>{voterCount}</strong> ballot{voterCount !== 1 ? "s" : ""} · see the Dashboard
+                for round-by-round instant-runoff results
+              </span>
+            </div>
+          )}
+
+          {isText && !resultsHidden && <TextResponses poll={poll} canManage={canManage} />}
+
+          {voterCount === 0 && isOpen && (
+            <div style={styles.emptyVotes}>
+              <p>🌟 No votes yet. Be the first to vote!</p>
+            </div>
+          )}
+
+          {error && (
+            <div style={styles.errorMessage}>
+              <span>⚠️ {error}</span>
+            </div>
+          )}
+
+          {!resultsHidden && !embedded && <VoteTimeline poll={poll} />}
+
+          {!resultsHidden && !embedded && (
+            <ExportButtons path={`/polls/${poll._id}/export`} label="Download results" />
+          )}
+
+          <div style={styles.footerInfo}>
+            {embedded ? (
+              <span>
+                {live ? "🟢 Live" : "🔄 Auto-refreshing"} ·{" "}
+                <a href={pollUrl(poll)} target="_blank" rel="noopener noreferrer">
+                  Open in CrowdVoice ↗
+                </a>
+              </span>
+            ) : (
+              <span>
+                {live ? "🟢 Live" : "🔄 Auto-refreshing"} · Last updated:{" "}
+                {new Date(poll.updatedAt || poll.createdAt).toLocaleString()}
+                {poll.edits && poll.edits.length > 0 && ` · Options edited ${poll.edits.length}×`}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ====== Embedded Poll Widget ======
+// /embed/:id shows one poll's ballot and live results without the app's
+// header and nav, for iframes on other sites. The server's GET /api/oembed
+// returns the same iframe for oEmbed consumers.
+const EMBED_SIZES = {
+  small: { label: "Small", width: 320, height: 420 },
+  medium: { label: "Medium", width: 480, height: 560 },
+  large: { label: "Large", width: 640, height: 720 },
+};
+
+function embedSnippet(poll, width, height) {
+  const src = pollUrl(poll, "embed");
+  const title = poll.question.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+  return `<iframe src="${src}" width="${width}" height="${height}" title="${title}" style="border:0;max-width:100%" loading="lazy"></iframe>`;
+}
+
+// Generates the iframe snippet for a poll in a chosen size
+function EmbedCodePanel({ poll, onClose }) {
+  const [size, setSize] = useState("medium");
+  const [customSize, setCustomSize] = useState(EMBED_SIZES.medium);
+  const [copied, setCopied] = useState(false);
+
+  const { width, height } = size === "custom" ? customSize : EMBED_SIZES[size];
+  const snippet = embedSnippet(poll, width, height);
+
+  return (
+    <div style={styles.formCard}>
+      <h3 style={styles.sectionTitle}>🧩 Embed this poll</h3>
+      <p style={styles.sectionSubtitle}>
+        Paste this code into any web page to show the ballot and live results.
+      </p>
+      <div style={styles.scaleRow}>
+        {Object.entries(EMBED_SIZES).map(([key, preset]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setSize(key)}
+            style={size === key ? styles.activeButton : styles.button}
+          >
+            {preset.label} ({preset.width}×{preset.height})
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setSize("custom")}
+          style={size === "custom" ? styles.activeButton : styles.button}
+        >
+          Custom
+        </button>
+      </div>
+      {size === "custom" && (
+        <div style={styles.filterBar}>
+          {["width", "height"].map((dimension) => (
+            <label key={dimension} style={styles.filterField}>
+              {dimension === "width" ? "Width (px)" : "Height (px)"}
+              <input
+                type="number"
+                min={200}
+                max={2000}
+                style={styles.filterInput}
+                value={customSize[dimension]}
+                onChange={(e) =>
+                  setCustomSize((prev) => ({ ...prev, [dimension]: Number(e.target.value) || 0 }))
+                }
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      <textarea
+        readOnly
+        style={{ ...styles.textArea, minHeight: "80px", marginTop: "16px", fontFamily: "monospace" }}
+        value={snippet}
+        onFocus={(e) => e.target.select()}
+      />
+      <div style={styles.buttonGroup}>
+        <button
+          type="button"
+          onClick={async () => {
+            if (await copyToClipboard(snippet)) {
+              setCopied(true);
+              setTimeout(() => setCopied(false), 2000);
+            }
+          }}
+          style={styles.successButton}
+        >
+          {copied ? "✅ Copied" : "📋 Copy Code"}
+        </button>
+        <button type="button" onClick={onClose} style={styles.secondaryButton}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Root component for /embed/:id (see index.js). Voting on polls that need
+// an account uses the app's login when the browser shares it with the frame;
+// otherwise the voter is sent to the full app in a new tab.
+function EmbedApp() {
+  const [pollId] = useState(() => claimRouteFromLocation().id);
+  const [poll, setPoll] = useState(null);
+  const [error, setError] = useState("");
+  const [currentUser, setCurrentUser] = useState(null);
+
+  const fetchPoll = useCallback(async () => {
+    try {
+      const res = await apiFetch(`/polls/${pollId}`);
+      const data = await res.json();
+      if (!res.ok) {
+        const notFound = res.status === 404 || res.status === 400;
+        setError(notFound ? "This poll doesn't exist or has been deleted." : data.message || "Could not load the poll.");
+        return;
+      }
+      setError("");
+      setPoll(data);
+    } catch (err) {
+      console.error("Error fetching poll", err);
+      setError("Could not load the poll. Please try again.");
+    }
+  }, [pollId]);
+
+  useEffect(() => {
+    fetchPoll();
+  }, [fetchPoll]);
+
+  useEffect(() => {
+    if (!getStoredToken()) return;
+    apiFetch("/auth/me")
+      .then(async (res) => {
+        if (res.ok) setCurrentUser((await res.json()).user);
+      })
+      .catch((err) => console.error("Error restoring session", err));
+  }, []);
+
+  const streamStatus = useEventStream(poll ? `/polls/${pollId}/stream` : null, {
+    poll: setPoll,
+    "poll-deleted": () => {
+      setPoll(null);
+      setError("This poll has been deleted.");
+    },
+  });
+
+  // Fallback when streaming isn't available: refetch every 3 seconds
+  useEffect(() => {
+    if (streamStatus !== "unavailable") return undefined;
+    const intervalId = setInterval(fetchPoll, 3000);
+    return () => clearInterval(intervalId);
+  }, [streamStatus, fetchPoll]);
+
+  return (
+    <div style={styles.embedContainer}>
+      {error && (
+        <div style={styles.errorMessage}>
+          <span>⚠️ {error}</span>
+        </div>
+      )}
+      {!error && !poll && <LoadingSpinner />}
+      {!error && poll && (
+        <PollDetail
+          poll={poll}
+          embedded
+          currentUser={currentUser}
+          onRefresh={fetchPoll}
+          onRequireAuth={() => window.open(pollUrl(poll), "_blank", "noopener")}
+          canManage={false}
+          live={streamStatus === "open"}
+        />
+      )}
+    </div>
+  );
+}
+
+// ====== QR Code Overlay ======
+// Full-screen QR code for a poll's link, big enough for the audience to scan
+// off a projector. The server draws the code (GET /api/polls/:id/qr).
+// Closes with Escape or a click outside the card. Rendered into <body> so the
+// animated (transformed) views around it can't clip the fixed overlay.
+function QrOverlay({ poll, onClose }) {
+  const [error, setError] = useState("");
+  const [imageUrl, setImageUrl] = useState(null);
+  const accessToken = pollAccessToken(poll);
+  const hasLink = poll.visibility !== "private" || Boolean(accessToken);
+
+  // A plain <img src> can't send the session token, which polls outside the
+  // default workspace need, so the image is fetched and shown as a blob
+  useEffect(() => {
+    if (!hasLink) return;
+    let cancelled = false;
+    let url = null;
+    apiFetch(`/polls/${poll._id}/qr?format=svg`)
+      .then(async (res) => {
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.message || "Could not load the QR code.");
+        }
+        const blob = await res.blob();
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch((err) => {
+        console.error("Error loading QR code", err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [poll._id, hasLink, accessToken]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleDownload = async () => {
+    setError("");
+    try {
+      await downloadApiFile(`/polls/${poll._id}/qr?format=png&download=true`, "poll-qr.png");
+    } catch (err) {
+      console.error("Error downloading QR code", err);
+      setError(err.message);
+    }
+  };
+
+  return createPortal(
+    <div style={styles.qrOverlay} onClick={onClose} role="dialog" aria-modal="true" aria-label="Poll QR code">
+      <div style={styles.qrCard} onClick={(e) => e.stopPropagation()}>
+        <h2 style={styles.qrQuestion}>{poll.question}</h2>
+        {!hasLink ? (
+          <p style={styles.emptyText}>
+            🔐 This private poll has no invite code, so there is no link to scan. Generate one first.
+          </p>
+        ) : (
+          <>
+            {imageUrl ? (
+              <img src={imageUrl} alt={`QR code linking to ${pollUrl(poll)}`} style={styles.qrImage} />
+            ) : (
+              !error && <p style={styles.loadingText}>Loading...</p>
+            )}
+            <p style={styles.qrLink}>📱 Scan to vote · {pollUrl(poll)}</p>
+          </>
+        )}
+        {error && <div style={styles.errorMessage}>⚠️ {error}</div>}
+        <div style={{ ...styles.buttonGroup, justifyContent: "center", margin: "16px 0 0" }}>
+          {hasLink && (
+            <button onClick={handleDownload} style={styles.button}>
+              ⬇️ Download PNG
+            </button>
+          )}
+          <button onClick={onClose} style={styles.secondaryButton}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+// ====== Poll Edit Form (admins / poll creator) ======
+// Question and option wording can always change, and options can be added.
+// Removing or reordering options that have votes needs a second, explicit
+// confirmation; the server then remaps the affected ballots.
+let nextNewOptionKey = 0;
+
+function PollEditForm({ poll, onSaved, onCancel }) {
+  const [question, setQuestion] = useState(poll.question);
+  const [options, setOptions] = useState(() =>
+    poll.options.map((opt) => ({ key: opt._id, _id: opt._id, text: opt.text, votes: opt.votes }))
+  );
+  const [resultsVisibility, setResultsVisibility] = useState(poll.resultsVisibility || "always");
+  const [visibility, setVisibility] = useState(poll.visibility || "public");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const updateText = (index, text) => {
+    setOptions((prev) => prev.map((opt, i) => (i === index ? { ...opt, text } : opt)));
+  };
+
+  const move = (index, delta) => {
+    setOptions((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + delta, 0, moved);
+      return next;
+    });
+  };
+
+  const remove = (index) => {
+    setOptions((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const add = () => {
+    nextNewOptionKey += 1;
+    setOptions((prev) => [...prev, { key: `new-${nextNewOptionKey}`, text: "", votes: 0 }]);
+  };
+
+  // Free-text, scale and NPS polls have no editable options
+  const isText = !OPTION_POLL_TYPES.includes(poll.type);
+
+  const save = async (confirm = false) => {
+    setError("");
+    if (!question.trim()) {
+      setError("Please enter a question.");
+      return;
+    }
+    if (!isText && (options.length < 2 || options.some((opt) => !opt.text.trim()))) {
+      setError("Please enter a question and at least two non-empty options.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await apiFetch(`/polls/${poll._id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           question: question.trim(),
-          options: trimmedOptions,
-          allowAnonymous,
+          ...(!isText && {
+            options: options.map((opt) =>
+              opt._id ? { _id: opt._id, text: opt.text.trim() } : { text: opt.text.trim() }
+            ),
+          }),
+          resultsVisibility,
+          ...(!poll.survey && { visibility }),
+          confirm,
         }),
       });
+      const data = await res.json();
 
+      if (res.status === 409 && data.requiresConfirmation) {
+        const lines = [
+          ...data.removedOptions.map((opt) => `• Remove "${opt.text}"`),
+          ...data.movedOptions.map((opt) => `• Move "${opt.text}" from #${opt.from + 1} to #${opt.to + 1}`),
+        ];
+        const proceed = window.confirm(
+          `These options already have votes:\n\n${lines.join("\n")}\n\n` +
+            "Votes for removed options will be discarded, and voters left with too few choices can vote again. Continue?"
+        );
+        setSaving(false);
+        if (proceed) await save(true);
+        return;
+      }
       if (!res.ok) {
-        const data = await res.json();
-        throw new Error(data.message || "Failed to create poll");
+        throw new Error(data.message || "Failed to save poll");
       }
 
-      const createdPoll = await res.json();
-      onCreated(createdPoll);
-
-      // Reset form
-      setQuestion("");
-      setOptions(["", ""]);
-      setAllowAnonymous(true);
+      onSaved(data);
     } catch (err) {
       console.error(err);
       setError(err.message);
     } finally {
-      setSubmitting(false);
+      setSaving(false);
     }
   };
 
   return (
-    <div style={styles.fadeIn}>
-      <h2 style={styles.sectionTitle}>✨ Create a New Poll</h2>
-      <form onSubmit={handleSubmit} style={styles.form}>
+    <div style={styles.pollDetailCard}>
+      <h2 style={styles.pollDetailTitle}>✏️ Edit Poll</h2>
+      <div style={styles.form}>
         <label style={styles.label}>
           Question:
           <input
             style={styles.input}
             value={question}
             onChange={(e) => setQuestion(e.target.value)}
-            placeholder="What do you want to ask?"
           />
         </label>
 
-        <div style={{ marginTop: "20px" }}>
-          <div style={styles.label}>Options:</div>
-          {options.map((opt, index) => (
-            <div key={index} style={styles.optionRow}>
-              <input
-                style={styles.input}
-                value={opt}
-                onChange={(e) => handleOptionChange(index, e.target.value)}
-                placeholder={`Option ${index + 1}`}
-              />
-              {options.length > 2 && (
+        {!isText && (
+          <div>
+            <div style={styles.label}>Options:</div>
+            {options.map((opt, index) => (
+              <div key={opt.key} style={styles.optionRow}>
+                <input
+                  style={styles.input}
+                  value={opt.text}
+                  onChange={(e) => updateText(index, e.target.value)}
+                  placeholder={`Option ${index + 1}`}
+                />
+                <span style={{ ...styles.dateText, whiteSpace: "nowrap" }}>
+                  {opt.votes} vote{opt.votes !== 1 ? "s" : ""}
+                </span>
+                <button
+                  type="button"
+                  style={styles.rankButton}
+                  disabled={index === 0}
+                  onClick={() => move(index, -1)}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  style={styles.rankButton}
+                  disabled={index === options.length - 1}
+                  onClick={() => move(index, 1)}
+                  title="Move down"
+                >
+                  ↓
+                </button>
                 <button
                   type="button"
-                  onClick={() => removeOption(index)}
+                  onClick={() => remove(index)}
                   style={styles.smallButton}
+                  disabled={options.length <= 2}
                   title="Remove option"
                 >
                   ✕
                 </button>
-              )}
-            </div>
-          ))}
-          <button
-            type="button"
-            onClick={addOption}
-            style={{ ...styles.secondaryButton, marginTop: "12px" }}
-          >
-            ➕ Add Option
-          </button>
-        </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={add}
+              style={{ ...styles.secondaryButton, marginTop: "12px" }}
+            >
+              ➕ Add Option
+            </button>
+          </div>
+        )}
 
-        <label style={{ ...styles.label, marginTop: "20px", display: "flex", alignItems: "center", gap: "8px", cursor: "pointer" }}>
-          <input
-            type="checkbox"
-            checked={allowAnonymous}
-            onChange={(e) => setAllowAnonymous(e.target.checked)}
-            style={{ width: "18px", height: "18px", cursor: "pointer" }}
-          />
-          <span>Allow anonymous voting</span>
-        </label>
+        <ResultsVisibilitySelect value={resultsVisibility} onChange={setResultsVisibility} />
+        {!poll.survey && <PollVisibilitySelect value={visibility} onChange={setVisibility} />}
 
         {error && (
           <div style={styles.errorMessage}>
@@ -492,445 +4805,597 @@ function CreatePollForm({ onCreated }) {
           </div>
         )}
 
-        <button
-          type="submit"
-          style={{ ...styles.button, marginTop: "24px", width: "100%" }}
-          disabled={submitting}
-        >
-          {submitting ? "⏳ Creating..." : "🚀 Create Poll"}
-        </button>
-      </form>
+        <div style={styles.buttonGroup}>
+          <button type="button" style={styles.button} disabled={saving} onClick={() => save()}>
+            {saving ? "⏳ Saving..." : "💾 Save Changes"}
+          </button>
+          <button type="button" style={styles.secondaryButton} disabled={saving} onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
     </div>
   );
 }
 
-// ====== Admin Panel (only admin can create polls) ======
-function AdminPanel({ isAdmin, onAdminLogin, onAdminLogout, onCreated }) {
-  const [code, setCode] = useState("");
-  const [error, setError] = useState("");
+// ====== Ranked Ballot Component ======
+// Drag options into "Your ranking" and drag them up or down to reorder
+// (the arrow buttons do the same without a mouse). Options left in
+// "Not ranked" are left off the ballot, which makes it a partial ranking.
+// Pass ranking/onRankingChange to control it from outside (SurveyRunner);
+// without onSubmit there is no submit button.
+function RankedBallot({ poll, submitting, onSubmit, ranking: value, onRankingChange }) {
+  const [ownRanking, setOwnRanking] = useState([]);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const ranking = value ?? ownRanking;
+  const setRanking = (update) => {
+    const next = update(ranking);
+    if (onRankingChange) onRankingChange(next);
+    else setOwnRanking(next);
+  };
 
-  const ADMIN_CODE = "admin123"; // demo-only; change as needed
+  const unranked = poll.options.map((_, i) => i).filter((i) => !ranking.includes(i));
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (code === ADMIN_CODE) {
-      onAdminLogin();
-      setError("");
-    } else {
-      setError("Invalid admin code.");
-    }
+  const placeAt = (optionIndex, position) => {
+    setRanking((prev) => {
+      const next = prev.filter((i) => i !== optionIndex);
+      next.splice(Math.min(position, next.length), 0, optionIndex);
+      return next;
+    });
+  };
+
+  const unrank = (optionIndex) => {
+    setRanking((prev) => prev.filter((i) => i !== optionIndex));
   };
 
+  const dropProps = (onDrop) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (draggedIndex !== null) onDrop(draggedIndex);
+      setDraggedIndex(null);
+    },
+  });
+
+  const dragProps = (optionIndex) => ({
+    draggable: !submitting,
+    onDragStart: () => setDraggedIndex(optionIndex),
+    onDragEnd: () => setDraggedIndex(null),
+  });
+
   return (
-    <div style={styles.fadeIn}>
-      <h2 style={styles.sectionTitle}>🔐 Admin Area</h2>
-      {!isAdmin && (
-        <>
-          <p style={styles.sectionSubtitle}>
-            Only administrators can create new polls. Enter the admin code to continue.
-          </p>
-          <div style={styles.formCard}>
-            <form onSubmit={handleSubmit} style={styles.form}>
-              <label style={styles.label}>
-                Admin code:
-                <input
-                  style={styles.input}
-                  type="password"
-                  value={code}
-                  onChange={(e) => setCode(e.target.value)}
-                  placeholder="Enter admin code"
-                />
-              </label>
-              {error && (
-                <div style={styles.errorMessage}>
-                  <span>⚠️ {error}</span>
-                </div>
-              )}
-              <button type="submit" style={{ ...styles.button, marginTop: "16px", width: "100%" }}>
-                🔑 Login as Admin
-              </button>
-            </form>
+    <div style={styles.rankedBallot}>
+      <div style={styles.rankColumn} {...dropProps((i) => placeAt(i, ranking.length))}>
+        <div style={styles.label}>Your ranking</div>
+        {ranking.length === 0 && (
+          <div style={styles.rankPlaceholder}>Drag options here, most preferred first</div>
+        )}
+        {ranking.map((optionIndex, position) => (
+          <div
+            key={optionIndex}
+            style={styles.rankItem}
+            {...dragProps(optionIndex)}
+            {...dropProps((i) => placeAt(i, position))}
+          >
+            <span style={styles.rankNumber}>#{position + 1}</span>
+            <span style={styles.optionText}>{poll.options[optionIndex].text}</span>
+            <button
+              type="button"
+              style={styles.rankButton}
+              disabled={position === 0}
+              onClick={() => placeAt(optionIndex, position - 1)}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              style={styles.rankButton}
+              disabled={position === ranking.length - 1}
+              onClick={() => placeAt(optionIndex, position + 1)}
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              style={styles.rankButton}
+              onClick={() => unrank(optionIndex)}
+              title="Remove from ranking"
+            >
+              ✕
+            </button>
           </div>
-        </>
-      )}
+        ))}
+      </div>
 
-      {isAdmin && (
-        <>
-          <div style={styles.successMessage}>
-            <span>✅ You are logged in as admin. You can create new polls below.</span>
+      <div style={styles.rankColumn} {...dropProps(unrank)}>
+        <div style={styles.label}>Not ranked</div>
+        {unranked.map((optionIndex) => (
+          <div key={optionIndex} style={styles.rankItem} {...dragProps(optionIndex)}>
+            <span style={styles.optionText}>{poll.options[optionIndex].text}</span>
+            <button
+              type="button"
+              style={styles.rankButton}
+              onClick={() => placeAt(optionIndex, ranking.length)}
+              title="Add to ranking"
+            >
+              ＋
+            </button>
           </div>
-          <button
-            type="button"
-            onClick={onAdminLogout}
-            style={{
-              ...styles.secondaryButton,
-              marginBottom: "24px",
-            }}
-          >
-            🚪 Log out as Admin
-          </button>
-          <CreatePollForm onCreated={onCreated} />
-        </>
+        ))}
+      </div>
+
+      {onSubmit && (
+        <button
+          style={{ ...styles.voteButton, gridColumn: "1 / -1" }}
+          disabled={submitting || ranking.length === 0}
+          onClick={() => onSubmit(ranking)}
+        >
+          {submitting ? "⏳ Submitting..." : `🗳️ Submit ranking (${ranking.length} ranked)`}
+        </button>
       )}
     </div>
   );
 }
 
-// ====== Simple Registration / Login Component ======
-// This is a purely front-end "registration" that stores the user's
-// display name in localStorage. Non-anonymous polls will require a
-// user to be set before voting.
-function AuthForm({ currentUser, onUserChange, onDone }) {
-  const [name, setName] = useState(currentUser?.name || "");
+// ====== Ranked Results (instant-runoff rounds) ======
+function RankedResults({ poll }) {
+  const [results, setResults] = useState(null);
   const [error, setError] = useState("");
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    const trimmed = name.trim();
-    if (!trimmed) {
-      setError("Please enter a name.");
-      return;
+  // Re-tabulate whenever a ballot is cast or cleared
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/results`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load results");
+        if (!cancelled) setResults(data);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll._id, poll.voterCount, poll.updatedAt]);
+
+  if (error) {
+    return (
+      <div style={styles.errorMessage}>
+        <span>⚠️ {error}</span>
+      </div>
+    );
+  }
+  if (!results) {
+    return <div style={styles.noVotesChart}>Tabulating...</div>;
+  }
+  return <RankedRounds results={results} />;
+}
+
+// Round-by-round table for a GET .../results response of a ranked poll
+function RankedRounds({ results }) {
+  if (results.voterCount === 0) {
+    return (
+      <div style={styles.noVotesChart}>
+        <p>No votes yet</p>
+      </div>
+    );
+  }
+
+  const optionText = (i) => results.options[i].text;
+
+  return (
+    <div style={styles.chartContainer}>
+      <div style={styles.rankWinner}>
+        {results.winner !== null
+          ? `🏆 Winner: ${optionText(results.winner)}`
+          : results.tied.length > 0
+            ? `🤝 Tie: ${results.tied.map(optionText).join(", ")}`
+            : "No winner"}
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.roundsTable}>
+          <thead>
+            <tr>
+              <th style={styles.roundsCell}>Option</th>
+              {results.rounds.map((round) => (
+                <th key={round.round} style={styles.roundsCell}>
+                  Round {round.round}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {results.options.map((opt, i) => (
+              <tr key={i}>
+                <td style={styles.roundsCell}>{opt.text}</td>
+                {results.rounds.map((round) => (
+                  <td
+                    key={round.round}
+                    style={{
+                      ...styles.roundsCell,
+                      ...(round.eliminated.includes(i) ? styles.eliminatedCell : {}),
+                    }}
+                  >
+                    {round.counts[i] === null ? "—" : round.counts[i]}
+                    {round.eliminated.includes(i) && " ✕"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td style={styles.roundsCell}>Exhausted</td>
+              {results.rounds.map((round) => (
+                <td key={round.round} style={styles.roundsCell}>
+                  {round.exhausted}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ====== Free-Text Responses ======
+// Same limit as MAX_TEXT_RESPONSE_LENGTH on the server
+const MAX_TEXT_RESPONSE_LENGTH = 2000;
+
+// Searchable, paged list of a free-text poll's responses. Managers also see
+// hidden responses and can hide or show each one.
+function TextResponses({ poll, canManage }) {
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [responses, setResponses] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPage = useCallback(
+    async (cursor) => {
+      const params = new URLSearchParams({ limit: String(POLL_PAGE_SIZE) });
+      if (query) params.set("q", query);
+      if (cursor) params.set("cursor", cursor);
+      const res = await apiFetch(`/polls/${poll._id}/responses?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to load responses");
+      return data;
+    },
+    [poll._id, query]
+  );
+
+  // Reload from the top when the search changes or responses come and go
+  useEffect(() => {
+    let cancelled = false;
+    loadPage(null)
+      .then((data) => {
+        if (cancelled) return;
+        setResponses(data.responses);
+        setNextCursor(data.nextCursor);
+        setError("");
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadPage, poll.voterCount, poll.updatedAt]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await loadPage(nextCursor);
+      setResponses((prev) => [...prev, ...data.responses]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
     }
-    onUserChange({ name: trimmed });
-    setError("");
-    onDone();
   };
 
-  const handleLogout = () => {
-    onUserChange(null);
-    setName("");
+  const toggleHidden = async (response) => {
+    try {
+      const res = await apiFetch(`/polls/${poll._id}/responses/${response._id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ hidden: !response.hidden }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || "Failed to update response");
+      setResponses((prev) => prev.map((r) => (r._id === data._id ? data : r)));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
   };
 
   return (
-    <div style={styles.fadeIn}>
-      <h2 style={styles.sectionTitle}>👤 Register / Login</h2>
-      <p style={styles.sectionSubtitle}>
-        Set a display name to vote on polls that do not allow anonymous voting.
-      </p>
-      <div style={styles.formCard}>
-        {currentUser && (
-          <div style={styles.successMessage}>
-            <span>✅ Logged in as: <strong>{currentUser.name}</strong></span>
-          </div>
-        )}
-        <form onSubmit={handleSubmit} style={styles.form}>
-          <label style={styles.label}>
-            Display name:
-            <input
-              style={styles.input}
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              placeholder="Enter your name"
-            />
-          </label>
-          {error && (
-            <div style={styles.errorMessage}>
-              <span>⚠️ {error}</span>
-            </div>
-          )}
-          <button type="submit" style={{ ...styles.button, marginTop: "16px", width: "100%" }}>
-            💾 Save
-          </button>
-          {currentUser && (
-            <button
-              type="button"
-              onClick={handleLogout}
-              style={{
-                ...styles.secondaryButton,
-                marginTop: "12px",
-                width: "100%",
-              }}
-            >
-              🚪 Log out
-            </button>
-          )}
-        </form>
-      </div>
+    <div style={{ marginTop: "24px" }}>
+      <form
+        style={styles.filterBar}
+        onSubmit={(e) => {
+          e.preventDefault();
+          setQuery(search.trim());
+        }}
+      >
+        <input
+          style={{ ...styles.filterInput, flex: 1 }}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search responses..."
+        />
+        <button type="submit" style={styles.secondaryButton}>
+          🔍 Search
+        </button>
+      </form>
+
+      {error && <div style={styles.errorMessage}>⚠️ {error}</div>}
+      {responses.length === 0 && !error && (
+        <div style={styles.emptyVotes}>
+          <p>{query ? "No responses match your search." : "No responses yet."}</p>
+        </div>
+      )}
+      {responses.map((response) => (
+        <div
+          key={response._id}
+          style={{ ...styles.optionCard, ...(response.hidden ? styles.hiddenResponse : {}) }}
+        >
+          <div style={styles.optionHeader}>
+            <span style={styles.optionText}>{response.text}</span>
+            {canManage && (
+              <button onClick={() => toggleHidden(response)} style={styles.smallButton}>
+                {response.hidden ? "Show" : "Hide"}
+              </button>
+            )}
+          </div>
+          <span style={styles.dateText}>
+            {new Date(response.createdAt).toLocaleString()}
+            {response.hidden && " · hidden"}
+          </span>
+        </div>
+      ))}
+      {nextCursor && (
+        <div style={styles.loadMoreRow}>
+          <button onClick={loadMore} disabled={loadingMore} style={styles.secondaryButton}>
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-// ====== Dashboard Component ======
-function Dashboard({ polls, onPollClick, isAdmin, onPublishToggle }) {
-  const publishedPolls = polls.filter((poll) => poll.published);
-  const COLORS = ["#6366f1", "#8b5cf6", "#ec4899", "#f59e0b", "#10b981", "#3b82f6", "#ef4444"];
+// Most frequent words in a free-text poll's responses (Dashboard)
+function WordFrequency({ poll }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
 
-  if (publishedPolls.length === 0) {
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/polls/${poll._id}/results`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load results");
+        if (!cancelled) setResults(data);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll._id, poll.voterCount, poll.updatedAt]);
+
+  if (error) {
     return (
-      <div style={styles.fadeIn}>
-        <div style={styles.emptyState}>
-          <div style={styles.emptyIcon}>📈</div>
-          <h2 style={styles.emptyTitle}>No Published Polls</h2>
-          <p style={styles.emptyText}>
-            Publish a poll to see its results displayed here in beautiful pie charts!
-          </p>
-        </div>
+      <div style={styles.errorMessage}>
+        <span>⚠️ {error}</span>
       </div>
     );
   }
+  if (!results) {
+    return <div style={styles.noVotesChart}>Counting words...</div>;
+  }
+  return <WordList words={results.words} />;
+}
 
-  return (
-    <div style={styles.fadeIn}>
-      <h2 style={styles.sectionTitle}>📊 Dashboard - Published Poll Results</h2>
-      <p style={styles.sectionSubtitle}>
-        View results of published polls in interactive pie chart format
-      </p>
-      <div style={styles.dashboardGrid}>
-        {publishedPolls.map((poll, index) => {
-          const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes, 0);
-          const chartData = poll.options.map((opt, idx) => ({
-            name: opt.text,
-            value: opt.votes,
-            percentage: totalVotes > 0 ? ((opt.votes / totalVotes) * 100).toFixed(1) : 0,
-          }));
-
-          return (
-            <div
-              key={poll._id}
-              style={{
-                ...styles.dashboardCard,
-                animationDelay: `${index * 0.15}s`,
-              }}
-              className="dashboard-card"
-            >
-              <h3 style={styles.dashboardCardTitle}>{poll.question}</h3>
-              {totalVotes === 0 ? (
-                <div style={styles.noVotesChart}>
-                  <p>No votes yet</p>
-                </div>
-              ) : (
-                <div style={styles.chartContainer}>
-                  <ResponsiveContainer width="100%" height={300}>
-                    <PieChart>
-                      <Pie
-                        data={chartData}
-                        cx="50%"
-                        cy="50%"
-                        labelLine={false}
-                        label={({ name, percentage }) => `${name}: ${percentage}%`}
-                        outerRadius={90}
-                        fill="#8884d8"
-                        dataKey="value"
-                        animationDuration={800}
-                      >
-                        {chartData.map((entry, idx) => (
-                          <Cell
-                            key={`cell-${idx}`}
-                            fill={COLORS[idx % COLORS.length]}
-                          />
-                        ))}
-                      </Pie>
-                      <Tooltip
-                        contentStyle={{
-                          backgroundColor: "rgba(255, 255, 255, 0.95)",
-                          border: "1px solid #e5e7eb",
-                          borderRadius: "8px",
-                          boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
-                        }}
-                      />
-                      <Legend
-                        wrapperStyle={{ fontSize: "0.85rem" }}
-                        iconType="circle"
-                      />
-                    </PieChart>
-                  </ResponsiveContainer>
-                </div>
-              )}
-              <div style={styles.dashboardCardFooter}>
-                <div style={styles.totalVotes}>
-                  <span style={styles.totalVotesLabel}>Total Votes:</span>
-                  <strong style={styles.totalVotesValue}>{totalVotes}</strong>
-                </div>
-                <div style={styles.dashboardButtons}>
-                  <button
-                    onClick={() => onPollClick(poll)}
-                    style={styles.button}
-                  >
-                    👁️ View Details
-                  </button>
-                  {isAdmin && (
-                    <button
-                      onClick={() => onPublishToggle(poll._id, false)}
-                      style={styles.secondaryButton}
-                    >
-                      Unpublish
-                    </button>
-                  )}
-                </div>
-              </div>
-            </div>
-          );
-        })}
+// Top words as bars scaled to the most frequent one
+function WordList({ words, limit = 15 }) {
+  if (words.length === 0) {
+    return (
+      <div style={styles.noVotesChart}>
+        <p>No responses yet</p>
       </div>
+    );
+  }
+  const top = words.slice(0, limit);
+  return (
+    <div style={styles.chartContainer}>
+      {top.map(({ word, count }) => (
+        <div key={word} style={styles.wordRow}>
+          <span style={styles.wordLabel}>{word}</span>
+          <div style={{ ...styles.progressBarOuter, margin: 0 }}>
+            <div style={{ ...styles.progressBarInner, width: `${(count / top[0].count) * 100}%` }} />
+          </div>
+          <strong>{count}</strong>
+        </div>
+      ))}
     </div>
   );
 }
 
-// ====== Poll Detail & Voting Component ======
-function PollDetail({
-  poll,
-  onBack,
-  onRefresh,
-  onDelete,
-  currentUser,
-  onRequireAuth,
-  isAdmin,
-  onPublishToggle,
-}) {
-  const [submittingVote, setSubmittingVote] = useState(false);
-  const [deleting, setDeleting] = useState(false);
-  const [error, setError] = useState("");
-  const [selectedOptionIndex, setSelectedOptionIndex] = useState(() => {
-    try {
-      const userKeyPart = currentUser?.name ? `_${currentUser.name}` : "";
-      const key = `pollVote_${poll._id}${userKeyPart}`;
-      const stored = localStorage.getItem(key);
-      return stored !== null ? Number(stored) : null;
-    } catch {
-      return null;
+// ====== Survey Runner Component ======
+// Same rules as parseSelection() on the server. `picked` is the option
+// indexes, or the answer text for free-text polls. Returns an error message
+// for a selection the poll won't accept, or null.
+function selectionError(poll, picked) {
+  if (poll.type === "text") {
+    if (!picked.trim()) return "Please enter a response.";
+    if (picked.trim().length > MAX_TEXT_RESPONSE_LENGTH) {
+      return `Responses can be at most ${MAX_TEXT_RESPONSE_LENGTH} characters.`;
     }
-  });
+  } else if (poll.type === "multiple" || poll.type === "ranked") {
+    if (picked.length < poll.minSelections || picked.length > poll.maxSelections) {
+      const verb = poll.type === "ranked" ? "Rank" : "Select";
+      return poll.minSelections === poll.maxSelections
+        ? `${verb} exactly ${poll.minSelections} option(s).`
+        : `${verb} between ${poll.minSelections} and ${poll.maxSelections} options.`;
+    }
+  } else if (picked.length !== 1) {
+    return "Select exactly one option.";
+  }
+  return null;
+}
 
-  const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes, 0);
+// Walks the respondent through a survey one question at a time. Answers are
+// saved as a draft on the server whenever they move between questions (or
+// press "Save and finish later"), so they can come back and resume; nothing
+// is counted until the whole survey is submitted.
+function SurveyRunner({ surveyId, currentUser, canManage, onBack, onRequireAuth }) {
+  const [survey, setSurvey] = useState(null);
+  // Option indexes picked so far (answer text for free-text questions), by question id
+  const [answers, setAnswers] = useState({});
+  const [step, setStep] = useState(0);
+  const [submittedAt, setSubmittedAt] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
 
-  const handleVote = async (optionIndex) => {
-    if (!poll.allowAnonymous && !currentUser) {
-      setError("You must register / log in before voting on this poll.");
-      if (onRequireAuth) {
-        onRequireAuth();
-      }
-      return;
-    }
+  const now = useNow();
 
-    if (selectedOptionIndex !== null && selectedOptionIndex !== optionIndex) {
-      setError("You have already voted. Clear your response to change your vote.");
-      return;
-    }
+  const loadSurvey = useCallback(async () => {
+    const res = await apiFetch(`/surveys/${surveyId}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || "Failed to load survey");
+    setSurvey(data);
+    return data;
+  }, [surveyId]);
 
-    if (selectedOptionIndex === optionIndex) {
-      setError("You have already voted for this option.");
-      return;
-    }
+  // Restore saved answers and continue at the first unanswered question
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      loadSurvey(),
+      apiFetch(`/surveys/${surveyId}/response`).then((res) => (res.ok ? res.json() : null)),
+    ])
+      .then(([loaded, response]) => {
+        if (cancelled || !response) return;
+        const saved = Object.fromEntries(
+          response.answers.map((answer) => [answer.question, answer.text ?? answer.optionIndexes])
+        );
+        const firstUnanswered = loaded.questions.findIndex((q) => !isAnswered(saved[q._id]));
+        setAnswers(saved);
+        setSubmittedAt(response.submittedAt);
+        setStep(firstUnanswered === -1 ? loaded.questions.length - 1 : firstUnanswered);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [surveyId, loadSurvey, currentUser]);
 
-    setError("");
-    setSubmittingVote(true);
-    try {
-      const res = await fetch(
-        `${API_URL}/polls/${poll._id}/vote`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ optionIndex }),
-        }
+  if (!survey) {
+    return error ? (
+      <div style={styles.errorMessage}>
+        <span>⚠️ {error}</span>
+      </div>
+    ) : (
+      <LoadingSpinner />
+    );
+  }
+
+  const questions = survey.questions;
+  const question = questions[step];
+  const status = getPollStatus(survey, now);
+  const isOpen = status === "open";
+  const mayManage = canManage(survey);
+  const needsLogin = !survey.allowAnonymous && !currentUser;
+  const answeredCount = questions.filter((q) => isAnswered(answers[q._id])).length;
+  const answerOf = (q) => answers[q._id] ?? (q.type === "text" ? "" : []);
+
+  const answerList = () =>
+    questions
+      .filter((q) => isAnswered(answers[q._id]))
+      .map((q) =>
+        q.type === "text"
+          ? { question: q._id, text: answers[q._id] }
+          : { question: q._id, optionIndexes: answers[q._id] }
       );
 
-      if (!res.ok) {
-        const data = await res.json();
-        throw new Error(data.message || "Failed to vote");
-      }
+  const send = async (path, method, body) => {
+    const res = await apiFetch(`/surveys/${surveyId}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(apiErrorMessage(res, data, "Request failed"));
+    return data;
+  };
 
-      // Refresh from server so state is correctly updated
-      setSelectedOptionIndex(optionIndex);
-      try {
-        const userKeyPart = currentUser?.name ? `_${currentUser.name}` : "";
-        localStorage.setItem(`pollVote_${poll._id}${userKeyPart}`, String(optionIndex));
-      } catch {
-        // ignore storage error
-      }
-      if (onRefresh) onRefresh();
+  const run = async (action) => {
+    setError("");
+    setBusy(true);
+    try {
+      await action();
+      return true;
     } catch (err) {
       console.error(err);
       setError(err.message);
+      return false;
     } finally {
-      setSubmittingVote(false);
+      setBusy(false);
     }
   };
 
-  const handleClearVote = async () => {
-    if (selectedOptionIndex === null) {
-      setError("You have not voted yet.");
-      return;
-    }
-
-    // For non-anonymous polls, require login before clearing (so only that user can clear)
-    if (!poll.allowAnonymous && !currentUser) {
-      setError("You must register / log in before clearing your vote on this poll.");
-      if (onRequireAuth) {
-        onRequireAuth();
-      }
-      return;
-    }
-
-    setError("");
-    setSubmittingVote(true);
-    try {
-      const res = await fetch(
-        `${API_URL}/polls/${poll._id}/clear-vote`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ optionIndex: selectedOptionIndex }),
-        }
-      );
-
-      if (!res.ok) {
-        const text = await res.text();
-        console.error("Clear vote failed. Status:", res.status, "Body:", text);
-        let message = "Failed to clear vote";
-        try {
-          const data = JSON.parse(text);
-          if (data && data.message) {
-            message = data.message;
-          }
-        } catch {
-          // not JSON, fall back to raw text snippet
-          if (text && text.trim().length > 0) {
-            message = text.substring(0, 200);
-          }
-        }
-        throw new Error(message);
-      }
+  const saveDraft = () =>
+    run(async () => {
+      await send("/response", "PUT", { answers: answerList() });
+      setSavedAt(new Date());
+    });
 
-      const updatedPoll = await res.json();
-      // don't mutate poll prop — let React re-render via onRefresh
-      void updatedPoll;
-      setSelectedOptionIndex(null);
-      try {
-        const userKeyPart = currentUser?.name ? `_${currentUser.name}` : "";
-        localStorage.removeItem(`pollVote_${poll._id}${userKeyPart}`);
-      } catch {
-        // ignore
-      }
-      // Sync UI fully with server
-      if (onRefresh) {
-        onRefresh();
+  const goTo = async (nextStep) => {
+    if (nextStep > step) {
+      const message = selectionError(question, answerOf(question));
+      if (message) {
+        setError(message);
+        return;
       }
-    } catch (err) {
-      console.error(err);
-      setError(err.message);
-    } finally {
-      setSubmittingVote(false);
     }
+    if (await saveDraft()) setStep(nextStep);
   };
 
-  const handleDelete = async () => {
-    if (!isAdmin || !onDelete) {
-      setError("Only admins can delete polls.");
-      return;
-    }
-    if (!window.confirm("Are you sure you want to delete this poll? This action cannot be undone.")) {
+  const handleSubmit = async () => {
+    const errors = questions.map((q) => selectionError(q, answerOf(q)));
+    const incomplete = errors.findIndex(Boolean);
+    if (incomplete !== -1) {
+      setStep(incomplete);
+      setError(`Question ${incomplete + 1}: ${errors[incomplete]}`);
       return;
     }
+    await run(async () => {
+      const data = await send("/submit", "POST", { answers: answerList() });
+      setSubmittedAt(data.submittedAt);
+      await loadSurvey();
+    });
+  };
 
-    setError("");
-    setDeleting(true);
-    try {
-      await onDelete();
-    } catch (err) {
-      console.error(err);
-      setError(err.message);
-      setDeleting(false);
-    }
+  const handleDelete = async () => {
+    if (!window.confirm("Delete this survey with all its questions and responses?")) return;
+    if (await run(() => send("", "DELETE"))) onBack();
   };
 
   return (
@@ -939,87 +5404,124 @@ function PollDetail({
         <button onClick={onBack} style={styles.button}>
           ← Back to Polls
         </button>
-        <button onClick={onRefresh} style={styles.button}>
-          🔄 Refresh
-        </button>
-        <button
-          onClick={handleClearVote}
-          disabled={submittingVote || selectedOptionIndex === null}
-          style={styles.secondaryButton}
-        >
-          Clear Response
-        </button>
-        {isAdmin && onDelete && (
-          <button
-            onClick={handleDelete}
-            disabled={deleting}
-            style={styles.dangerButton}
-          >
-            {deleting ? "Deleting..." : "🗑️ Delete"}
-          </button>
-        )}
-        {isAdmin && onPublishToggle && (
-          <button
-            onClick={() => onPublishToggle(!poll.published)}
-            style={poll.published ? styles.secondaryButton : styles.successButton}
-          >
-            {poll.published ? "👁️ Unpublish" : "✨ Publish Results"}
-          </button>
+        {mayManage && (
+          <>
+            <button
+              onClick={() =>
+                run(async () =>
+                  setSurvey(await send("/publish", "PATCH", { published: !survey.published }))
+                )
+              }
+              disabled={busy}
+              style={survey.published ? styles.secondaryButton : styles.successButton}
+            >
+              {survey.published ? "👁️ Unpublish" : "✨ Publish Results"}
+            </button>
+            {status !== "scheduled" && (
+              <button
+                onClick={() =>
+                  run(async () => setSurvey(await send("/close", "PATCH", { closed: isOpen })))
+                }
+                disabled={busy}
+                style={isOpen ? styles.dangerButton : styles.successButton}
+              >
+                {isOpen ? "⏹️ Close Survey" : "▶️ Reopen Survey"}
+              </button>
+            )}
+            <button onClick={handleDelete} disabled={busy} style={styles.dangerButton}>
+              🗑️ Delete
+            </button>
+          </>
         )}
       </div>
 
       <div style={styles.pollDetailCard}>
-        <h2 style={styles.pollDetailTitle}>{poll.question}</h2>
+        <h2 style={styles.pollDetailTitle}>📋 {survey.title}</h2>
+        {survey.description && <p style={styles.sectionSubtitle}>{survey.description}</p>}
         <div style={styles.infoBadge}>
-          {poll.allowAnonymous ? (
-            <span>🔓 Anonymous voting enabled</span>
-          ) : (
-            <span>🔒 Non-anonymous voting</span>
-          )}
+          {survey.allowAnonymous ? "🔓 Anonymous responses enabled" : "🔒 Non-anonymous survey"}
+        </div>
+        <div style={{ marginBottom: "16px" }}>
+          <PollStatusBadge poll={survey} />
         </div>
 
-        <div style={styles.optionsContainer}>
-          {poll.options && Array.isArray(poll.options) && poll.options.map((opt, index) => {
-            const percentage = totalVotes
-              ? ((opt.votes / totalVotes) * 100).toFixed(1)
-              : 0;
-            const isSelected = selectedOptionIndex === index;
-            return (
-              <div key={index} style={styles.optionCard}>
-                <div style={styles.optionHeader}>
-                  <span style={styles.optionText}>{opt.text}</span>
-                  <div style={styles.voteCount}>
-                    <strong>{opt.votes}</strong> vote{opt.votes !== 1 ? "s" : ""} — {percentage}%
-                  </div>
-                </div>
-                <div style={styles.progressBarOuter}>
-                  <div
-                    style={{
-                      ...styles.progressBarInner,
-                      width: `${percentage}%`,
-                      transition: "width 0.6s ease-out",
-                    }}
-                  ></div>
-                </div>
-                <button
+        {submittedAt ? (
+          <div style={styles.successMessage}>
+            <span>✅ Thanks! Your response was submitted {new Date(submittedAt).toLocaleString()}.</span>
+          </div>
+        ) : status === "scheduled" ? (
+          <div style={styles.emptyVotes}>
+            <p>⏳ This survey opens {new Date(survey.opensAt).toLocaleString()}.</p>
+          </div>
+        ) : status === "closed" ? (
+          <div style={styles.emptyVotes}>
+            <p>🔴 This survey has closed.</p>
+          </div>
+        ) : needsLogin ? (
+          <div style={styles.emptyVotes}>
+            <p>🔑 Log in to answer this survey.</p>
+            <button onClick={onRequireAuth} style={styles.button}>
+              Log in
+            </button>
+          </div>
+        ) : (
+          question && (
+            <>
+              <div style={styles.footerInfo}>
+                <span>
+                  Question {step + 1} of {questions.length} · {answeredCount} answered
+                  {savedAt && ` · Saved ${savedAt.toLocaleTimeString()}`}
+                </span>
+              </div>
+              <div style={styles.progressBarOuter}>
+                <div
                   style={{
-                    ...styles.voteButton,
-                    ...(isSelected ? styles.votedButton : {}),
+                    ...styles.progressBarInner,
+                    width: `${(answeredCount / questions.length) * 100}%`,
+                    transition: "width 0.6s ease-out",
                   }}
-                  disabled={submittingVote}
-                  onClick={() => handleVote(index)}
+                ></div>
+              </div>
+
+              <h3 style={styles.pollQuestion}>{question.question}</h3>
+              {(question.type === "multiple" || question.type === "ranked") && (
+                <div style={styles.infoBadge}>
+                  {question.type === "ranked" ? "🔢 Rank" : "☑️ Choose"}{" "}
+                  {question.minSelections === question.maxSelections
+                    ? question.maxSelections
+                    : `${question.minSelections}–${question.maxSelections}`}
+                </div>
+              )}
+              <SurveyQuestionInput
+                poll={question}
+                value={answerOf(question)}
+                disabled={busy}
+                onChange={(picked) => setAnswers((prev) => ({ ...prev, [question._id]: picked }))}
+              />
+
+              <div style={{ ...styles.buttonGroup, marginTop: "20px" }}>
+                <button
+                  onClick={() => goTo(step - 1)}
+                  disabled={busy || step === 0}
+                  style={styles.secondaryButton}
                 >
-                  {submittingVote ? "⏳ Submitting..." : isSelected ? "✓ Voted" : "🗳️ Vote"}
+                  ← Previous
+                </button>
+                {step < questions.length - 1 ? (
+                  <button onClick={() => goTo(step + 1)} disabled={busy} style={styles.button}>
+                    Next →
+                  </button>
+                ) : (
+                  <button onClick={handleSubmit} disabled={busy} style={styles.successButton}>
+                    {busy ? "⏳ Submitting..." : "🗳️ Submit Survey"}
+                  </button>
+                )}
+                <button onClick={saveDraft} disabled={busy} style={styles.secondaryButton}>
+                  💾 Save and finish later
                 </button>
               </div>
-            );
-          })}
-        </div>
-
-        {totalVotes === 0 && (
-          <div style={styles.emptyVotes}>
-            <p>🌟 No votes yet. Be the first to vote!</p>
-          </div>
+            </>
+          )
         )}
 
         {error && (
@@ -1027,17 +5529,219 @@ function PollDetail({
             <span>⚠️ {error}</span>
           </div>
         )}
+      </div>
+
+      {(submittedAt || mayManage || survey.published || status === "closed") && (
+        <SurveyResults survey={survey} submittedAt={submittedAt} />
+      )}
+    </div>
+  );
+}
+
+// Whether a survey answer (option indexes or text) has been given
+function isAnswered(value) {
+  return typeof value === "string" ? value.trim() !== "" : !!value?.length;
+}
+
+// The answer controls for one survey question: radio buttons, checkboxes, a
+// ranking, a scale or a text box, depending on the question type
+function SurveyQuestionInput({ poll, value, disabled, onChange }) {
+  if (poll.type === "text") {
+    return (
+      <textarea
+        style={styles.textArea}
+        value={value}
+        disabled={disabled}
+        maxLength={MAX_TEXT_RESPONSE_LENGTH}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Type your answer..."
+      />
+    );
+  }
+  if (poll.type === "ranked") {
+    return (
+      <RankedBallot poll={poll} submitting={disabled} ranking={value} onRankingChange={onChange} />
+    );
+  }
+  if (poll.type === "scale" || poll.type === "nps") {
+    return <ScaleBallot poll={poll} value={value} disabled={disabled} onChange={onChange} />;
+  }
+
+  const isMultiple = poll.type === "multiple";
+  const toggle = (index) =>
+    onChange(
+      value.includes(index)
+        ? value.filter((i) => i !== index)
+        : [...value, index].sort((a, b) => a - b)
+    );
+
+  return (
+    <div style={styles.optionsContainer}>
+      {poll.options.map((opt, index) => (
+        <label key={index} style={{ ...styles.optionCard, ...styles.checkboxLabel }}>
+          <input
+            type={isMultiple ? "checkbox" : "radio"}
+            name={`survey-question-${poll._id}`}
+            checked={value.includes(index)}
+            disabled={disabled}
+            onChange={() => (isMultiple ? toggle(index) : onChange([index]))}
+            style={{ width: "18px", height: "18px", cursor: "pointer" }}
+          />
+          <span style={styles.optionText}>{opt.text}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// ====== Survey Results Component ======
+function SurveyResults({ survey, submittedAt }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch(`/surveys/${survey._id}/results`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Failed to load results");
+        if (!cancelled) {
+          setResults(data);
+          setError("");
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [survey._id, survey.updatedAt, submittedAt]);
 
-        <div style={styles.footerInfo}>
-          <span>Last updated: {new Date(poll.updatedAt || poll.createdAt).toLocaleString()}</span>
+  if (error) {
+    return (
+      <div style={styles.pollDetailCard}>
+        <div style={styles.emptyVotes}>
+          <p>🙈 {error}</p>
         </div>
       </div>
+    );
+  }
+  if (!results) return <LoadingSpinner />;
+
+  return (
+    <div style={styles.pollDetailCard}>
+      <h2 style={styles.pollDetailTitle}>📊 Results</h2>
+      <div style={styles.buttonGroup}>
+        <span style={styles.infoBadge}>
+          {results.responseCount} response{results.responseCount !== 1 ? "s" : ""}
+        </span>
+        <span style={styles.infoBadge}>{results.inProgressCount} in progress</span>
+        <span style={styles.infoBadge}>{results.completionRate}% completion</span>
+      </div>
+
+      {results.questions.map((q, number) => {
+        // Multiple-choice percentages are "share of voters who approved this option"
+        const totalVotes = q.options.reduce((sum, opt) => sum + opt.votes, 0);
+        const base = q.type === "multiple" ? q.voterCount : totalVotes;
+        return (
+          <div key={q._id} style={{ marginTop: "24px" }}>
+            <h3 style={styles.pollQuestion}>
+              {number + 1}. {q.question}
+            </h3>
+            {q.type === "ranked" ? (
+              <RankedRounds results={q} />
+            ) : q.type === "scale" || q.type === "nps" ? (
+              <ScaleChart type={q.type} summary={q.summary} />
+            ) : q.type === "text" ? (
+              <>
+                <div style={styles.dateText}>
+                  {q.responseCount} response{q.responseCount !== 1 ? "s" : ""}
+                </div>
+                <WordList words={q.words} />
+              </>
+            ) : (
+              q.options.map((opt, index) => {
+                const percentage = base ? ((opt.votes / base) * 100).toFixed(1) : 0;
+                return (
+                  <div key={index} style={styles.optionCard}>
+                    <div style={styles.optionHeader}>
+                      <span style={styles.optionText}>{opt.text}</span>
+                      <div style={styles.voteCount}>
+                        <strong>{opt.votes}</strong> vote{opt.votes !== 1 ? "s" : ""} — {percentage}%
+                      </div>
+                    </div>
+                    <div style={styles.progressBarOuter}>
+                      <div style={{ ...styles.progressBarInner, width: `${percentage}%` }}></div>
+                    </div>
+                  </div>
+                );
+              })
+            )}
+          </div>
+        );
+      })}
     </div>
   );
 }
 
 // ====== Enhanced Modern Styles ======
 const styles = {
+  inviteCode: {
+    display: "inline-block",
+    margin: "4px 0 16px",
+    padding: "10px 20px",
+    borderRadius: "10px",
+    background: "#eef2ff",
+    color: "#4338ca",
+    fontFamily: "monospace",
+    fontSize: "1.6rem",
+    fontWeight: 700,
+    letterSpacing: "0.15em",
+  },
+  qrOverlay: {
+    position: "fixed",
+    inset: 0,
+    zIndex: 1000,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "24px",
+    background: "rgba(17, 24, 39, 0.85)",
+  },
+  qrCard: {
+    background: "#ffffff",
+    borderRadius: "24px",
+    padding: "32px",
+    textAlign: "center",
+    maxWidth: "95vw",
+    maxHeight: "95vh",
+    overflow: "auto",
+    boxShadow: "0 20px 60px rgba(0,0,0,0.4)",
+  },
+  qrQuestion: {
+    margin: "0 0 16px",
+    fontSize: "2rem",
+    fontWeight: 800,
+    color: "#1f2937",
+  },
+  qrImage: {
+    display: "block",
+    width: "min(65vh, 80vw)",
+    height: "min(65vh, 80vw)",
+    margin: "0 auto",
+  },
+  qrLink: {
+    margin: "16px 0 0",
+    fontSize: "1.25rem",
+    color: "#4b5563",
+    wordBreak: "break-all",
+  },
+  embedContainer: {
+    padding: "8px",
+    fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif",
+  },
   appContainer: {
     maxWidth: "1200px",
     margin: "0 auto",
@@ -1203,6 +5907,22 @@ const styles = {
     color: "#10b981",
     fontWeight: 500,
   },
+  scheduledBadge: {
+    fontSize: "0.8rem",
+    padding: "4px 12px",
+    borderRadius: "20px",
+    background: "rgba(245, 158, 11, 0.12)",
+    color: "#d97706",
+    fontWeight: 500,
+  },
+  closedBadge: {
+    fontSize: "0.8rem",
+    padding: "4px 12px",
+    borderRadius: "20px",
+    background: "rgba(239, 68, 68, 0.1)",
+    color: "#dc2626",
+    fontWeight: 500,
+  },
   listItemRight: {
     display: "flex",
     alignItems: "center",
@@ -1242,6 +5962,18 @@ const styles = {
     transition: "all 0.3s ease",
     background: "rgba(255,255,255,0.9)",
   },
+  fieldError: {
+    marginTop: "6px",
+    color: "#dc2626",
+    fontSize: "0.85rem",
+    fontWeight: 500,
+  },
+  ballotDetails: {
+    margin: "16px 0",
+    padding: "12px 16px",
+    borderRadius: "12px",
+    background: "rgba(99, 102, 241, 0.06)",
+  },
   optionRow: {
     display: "flex",
     gap: "8px",
@@ -1444,6 +6176,81 @@ const styles = {
     width: "100%",
     marginTop: "8px",
   },
+  rankedBallot: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
+    gap: "20px",
+    marginTop: "24px",
+  },
+  rankColumn: {
+    padding: "16px",
+    borderRadius: "16px",
+    border: "2px dashed rgba(99, 102, 241, 0.3)",
+    background: "rgba(255,255,255,0.6)",
+    minHeight: "120px",
+    display: "flex",
+    flexDirection: "column",
+    gap: "8px",
+  },
+  rankPlaceholder: {
+    color: "#9ca3af",
+    fontSize: "0.9rem",
+    padding: "20px 0",
+    textAlign: "center",
+  },
+  rankItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "10px 12px",
+    borderRadius: "10px",
+    background: "#ffffff",
+    border: "1px solid #e5e7eb",
+    boxShadow: "0 2px 6px rgba(0,0,0,0.05)",
+    cursor: "grab",
+  },
+  rankNumber: {
+    fontWeight: 800,
+    color: "#6366f1",
+    minWidth: "28px",
+  },
+  rankButton: {
+    padding: "4px 10px",
+    borderRadius: "8px",
+    border: "1px solid #e5e7eb",
+    background: "#f9fafb",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  rankWinner: {
+    fontSize: "1.05rem",
+    fontWeight: 700,
+    color: "#059669",
+    marginBottom: "12px",
+  },
+  roundsTable: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "0.9rem",
+  },
+  roundsCell: {
+    padding: "8px 10px",
+    borderBottom: "1px solid #e5e7eb",
+    textAlign: "left",
+  },
+  eliminatedCell: {
+    color: "#dc2626",
+    fontWeight: 600,
+  },
+  checkboxLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    marginTop: "8px",
+    fontWeight: 600,
+    color: "#374151",
+    cursor: "pointer",
+  },
   votedButton: {
     background: "linear-gradient(135deg, #10b981 0%, #059669 100%)",
     boxShadow: "0 4px 12px rgba(16, 185, 129, 0.3)",
@@ -1455,6 +6262,50 @@ const styles = {
     fontSize: "1rem",
     fontWeight: 500,
   },
+  filterBar: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "12px",
+    alignItems: "flex-end",
+    marginBottom: "20px",
+  },
+  filterField: {
+    display: "flex",
+    flexDirection: "column",
+    fontSize: "0.85rem",
+    fontWeight: 600,
+    color: "#374151",
+  },
+  workspaceSelect: {
+    padding: "12px 16px",
+    borderRadius: "12px",
+    border: "2px solid rgba(255,255,255,0.6)",
+    background: "rgba(255,255,255,0.9)",
+    color: "#4338ca",
+    fontSize: "0.95rem",
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  filterInput: {
+    marginTop: "4px",
+    padding: "8px 12px",
+    borderRadius: "10px",
+    border: "2px solid #e5e7eb",
+    fontSize: "0.9rem",
+    background: "rgba(255,255,255,0.9)",
+  },
+  exportButtons: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: "8px",
+    marginTop: "16px",
+  },
+  loadMoreRow: {
+    display: "flex",
+    justifyContent: "center",
+    marginTop: "24px",
+  },
   errorMessage: {
     padding: "16px",
     borderRadius: "12px",
@@ -1501,6 +6352,71 @@ const styles = {
     border: "1px solid rgba(255,255,255,0.5)",
     marginTop: "20px",
   },
+  textArea: {
+    width: "100%",
+    minHeight: "110px",
+    padding: "12px 16px",
+    borderRadius: "12px",
+    border: "2px solid #e5e7eb",
+    fontSize: "0.95rem",
+    fontFamily: "inherit",
+    outline: "none",
+    resize: "vertical",
+    boxSizing: "border-box",
+    background: "rgba(255,255,255,0.9)",
+  },
+  scaleRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+  },
+  scaleButton: {
+    flex: "1 0 40px",
+    minWidth: "40px",
+    padding: "12px 0",
+    borderRadius: "10px",
+    border: "2px solid #e5e7eb",
+    background: "rgba(255,255,255,0.9)",
+    fontSize: "1rem",
+    fontWeight: 600,
+    color: "#374151",
+    cursor: "pointer",
+  },
+  scaleButtonActive: {
+    background: "linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)",
+    borderColor: "#6366f1",
+    color: "white",
+  },
+  scaleLabels: {
+    display: "flex",
+    justifyContent: "space-between",
+    marginTop: "6px",
+    fontSize: "0.85rem",
+    color: "#6b7280",
+  },
+  scaleStats: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "16px",
+    marginBottom: "12px",
+  },
+  hiddenResponse: {
+    opacity: 0.55,
+    borderStyle: "dashed",
+  },
+  wordRow: {
+    display: "grid",
+    gridTemplateColumns: "minmax(80px, 30%) 1fr auto",
+    alignItems: "center",
+    gap: "12px",
+    marginBottom: "8px",
+  },
+  wordLabel: {
+    fontWeight: 600,
+    color: "#374151",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
   successMessage: {
     padding: "16px",
     borderRadius: "12px",
@@ -1512,4 +6428,5 @@ const styles = {
   },
 };
 
+export { EmbedApp };
 export default App;
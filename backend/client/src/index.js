@@ -1,11 +1,14 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
-import App from "./App";
+import App, { EmbedApp } from "./App";
+
+// /embed/:id is the bare poll widget that other sites put in an iframe
+const isEmbed = window.location.pathname.startsWith("/embed/");
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
   <React.StrictMode>
-    <App />
+    {isEmbed ? <EmbedApp /> : <App />}
   </React.StrictMode>
 );
@@ -2,7 +2,13 @@ import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
 import cors from "cors";
+import ExcelJS from "exceljs";
+import multer from "multer";
+import QRCode from "qrcode";
 import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { promisify } from "util";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -16,26 +22,32 @@ app.use(cors());
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization,X-Device-Token,X-Poll-Access,X-Workspace");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition,Retry-After");
   if (req.method === "OPTIONS") return res.status(204).end();
   next();
 });
 
 
-app.use((req, res, next) => {
-  const allowedOrigins = [
-    process.env.FRONTEND_URL,
-    "https://crowdvoice-frontend.onrender.com",
-    "http://localhost:3000",
-    "http://localhost:3001",
-  ].filter(Boolean);
+// Where the client app is served. The first one is its public address, used
+// when the API links to polls (see EMBEDS).
+const FRONTEND_URLS = [
+  process.env.FRONTEND_URL,
+  "https://crowdvoice-frontend.onrender.com",
+  "http://localhost:3000",
+  "http://localhost:3001",
+]
+  .filter(Boolean)
+  .map((url) => url.replace(/\/+$/, ""));
 
+app.use((req, res, next) => {
   const origin = req.headers.origin;
-  if (!origin || allowedOrigins.includes(origin)) {
+  if (!origin || FRONTEND_URLS.includes(origin)) {
     res.setHeader("Access-Control-Allow-Origin", origin || "*");
   }
   res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization,X-Device-Token,X-Poll-Access,X-Workspace");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition,Retry-After");
   res.setHeader("Access-Control-Allow-Credentials", "true");
 
   // Respond immediately to preflight
@@ -45,6 +57,43 @@ app.use((req, res, next) => {
   next();
 });
 
+// ====== ERROR RESPONSES ======
+// Every error response has the shape { code, message, details }: a stable
+// machine-readable code, a message to show, and per-field problems as
+// [{ field, message }]. Most routes only send { message }; the code is then
+// filled in from the status and details left empty. Extra fields (such as
+// retryAfter on 429s) are kept.
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+  501: "not_implemented",
+};
+
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body !== "object" || Array.isArray(body)) {
+      return json(body);
+    }
+    const { code, message, details, ...extra } = body;
+    return json({
+      code: code || ERROR_CODES[res.statusCode] || "error",
+      message: message || "Request failed",
+      details: details || [],
+      ...extra,
+    });
+  };
+  next();
+});
+
+app.use(express.json());
+
 // ====== MONGODB CONNECTION ======
 const MONGO_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/polling_app";
 console.log("Starting server...");
@@ -53,10 +102,39 @@ if (!process.env.MONGODB_URI) {
   console.warn("⚠️  WARNING: MONGODB_URI is not set. Using localhost fallback which will FAIL on Render!");
 }
 
-mongoose
-  .connect(MONGO_URI)
-  .then(() => console.log("Connected to MongoDB"))
-  .catch((err) => console.error("Mongo connection error:", err));
+// Called on startup (see the bottom of this file) and by the tests, so that
+// importing this module doesn't open a connection by itself
+async function connectDatabase(uri = MONGO_URI) {
+  await mongoose.connect(uri);
+  console.log("Connected to MongoDB");
+  await migrateToWorkspaces().catch((err) => console.error("Workspace migration error:", err));
+}
+
+// ====== ROLES ======
+// Roles are held per workspace (see membershipSchema):
+// admin   - manages every poll in the workspace, its members and its settings
+// creator - creates polls and manages the polls they created
+// voter   - votes only (default for new members)
+const ROLES = ["admin", "creator", "voter"];
+
+// Usernames listed here always register as admins of the default workspace,
+// e.g. ADMIN_USERNAMES=alice,bob. Only when it is empty does the first account
+// to register become admin (see claimFirstAdmin).
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || "")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// ====== SESSION SECRET ======
+// Session tokens are signed with this secret. Without a fixed value every
+// restart generates a new one, which logs everybody out.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+// Stream tokens only need to last until the client opens its EventSource
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+if (!process.env.SESSION_SECRET) {
+  console.warn("⚠️  WARNING: SESSION_SECRET is not set. Sessions will not survive a restart!");
+}
 
 // ====== MONGOOSE SCHEMAS & MODELS ======
 
@@ -66,199 +144,4700 @@ const optionSchema = new mongoose.Schema({
   votes: { type: Number, default: 0 },
 });
 
-// Poll itself
-const pollSchema = new mongoose.Schema(
-  {
-    question: { type: String, required: true },
-    options: [optionSchema],
-    allowAnonymous: { type: Boolean, default: true },
-    published: { type: Boolean, default: false },
-  },
-  { collection: "polls", timestamps: true }
-);
+// Voting styles a poll can use
+// single   - pick exactly one option
+// multiple - approval voting: pick between minSelections and maxSelections options
+// ranked   - rank between minSelections and maxSelections options in order of
+//            preference; tallied by instant-runoff (see tabulateInstantRunoff)
+// text     - open-ended: voters write a free-text answer (see textResponseSchema);
+//            the poll has no options
+// scale    - rating scale (e.g. 1-5 or a Likert scale): pick one whole number
+//            between scaleMin and scaleMax
+// nps      - Net Promoter Score: a 0-10 scale scored as promoters (9-10),
+//            passives (7-8) and detractors (0-6)
+// Scale and NPS polls get one generated option per point ("1", "2", ...), so
+// they are counted like single-choice polls.
+const POLL_TYPES = ["single", "multiple", "ranked", "text", "scale", "nps"];
+// Types whose options are written by the poll's author
+const OPTION_POLL_TYPES = ["single", "multiple", "ranked"];
+
+// Scale polls can have at most this many points (e.g. 0-10)
+const MAX_SCALE_POINTS = 11;
+const MAX_SCALE_LABEL_LENGTH = 100;
+
+// Longest free-text answer accepted, in characters
+const MAX_TEXT_RESPONSE_LENGTH = 2000;
+
+// Who may see vote counts (see canSeeResults). Admins and the poll's creator
+// always can, and publishing a poll reveals its results to everyone.
+// always        - everyone, at any time
+// after_vote    - callers who have voted on the poll
+// after_close   - everyone once the poll has closed
+// after_publish - only once the poll is published
+const RESULTS_VISIBILITY = ["always", "after_vote", "after_close", "after_publish"];
+
+// Who can find and open a poll (see canAccessPoll). Admins and the poll's
+// creator always can.
+// public   - listed by GET /api/polls; anyone with the link can open it
+// unlisted - left out of the listing; anyone with the link can open it
+// private  - left out of the listing; opening it takes an access token, got
+//            from the poll's invite code or carried by its invite link
+// Outside the default workspace, public and unlisted polls are only opened by
+// the workspace's members.
+const POLL_VISIBILITY = ["public", "unlisted", "private"];
+
+// Poll itself
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true },
+    options: [optionSchema],
+    type: { type: String, enum: POLL_TYPES, default: "single" },
+    minSelections: { type: Number, default: 1 },
+    maxSelections: { type: Number, default: 1 },
+    // Scale and NPS polls: the range, and optional captions for its ends
+    scaleMin: { type: Number, default: null },
+    scaleMax: { type: Number, default: null },
+    minLabel: { type: String, default: "" },
+    maxLabel: { type: String, default: "" },
+    // Number of ballots cast. For multiple-choice polls this differs from the
+    // sum of option votes, which counts approvals. Ranked polls count first
+    // preferences in option votes.
+    voterCount: { type: Number, default: 0 },
+    // Time of the most recent vote or cleared vote; null until someone votes
+    lastActivityAt: { type: Date, default: null },
+    allowAnonymous: { type: Boolean, default: true },
+    published: { type: Boolean, default: false },
+    resultsVisibility: { type: String, enum: RESULTS_VISIBILITY, default: "always" },
+    visibility: { type: String, enum: POLL_VISIBILITY, default: "public" },
+    // Private polls: the code invitees enter (see POLL ACCESS). null when the
+    // invites have been revoked.
+    inviteCode: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true },
+    // Set for survey questions, which are answered through their survey
+    survey: { type: mongoose.Schema.Types.ObjectId, ref: "Survey", default: null },
+    // Voting window. Either end may be null (opens immediately / never closes).
+    opensAt: { type: Date, default: null },
+    closesAt: { type: Date, default: null },
+    // Set by the scheduler once closesAt passes, or by an admin closing early
+    closed: { type: Boolean, default: false },
+    closedAt: { type: Date, default: null },
+    publishOnClose: { type: Boolean, default: false },
+    // Bumped every time the option list is edited. Ballots remember the
+    // revision they were cast against, so votes racing an edit can be detected.
+    revision: { type: Number, default: 0 },
+    // One entry per edit; indexMap[oldIndex] is the option's new index, or -1
+    // if it was removed
+    edits: [
+      {
+        _id: false,
+        revision: Number,
+        editedAt: Date,
+        editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        indexMap: [Number],
+        removedOptions: [{ _id: false, text: String, votes: Number }],
+        remappedBallots: { type: Number, default: 0 },
+        deletedBallots: { type: Number, default: 0 },
+      },
+    ],
+  },
+  {
+    collection: "polls",
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Support the GET /api/polls sort orders (see POLL_SORTS) within a workspace
+pollSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+pollSchema.index({ workspace: 1, voterCount: -1, _id: -1 });
+pollSchema.index({ workspace: 1, lastActivityAt: -1, _id: -1 });
+// Invite code lookups (POST /api/polls/join)
+pollSchema.index(
+  { inviteCode: 1 },
+  { unique: true, partialFilterExpression: { inviteCode: { $type: "string" } } }
+);
+
+// "scheduled" before opensAt, "closed" once closed or past closesAt, else "open"
+function getPollStatus(poll, now = new Date()) {
+  if (poll.closed || (poll.closesAt && poll.closesAt <= now)) return "closed";
+  if (poll.opensAt && poll.opensAt > now) return "scheduled";
+  return "open";
+}
+
+pollSchema.virtual("status").get(function () {
+  return getPollStatus(this);
+});
+
+// Registered user. Passwords are only ever stored as scrypt hashes. Roles and
+// attribute values belong to the user's memberships, one per workspace.
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    passwordHash: { type: String, required: true },
+  },
+  { collection: "users", timestamps: true }
+);
+
+// A team's own space on the deployment. Polls, surveys and attribute fields
+// belong to one workspace, and users take part through memberships. The
+// default workspace holds everything from before workspaces existed; every
+// new account joins it, and anyone can browse its public polls.
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    isDefault: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Set once an account has been made the default workspace's first admin
+    firstAdminClaimed: { type: Boolean, default: false },
+  },
+  { collection: "workspaces", timestamps: true }
+);
+workspaceSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// A user's place in a workspace: their role there, and their values for the
+// workspace's attribute fields, keyed by field key
+const membershipSchema = new mongoose.Schema(
+  {
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    role: { type: String, enum: ROLES, default: "voter" },
+    attributes: { type: Map, of: String, default: {} },
+  },
+  { collection: "memberships", timestamps: true }
+);
+membershipSchema.index({ workspace: 1, user: 1 }, { unique: true });
+
+// Admin-defined voter attribute such as department, team or location, one set
+// per workspace. Members fill them in on their membership (PUT
+// /api/auth/me/attributes) or on the ballot, and results can be broken
+// down by them (GET /api/polls/:id/results?groupBy=<key>). A field with
+// choices only accepts those values; without choices it is free text.
+const attributeFieldSchema = new mongoose.Schema(
+  {
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true },
+    key: { type: String, required: true },
+    label: { type: String, required: true, trim: true },
+    choices: { type: [String], default: [] },
+  },
+  { collection: "attribute_fields", timestamps: true }
+);
+attributeFieldSchema.index({ workspace: 1, key: 1 }, { unique: true });
+
+// Server-side record of an issued session token, so logout can revoke it.
+// MongoDB removes expired sessions through the TTL index on expiresAt.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { collection: "sessions", timestamps: true }
+);
+
+// One ballot per voter per poll. voterKey is "user:<userId>" for logged-in
+// voters or "device:<token>" for anonymous voters on allowAnonymous polls;
+// the unique index is what actually prevents duplicate votes.
+const ballotSchema = new mongoose.Schema(
+  {
+    poll: { type: mongoose.Schema.Types.ObjectId, ref: "Poll", required: true },
+    voterKey: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Picked options; for ranked polls in order of preference (first = favourite)
+    optionIndexes: { type: [Number], required: true },
+    // Poll revision the optionIndexes refer to (see pollSchema.revision)
+    pollRevision: { type: Number, default: 0 },
+    // The voter's attribute values when the ballot was cast
+    attributes: { type: Map, of: String, default: {} },
+  },
+  { collection: "ballots", timestamps: true }
+);
+ballotSchema.index({ poll: 1, voterKey: 1 }, { unique: true });
+
+// The answer to a free-text poll. The voter's ballot (with no option indexes)
+// still records that they took part; this holds what they wrote. Hidden
+// responses are left out of results and only shown to the poll's managers.
+const textResponseSchema = new mongoose.Schema(
+  {
+    poll: { type: mongoose.Schema.Types.ObjectId, ref: "Poll", required: true },
+    voterKey: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    text: { type: String, required: true, maxlength: MAX_TEXT_RESPONSE_LENGTH },
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { collection: "text_responses", timestamps: true }
+);
+textResponseSchema.index({ poll: 1, voterKey: 1 }, { unique: true });
+// Newest-first browsing (GET /api/polls/:id/responses)
+textResponseSchema.index({ poll: 1, createdAt: -1, _id: -1 });
+
+// One vote cast or cleared, kept for GET /api/polls/:id/timeline.
+// optionIndexes are the options whose counters changed (as in
+// countedOptionIndexes) at pollRevision; events are never updated, so later
+// option edits are replayed onto them when the timeline is built. A
+// "transfer" is a ranked ballot that an edit moved to its next preference: it
+// adds to that option without changing the voter count.
+const VOTE_EVENT_KINDS = ["vote", "clear", "transfer"];
+const voteEventSchema = new mongoose.Schema(
+  {
+    poll: { type: mongoose.Schema.Types.ObjectId, ref: "Poll", required: true },
+    kind: { type: String, enum: VOTE_EVENT_KINDS, required: true },
+    optionIndexes: { type: [Number], default: [] },
+    pollRevision: { type: Number, default: 0 },
+    at: { type: Date, default: Date.now },
+  },
+  { collection: "vote_events", versionKey: false }
+);
+voteEventSchema.index({ poll: 1, at: 1 });
+
+const MAX_SURVEY_QUESTIONS = 50;
+
+// Ordered group of questions answered in one submission. Each question is a
+// Poll with `survey` set. The voting window, anonymity, results visibility and
+// publish/close state are set on the survey and copied to its questions, so
+// per-question rules (canSeeResults, the scheduler, ...) keep working.
+const surveySchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    questions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Poll" }],
+    allowAnonymous: { type: Boolean, default: true },
+    resultsVisibility: { type: String, enum: RESULTS_VISIBILITY, default: "always" },
+    published: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    workspace: { type: mongoose.Schema.Types.ObjectId, ref: "Workspace", required: true },
+    opensAt: { type: Date, default: null },
+    closesAt: { type: Date, default: null },
+    closed: { type: Boolean, default: false },
+    closedAt: { type: Date, default: null },
+    publishOnClose: { type: Boolean, default: false },
+  },
+  {
+    collection: "surveys",
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+surveySchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+
+surveySchema.virtual("status").get(function () {
+  return getPollStatus(this);
+});
+
+// A respondent's answers to a survey. Saved as a draft (submittedAt: null)
+// while they work through it, so they can resume later; submitting casts a
+// ballot on every question. voterKey works as for ballots.
+const surveyResponseSchema = new mongoose.Schema(
+  {
+    survey: { type: mongoose.Schema.Types.ObjectId, ref: "Survey", required: true },
+    voterKey: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    answers: [
+      {
+        _id: false,
+        question: { type: mongoose.Schema.Types.ObjectId, ref: "Poll", required: true },
+        optionIndexes: [Number],
+        // Answer to a free-text question
+        text: String,
+      },
+    ],
+    submittedAt: { type: Date, default: null },
+  },
+  { collection: "survey_responses", timestamps: true }
+);
+surveyResponseSchema.index({ survey: 1, voterKey: 1 }, { unique: true });
+
+const Poll = mongoose.model("Poll", pollSchema);
+const Ballot = mongoose.model("Ballot", ballotSchema);
+const TextResponse = mongoose.model("TextResponse", textResponseSchema);
+const VoteEvent = mongoose.model("VoteEvent", voteEventSchema);
+const User = mongoose.model("User", userSchema);
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+const Membership = mongoose.model("Membership", membershipSchema);
+const AttributeField = mongoose.model("AttributeField", attributeFieldSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const Survey = mongoose.model("Survey", surveySchema);
+const SurveyResponse = mongoose.model("SurveyResponse", surveyResponseSchema);
+
+// ====== AUTH HELPERS ======
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as "scrypt$<salt>$<hash>" so the algorithm can change later.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, salt, hash] = String(stored).split("$");
+  if (algorithm !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signValue(value) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(value).digest("base64url");
+}
+
+// A token is "<sessionId>.<signature>". The signature stops clients from
+// guessing session ids; the Session document lets logout revoke it.
+async function createSession(user) {
+  const session = await Session.create({
+    user: user._id,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  });
+  const sessionId = session._id.toString();
+  return `${sessionId}.${signValue(sessionId)}`;
+}
+
+async function findSession(token) {
+  const [sessionId, signature] = String(token || "").split(".");
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(signValue(sessionId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.expiresAt <= new Date()) return null;
+  return session;
+}
+
+// EventSource cannot send headers, and a session token in a URL would end up
+// in access logs, proxies and browser history. Streams take a short-lived
+// "<sessionId>.<expiresAt>.<signature>" token instead (POST
+// /api/auth/stream-token); it is only checked when the stream opens, and
+// stops working on logout like its session.
+function createStreamToken(session) {
+  const value = `${session._id}.${Date.now() + STREAM_TOKEN_TTL_MS}`;
+  return `${value}.${signValue(`stream.${value}`)}`;
+}
+
+async function findStreamSession(token) {
+  const [sessionId, expiresAt, signature] = String(token || "").split(".");
+  if (!sessionId || !expiresAt || !signature) return null;
+
+  const expected = Buffer.from(signValue(`stream.${sessionId}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  if (!(Number(expiresAt) > Date.now()) || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.expiresAt <= new Date()) return null;
+  return session;
+}
+
+// Shape of a user as sent to the client (never includes the password hash).
+// role and attributes come from their membership of one workspace, and are
+// null / {} when they aren't a member.
+function toPublicUser(user, membership) {
+  return {
+    _id: user._id,
+    username: user.username,
+    name: user.name,
+    role: membership?.role || null,
+    attributes: Object.fromEntries(membership?.attributes || []),
+    createdAt: user.createdAt,
+  };
+}
+
+// Whether the caller of a request manages this poll (or survey): admins of
+// its workspace manage every one of its polls, creators only the ones they
+// created. Takes the request for its user, role and workspace (see AUTH
+// MIDDLEWARE); null stands for an anonymous caller.
+function canManagePoll(req, poll) {
+  if (!req?.user || !poll.workspace || !poll.workspace.equals(req.workspace._id)) return false;
+  if (req.role === "admin") return true;
+  return req.role === "creator" && !!poll.createdBy && poll.createdBy.equals(req.user._id);
+}
+
+// Anonymous voters identify their browser with a random "X-Device-Token" header
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Who is voting: the logged-in user, or (on anonymous polls only) the device.
+// Returns null when the caller cannot be identified for this poll.
+function getVoterKey(req, poll) {
+  if (req.user) return `user:${req.user._id}`;
+  const deviceToken = req.deviceToken;
+  if (poll.allowAnonymous && DEVICE_TOKEN_PATTERN.test(deviceToken || "")) {
+    return `device:${deviceToken}`;
+  }
+  return null;
+}
+
+// Error response for a caller getVoterKey() could not identify
+function sendVoterRequired(res, poll) {
+  if (!poll.allowAnonymous) {
+    return res.status(401).json({ message: "You must be logged in to vote on this poll." });
+  }
+  return res.status(400).json({ message: "A device token or login is required to vote." });
+}
+
+// Whether the caller may see this poll's vote counts (see RESULTS_VISIBILITY).
+// Pass hasVoted when it is already known to skip the ballot lookup.
+async function canSeeResults(req, poll, hasVoted) {
+  const visibility = poll.resultsVisibility || "always";
+  if (visibility === "always" || poll.published || canManagePoll(req, poll)) return true;
+  if (visibility === "after_close") return getPollStatus(poll) === "closed";
+  if (visibility === "after_vote") {
+    if (hasVoted !== undefined) return hasVoted;
+    const voterKey = getVoterKey(req, poll);
+    return !!voterKey && !!(await Ballot.exists({ poll: poll._id, voterKey }));
+  }
+  return false;
+}
+
+// Poll as sent to clients. Without results access the option vote counts
+// and the edit history (which records removed options' votes) are left out,
+// and resultsHidden is true. voterCount (turnout) is always included.
+function serializePoll(poll, showResults) {
+  const { inviteCode, ...json } = poll.toJSON();
+  if (showResults) return { ...json, resultsHidden: false };
+  const { edits, ...rest } = json;
+  return {
+    ...rest,
+    options: json.options.map(({ votes, ...option }) => option),
+    resultsHidden: true,
+  };
+}
+
+// Managers also get the poll's invite (see pollInvite)
+async function toClientPoll(req, poll, hasVoted) {
+  const json = serializePoll(poll, await canSeeResults(req, poll, hasVoted));
+  return canManagePoll(req, poll) ? { ...json, invite: pollInvite(poll) } : json;
+}
+
+// Serializes a page of polls for one caller with a single ballot lookup
+async function toClientPolls(req, polls) {
+  const voterKeys = new Map(polls.map((poll) => [poll._id.toString(), getVoterKey(req, poll)]));
+  const keys = [...new Set(voterKeys.values())].filter(Boolean);
+  const ballots = keys.length
+    ? await Ballot.find(
+        { poll: { $in: polls.map((poll) => poll._id) }, voterKey: { $in: keys } },
+        { poll: 1, voterKey: 1 }
+      ).lean()
+    : [];
+  const voted = new Set(ballots.map((ballot) => `${ballot.poll}|${ballot.voterKey}`));
+
+  return Promise.all(
+    polls.map((poll) => {
+      const pollId = poll._id.toString();
+      return toClientPoll(req, poll, voted.has(`${pollId}|${voterKeys.get(pollId)}`));
+    })
+  );
+}
+
+// 403 message for /results when canSeeResults() says no
+function resultsHiddenMessage(poll) {
+  switch (poll.resultsVisibility) {
+    case "after_vote":
+      return "Results are visible after you vote.";
+    case "after_close":
+      return "Results are visible once the poll closes.";
+    default:
+      return "Results are visible once they are published.";
+  }
+}
+
+// Reads the options a voter picked from a vote request body, accepting
+// { "optionIndex": 0 }, { "optionIndexes": [0, 2] } or, for ranked polls,
+// { "ranking": [2, 0, 1] } (most preferred first). Free-text polls take
+// { "text": "..." } instead, and scale / NPS polls also accept { "value": 4 }.
+// Returns { optionIndexes } (plus { text } for free-text polls) or { error }
+// when the selection breaks the poll's rules.
+// With draft: true (saved survey answers) only the option indexes are checked.
+function parseSelection(poll, body, { draft = false } = {}) {
+  if (poll.type === "text") {
+    return parseTextAnswer(body.text, { draft });
+  }
+  if ((poll.type === "scale" || poll.type === "nps") && body.value !== undefined) {
+    const { value } = body;
+    if (!Number.isInteger(value) || value < poll.scaleMin || value > poll.scaleMax) {
+      return { error: `Pick a whole number from ${poll.scaleMin} to ${poll.scaleMax}.` };
+    }
+    return { optionIndexes: [value - poll.scaleMin] };
+  }
+
+  const { optionIndex, optionIndexes, ranking } = body;
+  const picked = Array.isArray(ranking)
+    ? ranking
+    : Array.isArray(optionIndexes)
+      ? optionIndexes
+      : [optionIndex];
+
+  if (!picked.every((i) => Number.isInteger(i) && i >= 0 && i < poll.options.length)) {
+    return { error: "Invalid option index" };
+  }
+  if (new Set(picked).size !== picked.length) {
+    return { error: "Each option can only be selected once." };
+  }
+  if (draft) {
+    return { optionIndexes: picked };
+  }
+
+  if (poll.type === "multiple" || poll.type === "ranked") {
+    const verb = poll.type === "ranked" ? "Rank" : "Select";
+    if (picked.length < poll.minSelections || picked.length > poll.maxSelections) {
+      return {
+        error:
+          poll.minSelections === poll.maxSelections
+            ? `${verb} exactly ${poll.minSelections} option(s).`
+            : `${verb} between ${poll.minSelections} and ${poll.maxSelections} options.`,
+      };
+    }
+  } else if (picked.length !== 1) {
+    return { error: "Select exactly one option." };
+  }
+
+  return { optionIndexes: picked };
+}
+
+// A free-text answer, trimmed. Drafts may be left empty.
+function parseTextAnswer(text, { draft = false } = {}) {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed && !draft) {
+    return { error: "Please enter a response." };
+  }
+  if (trimmed.length > MAX_TEXT_RESPONSE_LENGTH) {
+    return { error: `Responses can be at most ${MAX_TEXT_RESPONSE_LENGTH} characters.` };
+  }
+  return { optionIndexes: [], text: trimmed };
+}
+
+// Options whose "votes" counter a ballot adds to: every pick, except on
+// ranked polls where only the first preference is counted.
+function countedOptionIndexes(poll, optionIndexes) {
+  return poll.type === "ranked" ? optionIndexes.slice(0, 1) : optionIndexes;
+}
+
+// Error response for ballots cast or cleared outside the voting window.
+// Returns null while the poll (or survey) is open.
+function sendPollNotOpen(res, poll, noun = "poll") {
+  const status = getPollStatus(poll);
+  if (status === "scheduled") {
+    return res.status(403).json({
+      message: `This ${noun} is not open yet. Voting opens at ${poll.opensAt.toISOString()}.`,
+    });
+  }
+  if (status === "closed") {
+    return res.status(403).json({ message: `This ${noun} is closed. Voting has ended.` });
+  }
+  return null;
+}
+
+// Survey questions are answered, published, closed and deleted through their
+// survey. Returns null for standalone polls.
+function sendSurveyQuestion(res, poll) {
+  if (!poll.survey) return null;
+  return res.status(400).json({
+    message: "This question is part of a survey. Use the survey instead.",
+    survey: poll.survey,
+  });
+}
+
+// Reads an optional date field from a request body: undefined/null/"" mean
+// "not set". Returns { value } or { error }.
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null || value === "") return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${field} must be a valid date.` };
+  }
+  return { value: date };
+}
+
+// ====== WORKSPACES ======
+// Every request runs in one workspace: the one named by the X-Workspace header
+// (or ?workspace= where headers can't be sent: streams, images and links), or
+// the default workspace without one. Polls, surveys and attribute fields are
+// only ever looked up inside it, so nothing crosses between workspaces, and
+// roles are the caller's role there (see AUTH MIDDLEWARE).
+
+const DEFAULT_WORKSPACE_NAME = process.env.DEFAULT_WORKSPACE_NAME || "CrowdVoice";
+const MAX_WORKSPACE_NAME_LENGTH = 80;
+
+// The default workspace, created on first use
+async function getDefaultWorkspace() {
+  const existing = await Workspace.findOne({ isDefault: true });
+  if (existing) return existing;
+  try {
+    return await Workspace.create({ name: DEFAULT_WORKSPACE_NAME, isDefault: true });
+  } catch (err) {
+    // Another request created it first
+    if (err.code === 11000) return Workspace.findOne({ isDefault: true });
+    throw err;
+  }
+}
+
+// Adds the request's workspace to a MongoDB filter
+function inWorkspace(req, filter = {}) {
+  return { ...filter, workspace: req.workspace._id };
+}
+
+// Shape of a workspace as sent to the client, with the caller's role in it
+function toClientWorkspace(workspace, membership) {
+  return {
+    _id: workspace._id,
+    name: workspace.name,
+    isDefault: workspace.isDefault,
+    role: membership?.role || null,
+    createdAt: workspace.createdAt,
+  };
+}
+
+// Whether the caller may see what is in the request's workspace. Anyone may
+// in the default workspace, as before workspaces existed; other workspaces
+// are for their members (see canAccessPoll for the invite links of their
+// private polls).
+function isWorkspaceVisible(req) {
+  return req.workspace.isDefault || !!req.membership;
+}
+
+// Usage: app.get("/route", requireWorkspaceAccess, handler)
+function requireWorkspaceAccess(req, res, next) {
+  if (!isWorkspaceVisible(req)) {
+    return sendNotMember(res);
+  }
+  next();
+}
+
+function sendNotMember(res) {
+  return res.status(403).json({ message: "You are not a member of this workspace." });
+}
+
+// Moves data from before workspaces existed into the default workspace: polls,
+// surveys and attribute fields get its id, and every user without a
+// membership joins it with the role and attribute values their account had.
+async function migrateToWorkspaces() {
+  const defaultWorkspace = await getDefaultWorkspace();
+  const missing = { workspace: { $exists: false } };
+  const assign = { $set: { workspace: defaultWorkspace._id } };
+  await Promise.all([
+    Poll.updateMany(missing, assign),
+    Survey.updateMany(missing, assign),
+    AttributeField.updateMany(missing, assign),
+  ]);
+  // Attribute keys used to be unique across the deployment
+  await AttributeField.syncIndexes();
+
+  const members = new Set((await Membership.distinct("user")).map(String));
+  const users = await User.collection.find({}, { projection: { role: 1, attributes: 1 } }).toArray();
+  const newMembers = users.filter((user) => !members.has(String(user._id)));
+  if (newMembers.length > 0) {
+    await Membership.insertMany(
+      newMembers.map((user) => ({
+        workspace: defaultWorkspace._id,
+        user: user._id,
+        role: ROLES.includes(user.role) ? user.role : "voter",
+        attributes: user.attributes || {},
+      })),
+      { ordered: false }
+    );
+    console.log(`Added ${newMembers.length} user(s) to the default workspace`);
+  }
+}
+
+// ====== POLL ACCESS ======
+// Private polls are opened with an access token. Invitees get one by entering
+// the poll's invite code (POST /api/polls/join) or by following its invite
+// link, which carries the token as ?access=. Tokens are signatures of the
+// current invite code, so regenerating or revoking the code invalidates every
+// token and link handed out before.
+
+// Invite codes look like "K7QP-2XMD": no 0/O or 1/I, so they survive being
+// read out loud
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function generateInviteCode() {
+  const chars = Array.from(
+    { length: 8 },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  );
+  return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+}
+
+// Accepts codes typed in any case, with or without the dash. Returns the
+// stored form, or null when it can't be a code.
+function normalizeInviteCode(code) {
+  const chars = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return chars.length === 8 ? `${chars.slice(0, 4)}-${chars.slice(4)}` : null;
+}
+
+function pollAccessToken(poll) {
+  return signValue(`poll-access:${poll._id}:${poll.inviteCode}`);
+}
+
+// Invite details shown to the poll's managers, or null unless the poll is
+// private and has a code
+function pollInvite(poll) {
+  if (poll.visibility !== "private" || !poll.inviteCode) return null;
+  const accessToken = pollAccessToken(poll);
+  return { code: poll.inviteCode, accessToken, url: pollPublicUrl(poll, { access: accessToken }) };
+}
+
+// Whether the access token is the current one of a private poll's invite
+function hasInviteAccess(poll, accessToken) {
+  if (poll.visibility !== "private" || !poll.inviteCode || !accessToken) return false;
+  const expected = Buffer.from(pollAccessToken(poll));
+  const actual = Buffer.from(String(accessToken));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Whether the caller of a request for a poll in its workspace may open the
+// poll with this access token. Outside the default workspace non-members need
+// the invite of a private poll; its other polls are for members only.
+function canAccessPoll(req, poll, accessToken) {
+  if (canManagePoll(req, poll) || hasInviteAccess(poll, accessToken)) return true;
+  return isWorkspaceVisible(req) && poll.visibility !== "private";
+}
+
+// Whether GET /api/polls (and its stream) shows the poll to the caller of a
+// request in their workspace
+function isPollListedFor(req, poll) {
+  if (!poll.workspace || !poll.workspace.equals(req.workspace._id)) return false;
+  return (poll.visibility || "public") === "public" || canManagePoll(req, poll);
+}
+
+// Error response for a poll the caller may not open: 403 for non-members of
+// the poll's workspace (see canAccessPoll); for a private poll 404 without a
+// token, so the poll's existence isn't revealed, or 403 for an outdated one.
+// Returns null when the caller may open the poll.
+function sendNoPollAccess(req, res, poll) {
+  if (canAccessPoll(req, poll, req.pollAccess)) return null;
+  if (!isWorkspaceVisible(req) && !req.pollAccess) {
+    return sendNotMember(res);
+  }
+  if (req.pollAccess) {
+    return res
+      .status(403)
+      .json({ message: "This invite is no longer valid. Ask the poll's owner for a new one." });
+  }
+  return res.status(404).json({ message: "Poll not found" });
+}
+
+// ====== POLL CREATION ======
+
+// Validates a new poll's fields, for POST /api/polls and each row of an
+// import (see the route comment for the accepted fields).
+// Returns { fields } ready for new Poll(...) or { error, field } naming the
+// field at fault.
+function parsePollInput(body) {
+  const {
+    question,
+    options,
+    allowAnonymous,
+    type,
+    minSelections,
+    maxSelections,
+    scaleMin,
+    scaleMax,
+    minLabel,
+    maxLabel,
+    opensAt,
+    closesAt,
+    publishOnClose,
+    resultsVisibility,
+    visibility,
+  } = body || {};
+
+  const trimmedQuestion = typeof question === "string" ? question.trim() : "";
+  const trimmedOptions = Array.isArray(options)
+    ? options.map((opt) => (typeof opt === "string" ? opt.trim() : "")).filter(Boolean)
+    : [];
+
+  const pollType = type ?? "single";
+  if (!POLL_TYPES.includes(pollType)) {
+    return { error: `Type must be one of: ${POLL_TYPES.join(", ")}`, field: "type" };
+  }
+
+  if (!trimmedQuestion) {
+    return { error: "Question is required.", field: "question" };
+  }
+  let scale = null;
+  if (!OPTION_POLL_TYPES.includes(pollType)) {
+    if (trimmedOptions.length > 0) {
+      return { error: "Only single, multiple and ranked polls have options.", field: "options" };
+    }
+    if (pollType === "scale" || pollType === "nps") {
+      const parsed = parseScale(pollType, { scaleMin, scaleMax, minLabel, maxLabel });
+      if (parsed.error) {
+        return parsed;
+      }
+      scale = parsed.scale;
+    }
+  } else if (trimmedOptions.length < 2) {
+    return { error: "At least two non-empty options are required.", field: "options" };
+  }
+
+  let minPicks = 1;
+  let maxPicks = 1;
+  if (pollType === "multiple" || pollType === "ranked") {
+    minPicks = minSelections ?? 1;
+    maxPicks = maxSelections ?? trimmedOptions.length;
+    if (
+      !Number.isInteger(minPicks) ||
+      !Number.isInteger(maxPicks) ||
+      minPicks < 1 ||
+      minPicks > maxPicks ||
+      maxPicks > trimmedOptions.length
+    ) {
+      return {
+        error: "Selections must satisfy 1 <= minSelections <= maxSelections <= number of options.",
+        field: "minSelections",
+      };
+    }
+  }
+
+  const opens = parseOptionalDate(opensAt, "opensAt");
+  if (opens.error) {
+    return { error: opens.error, field: "opensAt" };
+  }
+  const closes = parseOptionalDate(closesAt, "closesAt");
+  if (closes.error) {
+    return { error: closes.error, field: "closesAt" };
+  }
+  if (closes.value && closes.value <= new Date()) {
+    return { error: "closesAt must be in the future.", field: "closesAt" };
+  }
+  if (opens.value && closes.value && closes.value <= opens.value) {
+    return { error: "closesAt must be after opensAt.", field: "closesAt" };
+  }
+
+  const resultsPolicy = resultsVisibility ?? "always";
+  if (!RESULTS_VISIBILITY.includes(resultsPolicy)) {
+    return {
+      error: `resultsVisibility must be one of: ${RESULTS_VISIBILITY.join(", ")}`,
+      field: "resultsVisibility",
+    };
+  }
+  const access = visibility ?? "public";
+  if (!POLL_VISIBILITY.includes(access)) {
+    return { error: `visibility must be one of: ${POLL_VISIBILITY.join(", ")}`, field: "visibility" };
+  }
+
+  return {
+    fields: {
+      question: trimmedQuestion,
+      options: scale
+        ? scaleValues(scale).map((value) => ({ text: String(value) }))
+        : trimmedOptions.map((opt) => ({ text: opt })),
+      type: pollType,
+      minSelections: minPicks,
+      maxSelections: maxPicks,
+      ...scale,
+      allowAnonymous: allowAnonymous ?? true,
+      opensAt: opens.value,
+      closesAt: closes.value,
+      publishOnClose: !!publishOnClose,
+      resultsVisibility: resultsPolicy,
+      visibility: access,
+      inviteCode: access === "private" ? generateInviteCode() : null,
+    },
+  };
+}
+
+// Validates the range and end labels of a scale poll. NPS polls always run
+// from 0 to 10. Returns { scale: { scaleMin, scaleMax, minLabel, maxLabel } }
+// or { error, field }.
+function parseScale(type, { scaleMin, scaleMax, minLabel, maxLabel }) {
+  const labels = {};
+  for (const [name, value] of Object.entries({ minLabel, maxLabel })) {
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return { error: `${name} must be a string.`, field: name };
+    }
+    labels[name] = (value || "").trim();
+    if (labels[name].length > MAX_SCALE_LABEL_LENGTH) {
+      return { error: `${name} can be at most ${MAX_SCALE_LABEL_LENGTH} characters.`, field: name };
+    }
+  }
+
+  if (type === "nps") {
+    if ((scaleMin ?? 0) !== 0 || (scaleMax ?? 10) !== 10) {
+      return { error: "NPS polls always use a 0-10 scale.", field: "scaleMin" };
+    }
+    return {
+      scale: {
+        scaleMin: 0,
+        scaleMax: 10,
+        minLabel: labels.minLabel || "Not at all likely",
+        maxLabel: labels.maxLabel || "Extremely likely",
+      },
+    };
+  }
+
+  const min = scaleMin ?? 1;
+  const max = scaleMax ?? 5;
+  if (
+    !Number.isInteger(min) ||
+    !Number.isInteger(max) ||
+    min >= max ||
+    max - min + 1 > MAX_SCALE_POINTS
+  ) {
+    return {
+      error: `scaleMin and scaleMax must be whole numbers with scaleMin < scaleMax and at most ${MAX_SCALE_POINTS} points.`,
+      field: "scaleMax",
+    };
+  }
+  return { scale: { scaleMin: min, scaleMax: max, ...labels } };
+}
+
+// Every point on a scale poll, lowest first
+function scaleValues({ scaleMin, scaleMax }) {
+  return Array.from({ length: scaleMax - scaleMin + 1 }, (_, i) => scaleMin + i);
+}
+
+// ====== POLL LISTING ======
+
+// Sort orders for GET /api/polls. Each one sorts its field descending with
+// _id as the tie-breaker, so every poll has a unique position for the cursor.
+const POLL_SORTS = {
+  newest: "createdAt",
+  votes: "voterCount",
+  active: "lastActivityAt",
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: base64url JSON of the last poll's sort value and id
+function encodeCursor(poll, sortField) {
+  const value = poll[sortField];
+  return Buffer.from(
+    JSON.stringify({ v: value instanceof Date ? value.toISOString() : value ?? null, id: poll._id })
+  ).toString("base64url");
+}
+
+// Returns { value, id } or null if the cursor is malformed
+function decodeCursor(cursor, sortField) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!decoded || !mongoose.isValidObjectId(decoded.id)) return null;
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  if (decoded.v === null) return { value: null, id };
+
+  const value = sortField === "voterCount" ? Number(decoded.v) : new Date(decoded.v);
+  const valid = sortField === "voterCount" ? Number.isFinite(value) : !Number.isNaN(value.getTime());
+  return valid ? { value, id } : null;
+}
+
+// Polls sorting after the cursor position. Null values (e.g. polls nobody has
+// voted on yet for "active") sort after every real value.
+function afterCursor(sortField, cursor) {
+  if (cursor.value === null) {
+    return { [sortField]: null, _id: { $lt: cursor.id } };
+  }
+  return {
+    $or: [
+      { [sortField]: { $lt: cursor.value } },
+      { [sortField]: cursor.value, _id: { $lt: cursor.id } },
+      { [sortField]: null },
+    ],
+  };
+}
+
+// Reads "true"/"false" query parameters. Returns { value } (undefined when
+// absent) or { error }.
+function parseBooleanParam(value, field) {
+  if (value === undefined || value === "") return { value: undefined };
+  if (value === "true" || value === "false") return { value: value === "true" };
+  return { error: `${field} must be "true" or "false".` };
+}
+
+// Builds the MongoDB filter for the GET /api/polls query parameters, as seen
+// by the caller of req in their workspace (see isPollListedFor). Returns
+// { conditions } (a list to be combined with $and) or { error }.
+function buildPollListConditions(query, req, now = new Date()) {
+  // Survey questions are listed through their survey
+  const conditions = [inWorkspace(req, { survey: null })];
+
+  // Unlisted and private polls are only listed for the people managing them.
+  // Polls from before visibility existed have no such field and are public.
+  if (req.role !== "admin") {
+    const listed = { visibility: { $in: ["public", null] } };
+    conditions.push(req.role === "creator" ? { $or: [listed, { createdBy: req.user._id }] } : listed);
+  }
+
+  const published = parseBooleanParam(query.published, "published");
+  if (published.error) return { error: published.error };
+  if (published.value !== undefined) conditions.push({ published: published.value });
+
+  const anonymous = parseBooleanParam(query.anonymous, "anonymous");
+  if (anonymous.error) return { error: anonymous.error };
+  if (anonymous.value !== undefined) conditions.push({ allowAnonymous: anonymous.value });
+
+  // Mirrors getPollStatus
+  const notClosed = [
+    { closed: { $ne: true } },
+    { $or: [{ closesAt: null }, { closesAt: { $gt: now } }] },
+  ];
+  if (query.status === "open") {
+    conditions.push(...notClosed, { $or: [{ opensAt: null }, { opensAt: { $lte: now } }] });
+  } else if (query.status === "scheduled") {
+    conditions.push(...notClosed, { opensAt: { $gt: now } });
+  } else if (query.status === "closed") {
+    conditions.push({ $or: [{ closed: true }, { closesAt: { $lte: now } }] });
+  } else if (query.status !== undefined && query.status !== "") {
+    return { error: "status must be one of: open, closed, scheduled." };
+  }
+
+  const createdAfter = parseOptionalDate(query.createdAfter, "createdAfter");
+  if (createdAfter.error) return { error: createdAfter.error };
+  if (createdAfter.value) conditions.push({ createdAt: { $gte: createdAfter.value } });
+
+  const createdBefore = parseOptionalDate(query.createdBefore, "createdBefore");
+  if (createdBefore.error) return { error: createdBefore.error };
+  if (createdBefore.value) conditions.push({ createdAt: { $lt: createdBefore.value } });
+
+  return { conditions };
+}
+
+// ====== POLL EDITING ======
+
+// Query condition for "revision equals n". Polls and ballots saved before
+// revisions existed have no such field, which counts as revision 0.
+function matchRevision(revision) {
+  return revision === 0 ? { $in: [0, null] } : revision;
+}
+
+// Carries option indexes from an older poll revision to the current one by
+// replaying the recorded edits. Options removed along the way are dropped.
+function mapIndexesForward(poll, optionIndexes, fromRevision) {
+  return poll.edits
+    .filter((edit) => edit.revision > fromRevision)
+    .sort((a, b) => a.revision - b.revision)
+    .reduce(
+      (indexes, edit) => indexes.map((i) => edit.indexMap[i] ?? -1).filter((i) => i >= 0),
+      optionIndexes
+    );
+}
+
+// Reads the edited option list from a PUT body. Each entry is either
+// { "_id": "<existing option id>", "text": "..." } or { "text": "..." } for a
+// new option. Returns { options: [{ oldIndex, text }] } (oldIndex -1 for new
+// options) or { error }.
+function parseEditedOptions(poll, options) {
+  if (!Array.isArray(options)) {
+    return { error: "Options must be an array." };
+  }
+
+  const seen = new Set();
+  const edited = [];
+  for (const opt of options) {
+    const text = opt && typeof opt.text === "string" ? opt.text.trim() : "";
+    if (!text) {
+      return { error: "Option text cannot be empty." };
+    }
+
+    if (opt._id === undefined || opt._id === null) {
+      edited.push({ oldIndex: -1, text });
+      continue;
+    }
+    const oldIndex = poll.options.findIndex((existing) => existing._id.toString() === String(opt._id));
+    if (oldIndex === -1) {
+      return { error: `Unknown option id: ${opt._id}` };
+    }
+    if (seen.has(oldIndex)) {
+      return { error: "Each existing option can only appear once." };
+    }
+    seen.add(oldIndex);
+    edited.push({ oldIndex, text });
+  }
+
+  if (edited.length < 2) {
+    return { error: "A poll needs at least two options." };
+  }
+  return { options: edited };
+}
+
+// ====== VOTER ATTRIBUTES ======
+
+const MAX_ATTRIBUTE_FIELDS = 20;
+const MAX_ATTRIBUTE_CHOICES = 50;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 100;
+
+// Breakdowns never show a group with fewer voters than this, so small teams
+// can't be singled out. Set MIN_GROUP_SIZE to change it.
+const MIN_GROUP_SIZE = Math.max(1, Number(process.env.MIN_GROUP_SIZE) || 5);
+
+// Validates the body of POST /api/attributes. The key defaults to the label
+// in snake_case. Returns { value } or { error }.
+function parseAttributeFieldInput({ key, label, choices }) {
+  const trimmedLabel = typeof label === "string" ? label.trim() : "";
+  if (!trimmedLabel || trimmedLabel.length > MAX_ATTRIBUTE_VALUE_LENGTH) {
+    return { error: `Label is required (at most ${MAX_ATTRIBUTE_VALUE_LENGTH} characters).` };
+  }
+
+  const fieldKey =
+    typeof key === "string" && key.trim()
+      ? key.trim()
+      : trimmedLabel.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!/^[a-z][a-z0-9_]{0,31}$/.test(fieldKey)) {
+    return {
+      error: "Key must start with a letter and use at most 32 lowercase letters, numbers or _.",
+    };
+  }
+
+  if (choices !== undefined && !Array.isArray(choices)) {
+    return { error: "Choices must be an array." };
+  }
+  const trimmedChoices = [
+    ...new Set(
+      (choices || [])
+        .map((choice) => (typeof choice === "string" ? choice.trim() : ""))
+        .filter(Boolean)
+    ),
+  ];
+  if (trimmedChoices.length > MAX_ATTRIBUTE_CHOICES) {
+    return { error: `A field can have at most ${MAX_ATTRIBUTE_CHOICES} choices.` };
+  }
+  if (trimmedChoices.some((choice) => choice.length > MAX_ATTRIBUTE_VALUE_LENGTH)) {
+    return { error: `Choices can be at most ${MAX_ATTRIBUTE_VALUE_LENGTH} characters.` };
+  }
+
+  return { value: { key: fieldKey, label: trimmedLabel, choices: trimmedChoices } };
+}
+
+// Validates { "<field key>": "<value>" } against the defined fields. Empty
+// values are left out. Returns { attributes } or { error }.
+function parseVoterAttributes(fields, input) {
+  if (input === undefined || input === null) {
+    return { attributes: {} };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "attributes must be an object." };
+  }
+
+  const attributes = {};
+  for (const [key, value] of Object.entries(input)) {
+    const field = fields.find((f) => f.key === key);
+    if (!field) {
+      return { error: `Unknown attribute: ${key}` };
+    }
+    if (value === null || value === "") continue;
+    const trimmed = typeof value === "string" ? value.trim() : "";
+    if (!trimmed || trimmed.length > MAX_ATTRIBUTE_VALUE_LENGTH) {
+      return {
+        error: `${field.label} must be text of at most ${MAX_ATTRIBUTE_VALUE_LENGTH} characters.`,
+      };
+    }
+    if (field.choices.length > 0 && !field.choices.includes(trimmed)) {
+      return { error: `${field.label} must be one of: ${field.choices.join(", ")}` };
+    }
+    attributes[key] = trimmed;
+  }
+  return { attributes };
+}
+
+// Attribute values stored on a ballot in the request's workspace: those on the
+// voter's membership, with the ones given on the ballot filling the gaps.
+// Returns { attributes } or { error }.
+async function ballotAttributes(req, input) {
+  const fields = await AttributeField.find(inWorkspace(req)).lean();
+  const parsed = parseVoterAttributes(fields, input);
+  if (parsed.error) return parsed;
+  const profile = Object.fromEntries(req.membership?.attributes || []);
+  return { attributes: { ...parsed.attributes, ...profile } };
+}
+
+// Cross-tabulates a poll's ballots by one attribute field:
+// [{ value, voterCount, votes: [per option] }], value null for ballots
+// without one. Small groups are pooled (see poolSmallGroups).
+async function crossTabulate(poll, field, minGroupSize = MIN_GROUP_SIZE) {
+  const ballots = await Ballot.find(
+    { poll: poll._id },
+    { optionIndexes: 1, pollRevision: 1, attributes: 1 }
+  ).lean();
+
+  const byValue = new Map();
+  for (const ballot of ballots) {
+    const value = (ballot.attributes && ballot.attributes[field.key]) || null;
+    if (!byValue.has(value)) {
+      byValue.set(value, { value, voterCount: 0, votes: poll.options.map(() => 0) });
+    }
+    const group = byValue.get(value);
+    group.voterCount += 1;
+    mapIndexesForward(
+      poll,
+      countedOptionIndexes(poll, ballot.optionIndexes),
+      ballot.pollRevision
+    ).forEach((i) => {
+      group.votes[i] += 1;
+    });
+  }
+
+  return poolSmallGroups([...byValue.values()], field, poll.options.length, minGroupSize);
+}
+
+// Groups smaller than minGroupSize are pooled into a single "other" group
+// (other: true). While that group is still too small, the next smallest group
+// is pooled too, so no suppressed count can be worked out by subtracting the
+// visible groups from the poll's totals. If every ballot ends up pooled and
+// there are still too few, no groups are returned at all.
+function poolSmallGroups(groupList, field, optionCount, minGroupSize) {
+  const groups = [...groupList].sort((a, b) => b.voterCount - a.voterCount);
+  const other = {
+    value: null,
+    other: true,
+    voterCount: 0,
+    votes: Array.from({ length: optionCount }, () => 0),
+  };
+  const pool = (group) => {
+    other.voterCount += group.voterCount;
+    group.votes.forEach((votes, i) => {
+      other.votes[i] += votes;
+    });
+  };
+  while (groups.length > 0 && groups[groups.length - 1].voterCount < minGroupSize) {
+    pool(groups.pop());
+  }
+  while (other.voterCount > 0 && other.voterCount < minGroupSize && groups.length > 0) {
+    pool(groups.pop());
+  }
+
+  // Fields with choices keep their choice order; free-text ones stay largest first
+  if (field.choices.length > 0) {
+    const position = (group) =>
+      group.value === null ? field.choices.length : field.choices.indexOf(group.value);
+    groups.sort((a, b) => position(a) - position(b));
+  }
+  if (other.voterCount >= minGroupSize) {
+    groups.push(other);
+  }
+  return groups;
+}
+
+// ====== BALLOTS ======
+
+// Records a voter's ballot and counts it; `text` is the answer to a free-text
+// poll and `attributes` the voter's attribute values (see ballotAttributes).
+// Returns { poll } with the updated poll, or { status, error } when it was not
+// counted.
+async function castBallot(poll, { voterKey, user, optionIndexes, text, attributes }) {
+  try {
+    await Ballot.create({
+      poll: poll._id,
+      voterKey,
+      user: user ? user._id : null,
+      optionIndexes,
+      pollRevision: poll.revision,
+      attributes,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { status: 409, error: "You have already voted on this poll." };
+    }
+    throw err;
+  }
+
+  // $inc is applied atomically by MongoDB, so concurrent votes never
+  // overwrite each other the way findById -> mutate -> save() would.
+  // Matching on revision makes sure the indexes still mean the same options.
+  const increments = { voterCount: 1 };
+  countedOptionIndexes(poll, optionIndexes).forEach((i) => {
+    increments[`options.${i}.votes`] = 1;
+  });
+  const updatedPoll = await Poll.findOneAndUpdate(
+    { _id: poll._id, revision: matchRevision(poll.revision) },
+    { $inc: increments, $set: { lastActivityAt: new Date() } },
+    { new: true }
+  );
+  if (!updatedPoll) {
+    // Poll was deleted or its options were edited since we read it
+    await Ballot.deleteOne({ poll: poll._id, voterKey });
+    if (!(await Poll.exists({ _id: poll._id }))) {
+      return { status: 404, error: "Poll not found" };
+    }
+    return { status: 409, error: "This poll was just edited. Please reload it and vote again." };
+  }
+  if (poll.type === "text") {
+    await TextResponse.create({ poll: poll._id, voterKey, user: user ? user._id : null, text });
+  }
+  await VoteEvent.create({
+    poll: poll._id,
+    kind: "vote",
+    optionIndexes: countedOptionIndexes(poll, optionIndexes),
+    pollRevision: updatedPoll.revision,
+  });
+  return { poll: updatedPoll };
+}
+
+// How often retractBallot retries when edits keep changing the poll under it
+const MAX_RETRACT_ATTEMPTS = 5;
+
+// Deletes a voter's ballot and uncounts it. Returns { poll } with the updated
+// poll, or { status, error }.
+async function retractBallot(poll, voterKey) {
+  const ballot = await Ballot.findOneAndDelete({ poll: poll._id, voterKey });
+  if (!ballot) {
+    return { status: 404, error: "You have not voted on this poll." };
+  }
+  if (poll.type === "text") {
+    await TextResponse.deleteOne({ poll: poll._id, voterKey });
+  }
+
+  // A ballot cast before an edit it wasn't remapped by still uses the old
+  // indexes; carry them forward to the current option list first. The
+  // decrement only applies while the poll still has the revision the indexes
+  // were mapped to, so an edit landing in between makes us map and try again.
+  for (let attempt = 1; attempt <= MAX_RETRACT_ATTEMPTS; attempt += 1) {
+    const currentPoll = await Poll.findById(poll._id);
+    if (!currentPoll) {
+      return { status: 404, error: "Poll not found" };
+    }
+    const countedIndexes = mapIndexesForward(
+      currentPoll,
+      countedOptionIndexes(poll, ballot.optionIndexes),
+      ballot.pollRevision
+    );
+
+    // Counters already at zero are left alone, and the others must still be
+    // positive when the update lands, so none can go negative
+    const counterPaths = [
+      ...(currentPoll.voterCount > 0 ? ["voterCount"] : []),
+      ...countedIndexes
+        .filter((i) => currentPoll.options[i].votes > 0)
+        .map((i) => `options.${i}.votes`),
+    ];
+    const update = { $set: { lastActivityAt: new Date() } };
+    if (counterPaths.length > 0) {
+      update.$inc = Object.fromEntries(counterPaths.map((counterPath) => [counterPath, -1]));
+    }
+
+    const updatedPoll = await Poll.findOneAndUpdate(
+      {
+        _id: poll._id,
+        revision: matchRevision(currentPoll.revision),
+        ...Object.fromEntries(counterPaths.map((counterPath) => [counterPath, { $gt: 0 }])),
+      },
+      update,
+      { new: true }
+    );
+    if (updatedPoll) {
+      await VoteEvent.create({
+        poll: poll._id,
+        kind: "clear",
+        optionIndexes: countedIndexes,
+        pollRevision: currentPoll.revision,
+      });
+      return { poll: updatedPoll };
+    }
+  }
+
+  console.error(`Could not uncount a ballot on poll ${poll._id} after ${MAX_RETRACT_ATTEMPTS} attempts`);
+  return { status: 409, error: "This poll is changing right now. Please reload it." };
+}
+
+// Tallied results for GET /api/polls/:id/results (and each survey question).
+// Ranked polls include the instant-runoff rounds; free-text polls the number
+// of visible responses and their most frequent words; scale and NPS polls
+// summary statistics (see summarizeScale).
+async function buildPollResults(poll) {
+  const results = {
+    type: poll.type,
+    voterCount: poll.voterCount,
+    options: poll.options.map((opt) => ({ text: opt.text, votes: opt.votes })),
+  };
+
+  if (poll.type === "ranked") {
+    // Rankings cast before an option edit are carried forward to the current
+    // options, as for the breakdowns and exports
+    const ballots = await Ballot.find({ poll: poll._id }, { optionIndexes: 1, pollRevision: 1 }).lean();
+    Object.assign(
+      results,
+      tabulateInstantRunoff(
+        poll.options.length,
+        ballots.map((ballot) => mapIndexesForward(poll, ballot.optionIndexes, ballot.pollRevision ?? 0))
+      )
+    );
+  }
+  if (poll.type === "text") {
+    const responses = await TextResponse.find({ poll: poll._id, hidden: false }, { text: 1 }).lean();
+    results.responseCount = responses.length;
+    results.words = wordFrequencies(responses.map((response) => response.text));
+  }
+  if (poll.type === "scale" || poll.type === "nps") {
+    results.summary = summarizeScale(poll);
+  }
+  return results;
+}
+
+// ====== SCALE STATISTICS ======
+
+const roundTo2 = (n) => Math.round(n * 100) / 100;
+
+// Statistics for a scale or NPS poll, computed from the per-point counts:
+// { count, mean, median, standardDeviation, distribution: [{ value, count }] }
+// (standard deviation of the population; null statistics while there are no
+// votes). NPS polls add promoters / passives / detractors (counts and
+// percentages) and the score itself: % promoters - % detractors, -100 to 100.
+function summarizeScale(poll) {
+  const distribution = scaleValues(poll).map((value, i) => ({
+    value,
+    count: poll.options[i] ? poll.options[i].votes : 0,
+  }));
+  const count = distribution.reduce((sum, point) => sum + point.count, 0);
+
+  const summary = { count, mean: null, median: null, standardDeviation: null, distribution };
+  if (count > 0) {
+    const mean = distribution.reduce((sum, point) => sum + point.value * point.count, 0) / count;
+    const variance =
+      distribution.reduce((sum, point) => sum + point.count * (point.value - mean) ** 2, 0) /
+      count;
+    // Value at a 0-based position in the sorted votes
+    const valueAt = (position) => {
+      let seen = 0;
+      return distribution.find((point) => (seen += point.count) > position).value;
+    };
+    summary.mean = roundTo2(mean);
+    summary.median =
+      count % 2 ? valueAt((count - 1) / 2) : (valueAt(count / 2 - 1) + valueAt(count / 2)) / 2;
+    summary.standardDeviation = roundTo2(Math.sqrt(variance));
+  }
+
+  if (poll.type === "nps") {
+    const countBetween = (low, high) =>
+      distribution
+        .filter((point) => point.value >= low && point.value <= high)
+        .reduce((sum, point) => sum + point.count, 0);
+    const percent = (n) => (count ? roundTo2((n / count) * 100) : 0);
+    const promoters = countBetween(9, 10);
+    const passives = countBetween(7, 8);
+    const detractors = countBetween(0, 6);
+    Object.assign(summary, {
+      promoters: { count: promoters, percentage: percent(promoters) },
+      passives: { count: passives, percentage: percent(passives) },
+      detractors: { count: detractors, percentage: percent(detractors) },
+      nps: count ? Math.round(((promoters - detractors) / count) * 100) : null,
+    });
+  }
+  return summary;
+}
+
+// ====== VOTE TIMELINE ======
+
+// Bucket sizes for GET /api/polls/:id/timeline, as MongoDB $dateTrunc units
+const TIMELINE_BUCKETS = ["minute", "hour", "day"];
+
+// Cumulative votes over time, one point per bucket in which something
+// happened: { time, voterCount, votes: [per option] }. Events are grouped
+// per bucket inside MongoDB; their option indexes are then carried forward
+// to the current option list (options removed since are dropped).
+async function buildTimeline(poll, bucket) {
+  const groups = await VoteEvent.aggregate([
+    { $match: { poll: poll._id } },
+    {
+      $group: {
+        _id: {
+          time: { $dateTrunc: { date: "$at", unit: bucket } },
+          kind: "$kind",
+          optionIndexes: "$optionIndexes",
+          pollRevision: "$pollRevision",
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.time": 1 } },
+  ]);
+
+  const points = [];
+  const totals = { voterCount: 0, votes: poll.options.map(() => 0) };
+  for (const { _id: group, count } of groups) {
+    const delta = group.kind === "clear" ? -count : count;
+    let point = points[points.length - 1];
+    if (!point || point.time.getTime() !== group.time.getTime()) {
+      point = { time: group.time };
+      points.push(point);
+    }
+    if (group.kind !== "transfer") totals.voterCount += delta;
+    mapIndexesForward(poll, group.optionIndexes, group.pollRevision).forEach((i) => {
+      totals.votes[i] += delta;
+    });
+    // Each point holds the running totals as of the end of its bucket
+    Object.assign(point, { voterCount: totals.voterCount, votes: [...totals.votes] });
+  }
+  return points;
+}
+
+// ====== TEXT RESPONSES ======
+
+// Common English words left out of word-frequency summaries
+const STOP_WORDS = new Set(
+  (
+    "a about after all also am an and any are as at be because been but by can could did do " +
+    "does for from get got had has have he her here him his how i if in into is it its just " +
+    "like me more most my no not now of on one only or other our out so some than that the " +
+    "their them then there these they this to too up us very was we were what when where " +
+    "which who why will with would you your"
+  ).split(" ")
+);
+const MAX_SUMMARY_WORDS = 50;
+
+// Most frequent words across free-text answers, as [{ word, count }] sorted
+// by count (then alphabetically). Case-insensitive; stop words and single
+// characters are skipped.
+function wordFrequencies(texts, limit = MAX_SUMMARY_WORDS) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const match of text.toLowerCase().matchAll(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu)) {
+      const word = match[0];
+      if (word.length < 2 || STOP_WORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count }));
+}
+
+// Escapes a user-supplied keyword for use inside a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ====== INSTANT-RUNOFF TABULATION ======
+// rankings: one array of option indexes per ballot, most preferred first
+// (partial rankings allowed). Each round counts every ballot for its highest
+// ranked option still in the race. An option with more than half of the
+// non-exhausted ballots wins; otherwise the option with the fewest votes is
+// eliminated and its ballots move to their next preference. Ties for last
+// place are broken by the earlier rounds' counts; options still tied after
+// that are eliminated together. If every remaining option is tied, the poll
+// ends in a tie between them.
+// Returns { rounds: [{ round, counts, exhausted, eliminated }], winner, tied }
+// where counts has one entry per option (null once eliminated).
+function tabulateInstantRunoff(optionCount, rankings) {
+  const active = new Set(Array.from({ length: optionCount }, (_, i) => i));
+  const rounds = [];
+
+  while (active.size > 0) {
+    const counts = Array.from({ length: optionCount }, (_, i) => (active.has(i) ? 0 : null));
+    let exhausted = 0;
+    rankings.forEach((ranking) => {
+      const choice = ranking.find((i) => active.has(i));
+      if (choice === undefined) {
+        exhausted += 1;
+      } else {
+        counts[choice] += 1;
+      }
+    });
+
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const continuing = rankings.length - exhausted;
+    const activeIndexes = [...active];
+    const leader = activeIndexes.reduce((best, i) => (counts[i] > counts[best] ? i : best));
+
+    if (active.size === 1 || (continuing > 0 && counts[leader] * 2 > continuing)) {
+      return { rounds, winner: continuing > 0 ? leader : null, tied: [] };
+    }
+
+    const fewest = Math.min(...activeIndexes.map((i) => counts[i]));
+    let lowest = activeIndexes.filter((i) => counts[i] === fewest);
+    if (lowest.length === active.size) {
+      return { rounds, winner: null, tied: continuing > 0 ? lowest : [] };
+    }
+
+    // Break ties for last place by looking back at earlier rounds
+    for (let r = rounds.length - 2; r >= 0 && lowest.length > 1; r -= 1) {
+      const earlier = rounds[r].counts;
+      const earlierFewest = Math.min(...lowest.map((i) => earlier[i]));
+      lowest = lowest.filter((i) => earlier[i] === earlierFewest);
+    }
+
+    round.eliminated = lowest;
+    lowest.forEach((i) => active.delete(i));
+  }
+
+  return { rounds, winner: null, tied: [] };
+}
+
+// ====== EXPORT ======
+
+const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+// Upper bound on polls in one bulk export
+const MAX_EXPORT_POLLS = 1000;
+
+// Percent with one decimal; multiple-choice polls are "share of voters",
+// everything else "share of votes", as in the UI
+function optionPercentage(poll, votes) {
+  const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes, 0);
+  const base = poll.type === "multiple" ? poll.voterCount : totalVotes;
+  return base ? Math.round((votes / base) * 1000) / 10 : 0;
+}
+
+// Plain export record for one poll. `ballots` (lean, with user populated) is
+// null when the caller may not see individual ballots. Voters are only named
+// on polls that do not allow anonymous voting.
+function buildPollExport(poll, ballots) {
+  const record = {
+    id: poll._id.toString(),
+    question: poll.question,
+    type: poll.type,
+    status: getPollStatus(poll),
+    published: poll.published,
+    resultsVisibility: poll.resultsVisibility || "always",
+    createdAt: poll.createdAt,
+    updatedAt: poll.updatedAt,
+    opensAt: poll.opensAt,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    voterCount: poll.voterCount,
+    options: poll.options.map((opt) => ({
+      text: opt.text,
+      votes: opt.votes,
+      percentage: optionPercentage(poll, opt.votes),
+    })),
+  };
+  if (poll.type === "scale" || poll.type === "nps") {
+    record.summary = summarizeScale(poll);
+  }
+  if (ballots) {
+    record.ballots = ballots.map((ballot) => ({
+      castAt: ballot.createdAt,
+      voter: !poll.allowAnonymous && ballot.user ? ballot.user.username : "anonymous",
+      choices: mapIndexesForward(poll, ballot.optionIndexes, ballot.pollRevision ?? 0).map(
+        (i) => poll.options[i].text
+      ),
+      ...(ballot.response && { text: ballot.response.text, hidden: ballot.response.hidden }),
+    }));
+  }
+  return record;
+}
+
+// Export records for several polls; ballots (and free-text answers) are
+// loaded in one query each for the polls listed in ballotPollIds
+async function buildPollExports(polls, ballotPollIds) {
+  const [ballots, responses] = ballotPollIds.length
+    ? await Promise.all([
+        Ballot.find({ poll: { $in: ballotPollIds } })
+          .sort({ createdAt: 1 })
+          .populate("user", "username")
+          .lean(),
+        TextResponse.find(
+          { poll: { $in: ballotPollIds } },
+          { poll: 1, voterKey: 1, text: 1, hidden: 1 }
+        ).lean(),
+      ])
+    : [[], []];
+  const responsesByVoter = new Map(
+    responses.map((response) => [`${response.poll}:${response.voterKey}`, response])
+  );
+  const ballotsByPoll = new Map(ballotPollIds.map((id) => [id.toString(), []]));
+  ballots.forEach((ballot) => {
+    ballot.response = responsesByVoter.get(`${ballot.poll}:${ballot.voterKey}`);
+    ballotsByPoll.get(ballot.poll.toString()).push(ballot);
+  });
+  return polls.map((poll) => buildPollExport(poll, ballotsByPoll.get(poll._id.toString()) || null));
+}
+
+function formatExportValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// Flat rows shared by CSV and XLSX: one "option" row per option and one
+// "ballot" row per ballot, each repeating the poll columns
+const EXPORT_COLUMNS = [
+  ["pollId", "Poll ID"],
+  ["question", "Question"],
+  ["type", "Type"],
+  ["status", "Status"],
+  ["published", "Published"],
+  ["createdAt", "Created"],
+  ["updatedAt", "Updated"],
+  ["opensAt", "Opens"],
+  ["closesAt", "Closes"],
+  ["closedAt", "Closed"],
+  ["voterCount", "Voters"],
+  ["record", "Record"],
+  ["option", "Option / Choices / Response"],
+  ["votes", "Votes"],
+  ["percentage", "Percentage"],
+  ["castAt", "Cast At"],
+  ["voter", "Voter"],
+];
+
+function exportRows(records) {
+  return records.flatMap((record) => {
+    const pollColumns = {
+      pollId: record.id,
+      question: record.question,
+      type: record.type,
+      status: record.status,
+      published: record.published,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      opensAt: record.opensAt,
+      closesAt: record.closesAt,
+      closedAt: record.closedAt,
+      voterCount: record.voterCount,
+    };
+    return [
+      ...record.options.map((opt) => ({
+        ...pollColumns,
+        record: "option",
+        option: opt.text,
+        votes: opt.votes,
+        percentage: opt.percentage,
+      })),
+      ...(record.ballots || []).map((ballot) => ({
+        ...pollColumns,
+        record: "ballot",
+        option: ballot.text ?? ballot.choices.join(" > "),
+        castAt: ballot.castAt,
+        voter: ballot.voter,
+      })),
+    ];
+  });
+}
+
+// Quotes fields as needed, and stops spreadsheet apps from running text
+// that starts like a formula
+function toCsvField(value) {
+  let text = String(formatExportValue(value));
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [
+    EXPORT_COLUMNS.map(([, header]) => toCsvField(header)).join(","),
+    ...exportRows(records).map((row) =>
+      EXPORT_COLUMNS.map(([key]) => toCsvField(row[key])).join(",")
+    ),
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+async function toXlsx(records) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Results");
+  sheet.columns = EXPORT_COLUMNS.map(([key, header]) => ({ key, header, width: 18 }));
+  sheet.getRow(1).font = { bold: true };
+  exportRows(records).forEach((row) => {
+    const values = {};
+    EXPORT_COLUMNS.forEach(([key]) => {
+      values[key] = row[key] instanceof Date ? row[key] : formatExportValue(row[key]);
+    });
+    sheet.addRow(values);
+  });
+  return workbook.xlsx.writeBuffer();
+}
+
+// Writes an export download. JSON keeps the nested shape; `body` is
+// { poll } for single-poll exports and { polls } for bulk exports.
+async function sendExport(res, format, filename, records, body) {
+  if (format === "json") {
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
+    return res.json({ exportedAt: new Date(), ...body });
+  }
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(records));
+  }
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+  return res.send(Buffer.from(await toXlsx(records)));
+}
+
+// ====== IMPORT ======
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+
+// Uploaded import files are kept in memory; they are small and parsed at once
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_BYTES, files: 1 },
+}).single("file");
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines.
+// Returns rows as arrays of strings, each with the line it started on.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// "true"/"yes"/"1" and "false"/"no"/"0"; undefined for an empty cell
+function parseCsvBoolean(value, field) {
+  const text = (value ?? "").trim().toLowerCase();
+  if (text === "") return { value: undefined };
+  if (["true", "yes", "1"].includes(text)) return { value: true };
+  if (["false", "no", "0"].includes(text)) return { value: false };
+  return { error: `${field} must be true or false.` };
+}
+
+// Turns one CSV record (keyed by lower-cased header) into a POST /api/polls
+// body. Options come from an "options" column separated by "|" and/or
+// "option1", "option2", ... columns.
+function csvRecordToPollInput(record) {
+  const options = [
+    ...(record.options ? record.options.split("|") : []),
+    ...Object.keys(record)
+      .filter((key) => /^option\d+$/.test(key))
+      .sort((a, b) => Number(a.slice(6)) - Number(b.slice(6)))
+      .map((key) => record[key]),
+  ];
+  const number = (value) => (value && value.trim() !== "" ? Number(value) : undefined);
+  const text = (value) => (value && value.trim() !== "" ? value.trim() : undefined);
+
+  const allowAnonymous = parseCsvBoolean(record.allowanonymous, "allowAnonymous");
+  const publishOnClose = parseCsvBoolean(record.publishonclose, "publishOnClose");
+  const booleanError = allowAnonymous.error || publishOnClose.error;
+  if (booleanError) return { error: booleanError };
+
+  return {
+    input: {
+      question: record.question,
+      options,
+      type: text(record.type),
+      minSelections: number(record.minselections),
+      maxSelections: number(record.maxselections),
+      scaleMin: number(record.scalemin),
+      scaleMax: number(record.scalemax),
+      minLabel: text(record.minlabel),
+      maxLabel: text(record.maxlabel),
+      allowAnonymous: allowAnonymous.value,
+      opensAt: text(record.opensat),
+      closesAt: text(record.closesat),
+      publishOnClose: publishOnClose.value,
+      resultsVisibility: text(record.resultsvisibility),
+      visibility: text(record.visibility),
+    },
+  };
+}
+
+// Reads an uploaded import file into [{ row, input }] or [{ row, error }],
+// where row is the CSV line number or the 1-based JSON array index.
+// Returns { rows } or { error } when the file as a whole can't be read.
+function readImportFile(file, format) {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { error: "The file is not valid JSON." };
+    }
+    const polls = Array.isArray(data) ? data : data && data.polls;
+    if (!Array.isArray(polls)) {
+      return { error: 'JSON imports must be an array of polls or { "polls": [...] }.' };
+    }
+    return {
+      rows: polls.map((input, index) =>
+        input && typeof input === "object" && !Array.isArray(input)
+          ? { row: index + 1, input }
+          : { row: index + 1, error: "Each poll must be an object." }
+      ),
+    };
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { error: "The file is empty." };
+  }
+  const columns = header.cells.map((cell) => cell.trim().toLowerCase());
+  if (!columns.includes("question")) {
+    return { error: 'CSV imports need a header row with a "question" column.' };
+  }
+  return {
+    rows: records.map(({ line, cells }) => {
+      const record = {};
+      columns.forEach((column, i) => {
+        if (column) record[column] = cells[i] ?? "";
+      });
+      const { input, error } = csvRecordToPollInput(record);
+      return error ? { row: line, error } : { row: line, input };
+    }),
+  };
+}
+
+// ====== LIVE UPDATES (Server-Sent Events) ======
+// Routes announce poll changes on this emitter; every open stream connection
+// listens and forwards the ones it cares about. This is in-process only, so
+// it assumes a single server instance.
+const pollEvents = new EventEmitter();
+pollEvents.setMaxListeners(0); // one listener per connected client
+
+const STREAM_HEARTBEAT_MS = 25000;
+
+function publishPollUpdate(poll) {
+  pollEvents.emit("poll", poll);
+}
+
+// Listeners get the deleted poll, so list streams can tell whether it was
+// ever shown to their client (see isPollListedFor)
+function publishPollDeleted(poll) {
+  pollEvents.emit("poll-deleted", poll);
+}
+
+// Turns the response into an event stream. Returns send(event, data); the
+// heartbeat and the onClose cleanup run until the client disconnects.
+function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies from buffering the stream
+  });
+  res.write("retry: 3000\n\n");
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Sends polls over an event stream as the connected caller may see them
+// (see toClientPoll). Serializing can hit the database, so sends are
+// chained to keep events in order.
+function createPollSender(req, send) {
+  let queue = Promise.resolve();
+  return (poll) => {
+    queue = queue
+      .then(async () => send("poll", await toClientPoll(req, poll)))
+      .catch((err) => console.error("Error sending poll update", err));
+  };
+}
+
+// ====== EMBEDS ======
+// Other sites embed a poll with an iframe of the client's /embed/:id page,
+// which shows only the ballot and live results. GET /api/oembed hands that
+// iframe to oEmbed consumers (https://oembed.com) given a link to the poll.
+const PUBLIC_APP_URL = FRONTEND_URLS[0];
+const EMBED_SIZE = { width: 480, height: 560 };
+
+// Link to a poll's page in the client app, or with page "embed" to its
+// widget. Links name the poll's workspace (see WORKSPACES) and can carry a
+// private poll's access token.
+function pollPublicUrl(poll, { page = "polls", access = null } = {}) {
+  const url = new URL(`${PUBLIC_APP_URL}/${page}/${poll._id}`);
+  url.searchParams.set("workspace", String(poll.workspace));
+  if (access) url.searchParams.set("access", access);
+  return url.toString();
+}
+
+// Link that opens the poll for anyone who follows it: private polls' links
+// carry an access token (see POLL ACCESS)
+function pollShareUrl(poll) {
+  const invite = pollInvite(poll);
+  return invite ? invite.url : pollPublicUrl(poll);
+}
+
+// { pollId, workspace, access } for a link to the client app (/polls/:id or
+// /embed/:id, with ?workspace= and a private poll's ?access= token), or null
+// when the URL isn't one. Links from before workspaces have no workspace.
+function parsePollLink(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (!FRONTEND_URLS.includes(url.origin)) return null;
+  const match = url.pathname.match(/^\/(?:polls|embed)\/([0-9a-f]{24})\/?$/i);
+  const workspace = url.searchParams.get("workspace");
+  if (!match || (workspace && !OBJECT_ID_PATTERN.test(workspace))) return null;
+  return { pollId: match[1], workspace, access: url.searchParams.get("access") };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// oEmbed "rich" response for a poll, no larger than maxWidth x maxHeight.
+// The access token from a private poll's link is passed on to the widget.
+function buildOEmbed(poll, maxWidth = Infinity, maxHeight = Infinity, access = null) {
+  const width = Math.min(EMBED_SIZE.width, maxWidth);
+  const height = Math.min(EMBED_SIZE.height, maxHeight);
+  const src = pollPublicUrl(poll, { page: "embed", access });
+  return {
+    version: "1.0",
+    type: "rich",
+    provider_name: "CrowdVoice",
+    provider_url: PUBLIC_APP_URL,
+    title: poll.question,
+    width,
+    height,
+    html:
+      `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" title="${escapeHtml(poll.question)}" ` +
+      `style="border:0;max-width:100%" loading="lazy"></iframe>`,
+  };
+}
+
+// ====== QR CODES ======
+// QR codes linking to a poll's page (with the invite token for private polls,
+// see pollShareUrl), drawn locally by the qrcode package so no outside
+// service sees the poll.
+const QR_FORMATS = ["svg", "png"];
+const QR_PNG_SIZE = { default: 1024, min: 128, max: 4096 }; // pixels; 1024 stays sharp on a projector
+
+function renderPollQr(poll, format, size = QR_PNG_SIZE.default) {
+  const options = { errorCorrectionLevel: "M", margin: 2 };
+  const url = pollShareUrl(poll);
+  if (format === "png") {
+    return QRCode.toBuffer(url, { ...options, type: "png", width: size });
+  }
+  return QRCode.toString(url, { ...options, type: "svg" });
+}
+
+// ====== AUTH MIDDLEWARE ======
+
+// Resolves "Authorization: Bearer <token>" into req.user / req.session, and
+// the X-Device-Token header into req.deviceToken. EventSource cannot send
+// headers, so the stream routes also accept ?stream_token= (see
+// createStreamToken) and ?device_token=.
+// Requests without a valid token simply continue with req.user = null.
+// A private poll's access token (see POLL ACCESS) goes in the X-Poll-Access
+// header, or ?access= for streams, images and links; it is read into
+// req.pollAccess.
+// The request's workspace (see WORKSPACES) is loaded into req.workspace, the
+// caller's membership of it into req.membership and their role there into
+// req.role (null for anonymous callers and non-members).
+app.use(async (req, res, next) => {
+  req.user = null;
+  req.session = null;
+  req.workspace = null;
+  req.membership = null;
+  req.role = null;
+  const isStream = req.method === "GET" && req.path.endsWith("/stream");
+  req.deviceToken =
+    req.headers["x-device-token"] || (isStream && req.query.device_token) || null;
+  req.pollAccess =
+    req.headers["x-poll-access"] || (typeof req.query.access === "string" && req.query.access) || null;
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+    let session = null;
+    if (scheme === "Bearer" && token) {
+      session = await findSession(token);
+    } else if (isStream && typeof req.query.stream_token === "string") {
+      session = await findStreamSession(req.query.stream_token);
+    }
+    if (session) {
+      const user = await User.findById(session.user);
+      if (user) {
+        req.user = user;
+        req.session = session;
+      }
+    }
+
+    // The root health check answers even while MongoDB is down
+    if (!req.path.startsWith("/api/")) return next();
+    const workspaceId =
+      req.headers["x-workspace"] || (typeof req.query.workspace === "string" && req.query.workspace) || null;
+    req.workspace = workspaceId
+      ? mongoose.isValidObjectId(workspaceId) && (await Workspace.findById(workspaceId))
+      : await getDefaultWorkspace();
+    if (!req.workspace) {
+      return res.status(404).json({ message: "Workspace not found" });
+    }
+    if (req.user) {
+      req.membership = await Membership.findOne({ workspace: req.workspace._id, user: req.user._id });
+      req.role = req.membership?.role || null;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: "You must be logged in to do that." });
+  }
+  next();
+}
+
+// Usage: app.post("/route", requireRole("admin", "creator"), handler)
+// Responds 401 without a session and 403 when the user's role in the
+// request's workspace is not listed.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "You must be logged in to do that." });
+    }
+    if (!roles.includes(req.role)) {
+      return res.status(403).json({ message: "You do not have permission to do that." });
+    }
+    next();
+  };
+}
+
+// ====== REQUEST VALIDATION ======
+// Each route declares the params, query and body fields it accepts (see
+// REQUEST_SCHEMAS) and validate() checks them before the handler runs, so
+// handlers can rely on the types. Field rules:
+//   type      "string" | "integer" | "number" | "boolean" | "objectId" |
+//             "date" | "array" | "object"
+//   required  reject when missing
+//   enum      allowed values
+//   min/max   bounds for numbers, or the length of strings and arrays
+//   items     rule for each array element
+//   fields    rules for the properties of an object
+// Query values are strings, so query integers and booleans are given as "20"
+// and "true". Missing means undefined or null (and "" in the query string).
+// Undeclared fields are ignored; rules that depend on the poll itself are
+// still checked by the handlers.
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const FIELD_TYPES = {
+  string: { test: (v) => typeof v === "string", noun: "a string" },
+  integer: { test: Number.isInteger, noun: "an integer" },
+  number: { test: Number.isFinite, noun: "a number" },
+  boolean: { test: (v) => typeof v === "boolean", noun: "true or false" },
+  objectId: { test: (v) => typeof v === "string" && OBJECT_ID_PATTERN.test(v), noun: "a valid id" },
+  date: {
+    test: (v) => (typeof v === "string" || typeof v === "number") && !Number.isNaN(new Date(v).getTime()),
+    noun: "a valid date",
+  },
+  array: { test: Array.isArray, noun: "an array" },
+  object: { test: (v) => typeof v === "object" && !Array.isArray(v), noun: "an object" },
+};
+
+// Query strings arrive as text; convert the ones declared as numbers or booleans
+function fromQueryString(type, value) {
+  if (typeof value !== "string") return value;
+  if ((type === "integer" || type === "number") && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+// Checks one value against its rule; returns a list of { field, message }
+function checkField(rule, rawValue, field, inQuery) {
+  const missing = rawValue === undefined || rawValue === null || (inQuery && rawValue === "");
+  if (missing) {
+    return rule.required ? [{ field, message: `${field} is required.` }] : [];
+  }
+
+  const value = inQuery ? fromQueryString(rule.type, rawValue) : rawValue;
+  const { test, noun } = FIELD_TYPES[rule.type];
+  if (!test(value)) {
+    return [{ field, message: `${field} must be ${noun}.` }];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [{ field, message: `${field} must be one of: ${rule.enum.join(", ")}.` }];
+  }
+
+  const size = typeof value === "number" ? value : value.length;
+  const unit = typeof value === "number" ? "" : rule.type === "array" ? " items" : " characters";
+  if (rule.min !== undefined && size < rule.min) {
+    return [{ field, message: `${field} must be at least ${rule.min}${unit}.` }];
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return [{ field, message: `${field} must be at most ${rule.max}${unit}.` }];
+  }
+
+  if (rule.items) {
+    return value.flatMap((item, i) => checkField(rule.items, item, `${field}[${i}]`, inQuery));
+  }
+  if (rule.fields) {
+    return checkFields(rule.fields, value, `${field}.`, inQuery);
+  }
+  return [];
+}
+
+function checkFields(rules, values, prefix, inQuery) {
+  return Object.entries(rules).flatMap(([name, rule]) =>
+    checkField(rule, values[name], `${prefix}${name}`, inQuery)
+  );
+}
+
+// 400 response for invalid input. The message is the first problem found.
+function sendValidationError(res, details) {
+  return res.status(400).json({ code: "validation_failed", message: details[0].message, details });
+}
+
+// Usage: app.post("/route", validate(REQUEST_SCHEMAS.something), handler)
+// with a schema of { params, query, body } field rules.
+function validate({ params = {}, query = {}, body }) {
+  return (req, res, next) => {
+    const details = [
+      ...checkFields(params, req.params, "", false),
+      ...checkFields(query, req.query, "", true),
+    ];
+    if (body) {
+      if (!FIELD_TYPES.object.test(req.body || {})) {
+        details.push({ field: "body", message: "The request body must be a JSON object." });
+      } else {
+        details.push(...checkFields(body, req.body || {}, "", false));
+      }
+    }
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+}
+
+// Field rules shared by several schemas
+const ID_PARAMS = { id: { type: "objectId", required: true } };
+const PAGE_QUERY = {
+  limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: "string" },
+};
+const POLL_LIST_QUERY = {
+  ...PAGE_QUERY,
+  sort: { type: "string", enum: Object.keys(POLL_SORTS) },
+  published: { type: "boolean" },
+  anonymous: { type: "boolean" },
+  status: { type: "string", enum: ["open", "closed", "scheduled"] },
+  createdAfter: { type: "date" },
+  createdBefore: { type: "date" },
+};
+// Answer to one question: see POST /api/polls/:id/vote
+const SELECTION_FIELDS = {
+  optionIndex: { type: "integer", min: 0 },
+  optionIndexes: { type: "array", items: { type: "integer", min: 0 } },
+  ranking: { type: "array", items: { type: "integer", min: 0 } },
+  text: { type: "string", max: MAX_TEXT_RESPONSE_LENGTH },
+  value: { type: "integer" },
+};
+const QUESTION_FIELDS = {
+  question: { type: "string" },
+  options: { type: "array", items: { type: "string" } },
+  type: { type: "string", enum: POLL_TYPES },
+  minSelections: { type: "integer" },
+  maxSelections: { type: "integer" },
+  scaleMin: { type: "integer" },
+  scaleMax: { type: "integer" },
+  minLabel: { type: "string", max: MAX_SCALE_LABEL_LENGTH },
+  maxLabel: { type: "string", max: MAX_SCALE_LABEL_LENGTH },
+};
+const POLL_SETTINGS_FIELDS = {
+  allowAnonymous: { type: "boolean" },
+  resultsVisibility: { type: "string", enum: RESULTS_VISIBILITY },
+  opensAt: { type: "date" },
+  closesAt: { type: "date" },
+  publishOnClose: { type: "boolean" },
+};
+const ATTRIBUTES_FIELD = { attributes: { type: "object" } };
+
+const REQUEST_SCHEMAS = {
+  register: {
+    body: {
+      username: { type: "string", required: true },
+      name: { type: "string" },
+      password: { type: "string", required: true },
+      ...ATTRIBUTES_FIELD,
+    },
+  },
+  login: {
+    body: {
+      username: { type: "string", required: true },
+      password: { type: "string", required: true },
+    },
+  },
+  updateMyAttributes: { body: { attributes: { type: "object", required: true } } },
+  createWorkspace: {
+    body: { name: { type: "string", required: true, max: MAX_WORKSPACE_NAME_LENGTH } },
+  },
+  renameWorkspace: {
+    params: ID_PARAMS,
+    body: { name: { type: "string", required: true, max: MAX_WORKSPACE_NAME_LENGTH } },
+  },
+  addMember: {
+    body: {
+      username: { type: "string", required: true },
+      role: { type: "string", enum: ROLES },
+    },
+  },
+  member: { params: ID_PARAMS },
+  changeRole: { params: ID_PARAMS, body: { role: { type: "string", required: true, enum: ROLES } } },
+  createAttributeField: {
+    body: {
+      key: { type: "string" },
+      label: { type: "string", required: true },
+      choices: { type: "array", items: { type: "string" } },
+    },
+  },
+  attributeField: { params: ID_PARAMS },
+  createPoll: {
+    body: {
+      ...QUESTION_FIELDS,
+      ...POLL_SETTINGS_FIELDS,
+      visibility: { type: "string", enum: POLL_VISIBILITY },
+    },
+  },
+  joinPoll: { body: { code: { type: "string", required: true, max: 20 } } },
+  importPolls: {
+    query: { format: { type: "string", enum: ["csv", "json"] }, dryRun: { type: "boolean" } },
+  },
+  listPolls: { query: POLL_LIST_QUERY },
+  exportPolls: { query: { ...POLL_LIST_QUERY, format: { type: "string", enum: EXPORT_FORMATS } } },
+  poll: { params: ID_PARAMS },
+  pollResults: { params: ID_PARAMS, query: { groupBy: { type: "string" } } },
+  pollExport: { params: ID_PARAMS, query: { format: { type: "string", enum: EXPORT_FORMATS } } },
+  pollTimeline: { params: ID_PARAMS, query: { bucket: { type: "string", enum: TIMELINE_BUCKETS } } },
+  pollQr: {
+    params: ID_PARAMS,
+    query: {
+      format: { type: "string", enum: QR_FORMATS },
+      size: { type: "integer", min: QR_PNG_SIZE.min, max: QR_PNG_SIZE.max },
+      download: { type: "boolean" },
+    },
+  },
+  pollResponses: { params: ID_PARAMS, query: { ...PAGE_QUERY, q: { type: "string" } } },
+  hideResponse: {
+    params: { ...ID_PARAMS, responseId: { type: "objectId", required: true } },
+    body: { hidden: { type: "boolean", required: true } },
+  },
+  vote: { params: ID_PARAMS, body: { ...SELECTION_FIELDS, ...ATTRIBUTES_FIELD } },
+  editPoll: {
+    params: ID_PARAMS,
+    body: {
+      question: { type: "string" },
+      options: {
+        type: "array",
+        items: { type: "object", fields: { _id: { type: "objectId" }, text: { type: "string" } } },
+      },
+      resultsVisibility: { type: "string", enum: RESULTS_VISIBILITY },
+      visibility: { type: "string", enum: POLL_VISIBILITY },
+      confirm: { type: "boolean" },
+    },
+  },
+  publish: { params: ID_PARAMS, body: { published: { type: "boolean" } } },
+  close: { params: ID_PARAMS, body: { closed: { type: "boolean" } } },
+  createSurvey: {
+    body: {
+      title: { type: "string", required: true },
+      description: { type: "string" },
+      questions: {
+        type: "array",
+        required: true,
+        min: 1,
+        max: MAX_SURVEY_QUESTIONS,
+        items: { type: "object", fields: QUESTION_FIELDS },
+      },
+      ...POLL_SETTINGS_FIELDS,
+    },
+  },
+  listSurveys: { query: PAGE_QUERY },
+  survey: { params: ID_PARAMS },
+  oembed: {
+    query: {
+      url: { type: "string", required: true },
+      maxwidth: { type: "integer", min: 1 },
+      maxheight: { type: "integer", min: 1 },
+      format: { type: "string", enum: ["json", "xml"] },
+    },
+  },
+  surveyAnswers: {
+    params: ID_PARAMS,
+    body: {
+      answers: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          fields: { question: { type: "objectId", required: true }, ...SELECTION_FIELDS },
+        },
+      },
+      ...ATTRIBUTES_FIELD,
+    },
+  },
+};
+
+// ====== RATE LIMITING ======
+// Write routes are throttled per rule. Every request counts against its
+// client IP's budget, and requests with a session also against the user's own
+// (smaller) budget; anonymous voters are only limited by IP because their
+// device token is chosen by the client. Over budget the route responds 429
+// with a Retry-After header.
+
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY to the number of proxies
+// in front of the server so req.ip is the client's address, not the proxy's.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// { windowMs, perUser, perIp } per rule. A live event can have a whole office
+// voting from one address, so IP budgets are generous. Override a rule with
+// RATE_LIMIT_<RULE>=<perUser>/<perIp>/<window seconds> (e.g.
+// RATE_LIMIT_VOTE=30/300/60), or turn limiting off with RATE_LIMITS=off.
+const RATE_LIMITS = {
+  vote: { windowMs: 60 * 1000, perUser: 30, perIp: 300 },
+  clear_vote: { windowMs: 60 * 1000, perUser: 10, perIp: 100 },
+  save_draft: { windowMs: 60 * 1000, perUser: 60, perIp: 600 },
+  create_poll: { windowMs: 60 * 60 * 1000, perUser: 60, perIp: 120 },
+  auth: { windowMs: 15 * 60 * 1000, perUser: 20, perIp: 30 },
+  // Invite codes are short, so guessing them must stay slow
+  join: { windowMs: 15 * 60 * 1000, perUser: 20, perIp: 60 },
+  create_workspace: { windowMs: 24 * 60 * 60 * 1000, perUser: 5, perIp: 20 },
+};
+
+for (const [rule, limits] of Object.entries(RATE_LIMITS)) {
+  const override = process.env[`RATE_LIMIT_${rule.toUpperCase()}`];
+  if (!override) continue;
+  const [perUser, perIp, windowSeconds] = override.split("/").map(Number);
+  if ([perUser, perIp, windowSeconds].every((n) => Number.isInteger(n) && n > 0)) {
+    Object.assign(limits, { perUser, perIp, windowMs: windowSeconds * 1000 });
+  } else {
+    console.warn(
+      `⚠️  Ignoring RATE_LIMIT_${rule.toUpperCase()}="${override}" (expected perUser/perIp/seconds).`
+    );
+  }
+}
+
+// Fixed-window counters kept in this process. A store is any object with
+// increment(key, windowMs, hits) resolving to { count, resetAt } (resetAt in
+// ms): the number of hits in the key's current window including these, and
+// when that window ends. Swap in a shared store (e.g. Redis INCR + PEXPIRE)
+// when running more than one server instance.
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  // Drop expired windows so the map doesn't grow with every address seen
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs, hits = 1) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += hits;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+// Counts `hits` requests against a rule's budgets for this caller. Returns
+// the 429 response once a budget is used up, otherwise null. If the store
+// fails the request is let through rather than blocking voting.
+async function sendRateLimited(req, res, rule, hits = 1, store = rateLimitStore) {
+  if (process.env.RATE_LIMITS === "off") return null;
+  const limits = RATE_LIMITS[rule];
+  try {
+    const budgets = [{ key: `${rule}:ip:${req.ip}`, max: limits.perIp }];
+    if (req.user) {
+      budgets.push({ key: `${rule}:user:${req.user._id}`, max: limits.perUser });
+    }
+    const counts = await Promise.all(
+      budgets.map(({ key }) => store.increment(key, limits.windowMs, hits))
+    );
+
+    // The budget closest to running out is the one reported to the client
+    const usage = budgets.map((budget, i) => ({
+      ...budget,
+      ...counts[i],
+      remaining: Math.max(0, budget.max - counts[i].count),
+    }));
+    const tightest = usage.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+    res.setHeader("RateLimit-Limit", tightest.max);
+    res.setHeader("RateLimit-Remaining", tightest.remaining);
+    res.setHeader("RateLimit-Reset", secondsUntil(tightest.resetAt));
+
+    const exceeded = usage.filter((budget) => budget.count > budget.max);
+    if (exceeded.length === 0) return null;
+    const retryAfter = secondsUntil(Math.max(...exceeded.map((budget) => budget.resetAt)));
+    res.setHeader("Retry-After", retryAfter);
+    return res.status(429).json({
+      message: `Too many requests. Please slow down and try again in ${retryAfter} seconds.`,
+      retryAfter,
+    });
+  } catch (err) {
+    console.error("Rate limit store error:", err);
+    return null;
+  }
+}
+
+// Usage: app.post("/route", rateLimit("vote"), handler)
+// Put it after requireRole() so rejected requests don't use up the budget.
+// Routes that do several things' worth of work in one request charge the
+// rest themselves with sendRateLimited (see the poll import).
+function rateLimit(rule, store = rateLimitStore) {
+  return async (req, res, next) => {
+    if (await sendRateLimited(req, res, rule, 1, store)) return;
+    next();
+  };
+}
+
+// ====== ROUTES ======
+
+// Simple root route
+app.get("/", (req, res) => {
+  const readyState = mongoose.connection.readyState;
+  const states = { 0: "disconnected", 1: "connected", 2: "connecting", 3: "disconnecting" };
+  res.json({
+    message: "Online Polling and Voting System Backend",
+    mongoStatus: states[readyState] || "unknown",
+    mongoUriSet: !!process.env.MONGODB_URI
+  });
+});
+
+// ====== AUTH ROUTES ======
+
+// Whether a new account becomes the default workspace's first admin. Without
+// ADMIN_USERNAMES the first account to register does; the flag on the
+// workspace is claimed atomically, so of two simultaneous registrations only
+// one wins. Deployments that already have an admin never hand it out.
+async function claimFirstAdmin(defaultWorkspace) {
+  if (ADMIN_USERNAMES.length > 0) return false;
+  if (await Membership.exists({ workspace: defaultWorkspace._id, role: "admin" })) return false;
+  const claimed = await Workspace.findOneAndUpdate(
+    { _id: defaultWorkspace._id, firstAdminClaimed: { $ne: true } },
+    { $set: { firstAdminClaimed: true } }
+  );
+  return Boolean(claimed);
+}
+
+// Register a new account. It joins the default workspace as a voter (as admin
+// for ADMIN_USERNAMES, or for the first account when that is empty); the
+// attributes are for the default workspace's fields.
+// Body example:
+// { "username": "alice", "name": "Alice", "password": "correct horse",
+//   "attributes": { "department": "Sales" } }       // optional, see /api/attributes
+app.post("/api/auth/register", rateLimit("auth"), validate(REQUEST_SCHEMAS.register), async (req, res) => {
+  try {
+    const { username, name, password } = req.body;
+
+    const trimmedUsername = typeof username === "string" ? username.trim().toLowerCase() : "";
+    const trimmedName = typeof name === "string" && name.trim() ? name.trim() : trimmedUsername;
+
+    if (!/^[a-z0-9_.-]{3,32}$/.test(trimmedUsername)) {
+      return res.status(400).json({
+        message: "Username must be 3-32 characters (letters, numbers, _ . -).",
+      });
+    }
+    if (typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({ message: "Password must be at least 8 characters." });
+    }
+
+    const defaultWorkspace = req.workspace.isDefault ? req.workspace : await getDefaultWorkspace();
+    const { attributes, error } = parseVoterAttributes(
+      await AttributeField.find({ workspace: defaultWorkspace._id }).lean(),
+      req.body.attributes
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await User.exists({ username: trimmedUsername })) {
+      return res.status(409).json({ message: "That username is already taken." });
+    }
+
+    // The account is created first so a taken username can't use up the
+    // first-admin claim
+    const user = await User.create({
+      username: trimmedUsername,
+      name: trimmedName,
+      passwordHash: await hashPassword(password),
+    });
+    const isAdmin =
+      ADMIN_USERNAMES.includes(trimmedUsername) || (await claimFirstAdmin(defaultWorkspace));
+    const membership = await Membership.create({
+      workspace: defaultWorkspace._id,
+      user: user._id,
+      role: isAdmin ? "admin" : "voter",
+      attributes,
+    });
+    const token = await createSession(user);
+
+    res.status(201).json({ token, user: toPublicUser(user, req.workspace.isDefault ? membership : null) });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "That username is already taken." });
+    }
+    console.error(err);
+    res.status(500).json({ message: "Error registering user" });
+  }
+});
+
+// Log in with username + password
+// Body example:
+// { "username": "alice", "password": "correct horse" }
+app.post("/api/auth/login", rateLimit("auth"), validate(REQUEST_SCHEMAS.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user =
+      typeof username === "string"
+        ? await User.findOne({ username: username.trim().toLowerCase() })
+        : null;
+
+    if (!user || typeof password !== "string" || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ message: "Invalid username or password." });
+    }
+
+    const token = await createSession(user);
+    const membership = await Membership.findOne({ workspace: req.workspace._id, user: user._id });
+    res.json({ token, user: toPublicUser(user, membership) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error logging in" });
+  }
+});
+
+// Revoke the session used for this request
+app.post("/api/auth/logout", requireAuth, async (req, res) => {
+  try {
+    await Session.deleteOne({ _id: req.session._id });
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error logging out" });
+  }
+});
+
+// Short-lived token that opens live update streams as the current user (see
+// createStreamToken); valid for one minute
+// Response example:
+// { "token": "..." }
+app.post("/api/auth/stream-token", requireAuth, (req, res) => {
+  res.json({ token: createStreamToken(req.session) });
+});
+
+// Current user for the token in the Authorization header, with their role and
+// attribute values in the request's workspace
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user, req.membership) });
+});
+
+// Set the current user's attribute values in the request's workspace
+// (replaces all of them)
+// Body example:
+// { "attributes": { "department": "Sales", "location": "Berlin" } }
+// Only ballots cast afterwards use the new values.
+app.put("/api/auth/me/attributes", requireAuth, validate(REQUEST_SCHEMAS.updateMyAttributes), async (req, res) => {
+  try {
+    if (!req.membership) {
+      return res.status(403).json({ message: "You are not a member of this workspace." });
+    }
+    const { attributes, error } = parseVoterAttributes(
+      await AttributeField.find(inWorkspace(req)).lean(),
+      req.body.attributes
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    req.membership.attributes = attributes;
+    const membership = await req.membership.save();
+    res.json({ user: toPublicUser(req.user, membership) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error updating your details" });
+  }
+});
+
+// ====== WORKSPACE ROUTES ======
+
+// Workspaces the current user belongs to, with their role in each. The
+// default workspace is always included (role null when they aren't a member)
+// since its public polls are open to everyone.
+// Response example:
+// [{ "_id": "...", "name": "CrowdVoice", "isDefault": true, "role": "voter", "createdAt": "..." }]
+app.get("/api/workspaces", requireAuth, async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user._id }).populate("workspace");
+    const workspaces = memberships
+      .filter((membership) => membership.workspace)
+      .map((membership) => toClientWorkspace(membership.workspace, membership));
+    if (!workspaces.some((workspace) => workspace.isDefault)) {
+      workspaces.push(toClientWorkspace(await getDefaultWorkspace(), null));
+    }
+    workspaces.sort((a, b) => b.isDefault - a.isDefault || a.name.localeCompare(b.name));
+    res.json(workspaces);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching workspaces" });
+  }
+});
+
+// Create a workspace; the current user becomes its admin
+// Body example:
+// { "name": "Marketing" }
+app.post("/api/workspaces", requireAuth, rateLimit("create_workspace"), validate(REQUEST_SCHEMAS.createWorkspace), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+    if (!name) {
+      return sendValidationError(res, [{ field: "name", message: "name cannot be empty." }]);
+    }
+
+    const workspace = await Workspace.create({ name, createdBy: req.user._id });
+    const membership = await Membership.create({
+      workspace: workspace._id,
+      user: req.user._id,
+      role: "admin",
+    });
+    res.status(201).json(toClientWorkspace(workspace, membership));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error creating workspace" });
+  }
+});
+
+// Rename a workspace (its admins)
+// Body example:
+// { "name": "Marketing team" }
+app.patch("/api/workspaces/:id", requireAuth, validate(REQUEST_SCHEMAS.renameWorkspace), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+    if (!name) {
+      return sendValidationError(res, [{ field: "name", message: "name cannot be empty." }]);
+    }
+
+    const membership = await Membership.findOne({ workspace: req.params.id, user: req.user._id });
+    if (!membership) {
+      return res.status(404).json({ message: "Workspace not found" });
+    }
+    if (membership.role !== "admin") {
+      return res.status(403).json({ message: "You do not have permission to do that." });
+    }
+
+    const workspace = await Workspace.findByIdAndUpdate(req.params.id, { $set: { name } }, { new: true });
+    if (!workspace) {
+      return res.status(404).json({ message: "Workspace not found" });
+    }
+    res.json(toClientWorkspace(workspace, membership));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error renaming workspace" });
+  }
+});
+
+// ====== USER MANAGEMENT ROUTES (workspace admins) ======
+// Members of the request's workspace. :id is the member's user id.
+
+// Keeps at least one admin in the workspace so it can still be managed.
+// Returns the error response when the membership holds its last admin role.
+async function sendLastAdmin(res, membership) {
+  if (membership.role !== "admin") return null;
+  const adminCount = await Membership.countDocuments({ workspace: membership.workspace, role: "admin" });
+  if (adminCount > 1) return null;
+  return res.status(400).json({ message: "Cannot remove the last admin." });
+}
+
+// List the workspace's members with their roles
+app.get("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    const memberships = await Membership.find(inWorkspace(req)).populate("user").sort({ createdAt: 1 });
+    res.json(
+      memberships
+        .filter((membership) => membership.user)
+        .map((membership) => toPublicUser(membership.user, membership))
+    );
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching users" });
+  }
+});
+
+// Add an existing account to the workspace
+// Body example:
+// { "username": "alice", "role": "creator" }     // role defaults to "voter"
+app.post("/api/users", requireRole("admin"), validate(REQUEST_SCHEMAS.addMember), async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.body.username.trim().toLowerCase() });
+    if (!user) {
+      return res.status(404).json({ message: "No account has that username." });
+    }
+
+    const membership = await Membership.create({
+      workspace: req.workspace._id,
+      user: user._id,
+      role: req.body.role || "voter",
+    });
+    res.status(201).json(toPublicUser(user, membership));
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "That user is already a member." });
+    }
+    console.error(err);
+    res.status(500).json({ message: "Error adding member" });
+  }
+});
+
+// Change a member's role
+// Body example:
+// { "role": "creator" }
+app.patch("/api/users/:id/role", requireRole("admin"), validate(REQUEST_SCHEMAS.changeRole), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const membership = await Membership.findOne(inWorkspace(req, { user: req.params.id })).populate("user");
+    if (!membership || !membership.user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (role !== "admin" && (await sendLastAdmin(res, membership))) return;
+
+    membership.role = role;
+    const updatedMembership = await membership.save();
+    res.json(toPublicUser(membership.user, updatedMembership));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error updating user role" });
+  }
+});
+
+// Remove a member from the workspace. Their account, and the polls and
+// ballots they made here, are kept.
+app.delete("/api/users/:id", requireRole("admin"), validate(REQUEST_SCHEMAS.member), async (req, res) => {
+  try {
+    const membership = await Membership.findOne(inWorkspace(req, { user: req.params.id }));
+    if (!membership) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (await sendLastAdmin(res, membership)) return;
+
+    await membership.deleteOne();
+    res.json({ message: "Member removed" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error removing member" });
+  }
+});
+
+// ====== VOTER ATTRIBUTE ROUTES ======
+
+// List the attribute fields voters can fill in, in the request's workspace (anyone)
+// Response example:
+// [{ "_id": "...", "key": "department", "label": "Department", "choices": ["Sales", "IT"] }]
+app.get("/api/attributes", requireWorkspaceAccess, async (req, res) => {
+  try {
+    const fields = await AttributeField.find(inWorkspace(req)).sort({ createdAt: 1 });
+    res.json(fields);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching attribute fields" });
+  }
+});
+
+// Define a new attribute field (admin only)
+// Body example:
+// { "label": "Department", "choices": ["Sales", "IT", "HR"] }
+// "key" is optional and defaults to the label in snake_case; leave "choices"
+// out for a free-text field.
+app.post("/api/attributes", requireRole("admin"), validate(REQUEST_SCHEMAS.createAttributeField), async (req, res) => {
+  try {
+    const { value, error } = parseAttributeFieldInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if ((await AttributeField.countDocuments(inWorkspace(req))) >= MAX_ATTRIBUTE_FIELDS) {
+      return res
+        .status(400)
+        .json({ message: `There can be at most ${MAX_ATTRIBUTE_FIELDS} attribute fields.` });
+    }
+
+    const field = await AttributeField.create({ ...value, workspace: req.workspace._id });
+    res.status(201).json(field);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "An attribute field with that key already exists." });
+    }
+    console.error(err);
+    res.status(500).json({ message: "Error creating attribute field" });
+  }
+});
+
+// Remove an attribute field (admin only). Values already stored on memberships
+// and ballots are kept but can no longer be grouped by.
+app.delete("/api/attributes/:id", requireRole("admin"), validate(REQUEST_SCHEMAS.attributeField), async (req, res) => {
+  try {
+    const field = await AttributeField.findOneAndDelete(inWorkspace(req, { _id: req.params.id }));
+    if (!field) {
+      return res.status(404).json({ message: "Attribute field not found" });
+    }
+    res.json({ message: "Attribute field deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error deleting attribute field" });
+  }
+});
+
+// ====== OEMBED ROUTE ======
+// Embed code for a link to a poll. Only JSON is supported (501 for xml).
+// Query example: ?url=https://crowdvoice-frontend.onrender.com/polls/<id>?workspace=<id>&maxwidth=400
+// (the url parameter URL-encoded). The poll is looked up in the workspace the
+// link names, or the default workspace for links without one.
+// Response example:
+// {
+//   "version": "1.0", "type": "rich", "provider_name": "CrowdVoice",
+//   "provider_url": "https://crowdvoice-frontend.onrender.com",
+//   "title": "Lunch?", "width": 400, "height": 560,
+//   "html": "<iframe src=\"https://crowdvoice-frontend.onrender.com/embed/<id>?workspace=<id>\" ...></iframe>"
+// }
+app.get("/api/oembed", validate(REQUEST_SCHEMAS.oembed), async (req, res) => {
+  try {
+    if (req.query.format === "xml") {
+      return res.status(501).json({ message: "Only the json format is supported." });
+    }
+    const link = parsePollLink(req.query.url);
+    if (!link) {
+      return res.status(404).json({ message: "url is not a link to a poll." });
+    }
+    const workspace = link.workspace
+      ? await Workspace.findById(link.workspace)
+      : await getDefaultWorkspace();
+    const poll = workspace && (await Poll.findOne({ _id: link.pollId, workspace: workspace._id }));
+    // Embeds are seen by anyone, so only polls anyone may open can be embedded,
+    // and private polls from their invite link
+    const openToAll = workspace?.isDefault && poll?.visibility !== "private";
+    if (!poll || poll.survey || !(openToAll || hasInviteAccess(poll, link.access))) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    const { maxwidth, maxheight } = req.query;
+    const access = poll.visibility === "private" ? link.access : null;
+    res.json(buildOEmbed(poll, Number(maxwidth) || undefined, Number(maxheight) || undefined, access));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error building embed code" });
+  }
+});
+
+// ====== POLL ROUTES ======
+
+// Create a new poll (admins and creators; the creator is taken from the session token)
+// Body example:
+// {
+//   "question": "Your favorite language?",
+//   "options": ["JavaScript", "Python", "Java"],
+//   "allowAnonymous": true,
+//   "type": "multiple",      // optional, "single" (default), "multiple", "ranked",
+//                            // "text", "scale" or "nps" (see POLL_TYPES; only the
+//                            // first three take options)
+//   "minSelections": 1,      // optional, multiple/ranked only
+//   "maxSelections": 2,      // optional, multiple/ranked only (defaults to all options)
+//   "scaleMin": 1, "scaleMax": 5,        // optional, scale only (default 1-5; NPS is 0-10)
+//   "minLabel": "Strongly disagree",     // optional, scale/nps captions for the two ends
+//   "maxLabel": "Strongly agree",
+//   "opensAt": "2025-06-01T09:00:00Z",   // optional, voting opens at this time
+//   "closesAt": "2025-06-01T17:00:00Z",  // optional, voting closes at this time
+//   "publishOnClose": true,              // optional, publish results when it closes
+//   "resultsVisibility": "after_vote"    // optional, see RESULTS_VISIBILITY (default "always")
+// }
+app.post("/api/polls", requireRole("admin", "creator"), rateLimit("create_poll"), validate(REQUEST_SCHEMAS.createPoll), async (req, res) => {
+  try {
+    const { fields, error, field } = parsePollInput(req.body);
+    if (error) {
+      return sendValidationError(res, [{ field, message: error }]);
+    }
+
+    const poll = new Poll({ ...fields, createdBy: req.user._id, workspace: req.workspace._id });
+
+    const savedPoll = await poll.save();
+    publishPollUpdate(savedPoll);
+    res.status(201).json(await toClientPoll(req, savedPoll));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error creating poll" });
+  }
+});
+
+// Create many polls from an uploaded CSV or JSON file (admins and creators)
+// multipart/form-data with the file in a "file" field. Query parameters:
+//   dryRun   "true" to only validate and report, creating nothing
+//   format   csv | json (default: from the file name)
+// JSON files hold an array of POST /api/polls bodies, or { "polls": [...] }.
+// CSV files need a header row naming POST /api/polls fields (any case), with
+// options in an "options" column separated by "|" or in option1, option2, ...
+// Every row is validated like POST /api/polls, field types included. Valid
+// rows are created and invalid ones reported; "row" is the CSV line or the
+// JSON array position. Each created poll counts against the create_poll rate
+// limit, and an import that would go over it creates nothing.
+// Response example:
+// {
+//   "dryRun": false, "valid": 1, "created": 1, "failed": 1,
+//   "rows": [
+//     { "row": 2, "status": "created", "question": "Lunch?", "pollId": "..." },
+//     { "row": 3, "status": "error", "question": "Dinner?", "message": "Question and ..." }
+//   ]
+// }
+// In a dry run valid rows have status "valid" instead of "created".
+app.post(
+  "/api/polls/import",
+  requireRole("admin", "creator"),
+  rateLimit("create_poll"),
+  validate(REQUEST_SCHEMAS.importPolls),
+  (req, res, next) => {
+    importUpload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          message:
+            err.code === "LIMIT_FILE_SIZE"
+              ? `Import files can be at most ${MAX_IMPORT_FILE_BYTES / 1024} KB.`
+              : err.message,
+        });
+      }
+      next(err);
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Upload a CSV or JSON file in the "file" field.' });
+      }
+      const format =
+        req.query.format || (/\.json$/i.test(req.file.originalname) ? "json" : "csv");
+      if (format !== "csv" && format !== "json") {
+        return res.status(400).json({ message: "format must be csv or json." });
+      }
+
+      const { rows, error } = readImportFile(req.file, format);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      if (rows.length === 0) {
+        return res.status(400).json({ message: "The file contains no polls." });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res
+          .status(400)
+          .json({ message: `Import at most ${MAX_IMPORT_ROWS} polls at a time.` });
+      }
+
+      const dryRun = req.query.dryRun === "true";
+      const report = rows.map(({ row, input, error: rowError }) => {
+        const question = input && typeof input.question === "string" ? input.question.trim() : "";
+        // Type checks first, as validate() does for POST /api/polls
+        const typeError = rowError || checkFields(REQUEST_SCHEMAS.createPoll.body, input, "", false)[0]?.message;
+        const parsed = typeError ? { error: typeError } : parsePollInput(input);
+        return parsed.error
+          ? { row, status: "error", question, message: parsed.error, fields: null }
+          : { row, status: dryRun ? "valid" : "created", question, fields: parsed.fields };
+      });
+
+      const valid = report.filter((entry) => entry.fields);
+      // The request itself was counted by rateLimit() above
+      const extraPolls = dryRun ? 0 : valid.length - 1;
+      if (extraPolls > 0 && (await sendRateLimited(req, res, "create_poll", extraPolls))) return;
+      if (!dryRun && valid.length > 0) {
+        const createdPolls = await Poll.insertMany(
+          valid.map((entry) => ({ ...entry.fields, createdBy: req.user._id, workspace: req.workspace._id }))
+        );
+        createdPolls.forEach((poll, i) => {
+          valid[i].pollId = poll._id;
+          publishPollUpdate(poll);
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        valid: valid.length,
+        created: dryRun ? 0 : valid.length,
+        failed: report.length - valid.length,
+        rows: report.map(({ fields, ...entry }) => entry),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Error importing polls" });
+    }
+  }
+);
+
+// List polls one page at a time
+// Query parameters (all optional):
+//   sort           newest (default) | votes (most ballots) | active (latest vote)
+//   limit          page size, 1-100 (default 20)
+//   cursor         nextCursor from the previous page
+//   published      true | false
+//   anonymous      true | false (allowAnonymous)
+//   status         open | closed | scheduled
+//   createdAfter   ISO date, inclusive
+//   createdBefore  ISO date, exclusive
+// Response: { "polls": [...], "nextCursor": "<opaque>" }
+// nextCursor is null on the last page. Pass the same sort and filters with it.
+app.get("/api/polls", requireWorkspaceAccess, validate(REQUEST_SCHEMAS.listPolls), async (req, res) => {
+  try {
+    const sort = req.query.sort || "newest";
+    const sortField = POLL_SORTS[sort];
+    if (!sortField) {
+      return res
+        .status(400)
+        .json({ message: `sort must be one of: ${Object.keys(POLL_SORTS).join(", ")}.` });
+    }
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return res
+          .status(400)
+          .json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+      }
+    }
+
+    const { conditions, error } = buildPollListConditions(req.query, req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, sortField);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+      conditions.push(afterCursor(sortField, cursor));
+    }
+
+    // Fetch one extra poll to find out whether there is another page
+    const polls = await Poll.find({ $and: conditions })
+      .sort({ [sortField]: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = polls.length > limit;
+    const page = polls.slice(0, limit);
+
+    res.json({
+      polls: await toClientPolls(req, page),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching polls" });
+  }
+});
+
+// Export many polls at once (admins, or creators for their own polls)
+// Query parameters: format (csv | json | xlsx, default csv) plus the sort and
+// filter parameters of GET /api/polls. At most MAX_EXPORT_POLLS polls.
+// Includes per-ballot rows; see GET /api/polls/:id/export for the layout.
+app.get("/api/polls/export", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.exportPolls), async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ message: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` });
+    }
+    const sortField = POLL_SORTS[req.query.sort || "newest"];
+    if (!sortField) {
+      return res
+        .status(400)
+        .json({ message: `sort must be one of: ${Object.keys(POLL_SORTS).join(", ")}.` });
+    }
+    const { conditions, error } = buildPollListConditions(req.query, req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (req.role !== "admin") {
+      conditions.push({ createdBy: req.user._id });
+    }
+
+    const polls = await Poll.find({ $and: conditions })
+      .sort({ [sortField]: -1, _id: -1 })
+      .limit(MAX_EXPORT_POLLS);
+    const records = await buildPollExports(polls, polls.map((poll) => poll._id));
+
+    const date = new Date().toISOString().slice(0, 10);
+    await sendExport(res, format, `polls-${date}`, records, { polls: records });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error exporting polls" });
+  }
+});
+
+// Live updates for the poll list
+// Events: "poll" (created or changed poll), "poll-deleted" ({ _id })
+app.get("/api/polls/stream", requireWorkspaceAccess, (req, res) => {
+  const onPoll = (poll) => {
+    if (isPollListedFor(req, poll)) sendPoll(poll);
+  };
+  const onDeleted = (poll) => {
+    if (isPollListedFor(req, poll)) send("poll-deleted", { _id: String(poll._id) });
+  };
+
+  const send = openEventStream(req, res, () => {
+    pollEvents.off("poll", onPoll);
+    pollEvents.off("poll-deleted", onDeleted);
+  });
+  const sendPoll = createPollSender(req, send);
+  pollEvents.on("poll", onPoll);
+  pollEvents.on("poll-deleted", onDeleted);
+});
+
+// Open a private poll with its invite code. Codes work from any workspace,
+// since handing one out is how a poll is shared outside its own.
+// Body example:
+// { "code": "K7QP-2XMD" }
+// Response: { "poll": {...}, "accessToken": "...", "workspace": "<id>" }
+// Send the token as the X-Poll-Access header (or ?access=), and the poll's
+// workspace as X-Workspace, on later requests for the poll.
+app.post("/api/polls/join", rateLimit("join"), validate(REQUEST_SCHEMAS.joinPoll), async (req, res) => {
+  try {
+    const code = normalizeInviteCode(req.body.code);
+    const poll = code && (await Poll.findOne({ inviteCode: code, visibility: "private" }));
+    if (!poll) {
+      return res.status(404).json({ message: "No poll matches that invite code." });
+    }
+    res.json({
+      poll: await toClientPoll(req, poll),
+      accessToken: pollAccessToken(poll),
+      workspace: poll.workspace,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error opening poll" });
+  }
+});
+
+// Get a single poll by ID
+app.get("/api/polls/:id", validate(REQUEST_SCHEMAS.poll), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    res.json(await toClientPoll(req, poll));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching poll" });
+  }
+});
+
+// Tallied results. Ranked polls include the instant-runoff rounds.
+// Responds 403 while the poll's resultsVisibility hides them from the caller.
+// Response example (ranked):
+// {
+//   "type": "ranked", "voterCount": 7,
+//   "options": [{ "text": "A", "votes": 3 }, ...],
+//   "rounds": [{ "round": 1, "counts": [3, 2, 2], "exhausted": 0, "eliminated": [1, 2] }, ...],
+//   "winner": 0, "tied": []
+// }
+//
+// With ?groupBy=<attribute key> the response also has the counts broken down
+// by that voter attribute (ranked polls by first preference):
+// {
+//   ...,
+//   "groupBy": { "key": "department", "label": "Department" },
+//   "minGroupSize": 5,
+//   "groups": [
+//     { "value": "Sales", "voterCount": 8, "votes": [5, 3] },
+//     { "value": null, "other": true, "voterCount": 6, "votes": [2, 4] }
+//   ]
+// }
+// Groups with fewer than minGroupSize voters are pooled into the "other" group
+// (see crossTabulate); value null without "other" means "not specified".
+app.get("/api/polls/:id/results", validate(REQUEST_SCHEMAS.pollResults), async (req, res) => {
+  try {
+    const { groupBy } = req.query;
+    const field =
+      groupBy === undefined ? null : await AttributeField.findOne(inWorkspace(req, { key: String(groupBy) })).lean();
+    if (groupBy !== undefined && !field) {
+      return res.status(400).json({ message: `Unknown attribute: ${groupBy}` });
+    }
+
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (!(await canSeeResults(req, poll))) {
+      return res.status(403).json({ message: resultsHiddenMessage(poll) });
+    }
+
+    const results = await buildPollResults(poll);
+    if (field) {
+      Object.assign(results, {
+        groupBy: { key: field.key, label: field.label },
+        minGroupSize: MIN_GROUP_SIZE,
+        groups: await crossTabulate(poll, field),
+      });
+    }
+    res.json(results);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching poll results" });
+  }
+});
+
+// Download one poll's results
+// Query parameter: format (csv | json | xlsx, default csv)
+// CSV and XLSX have one "option" row per option (votes and percentage) and one
+// "ballot" row per ballot (cast time, voter, choices in ballot order), each
+// repeating the poll's question, type, status, publish state and timestamps.
+// JSON is { "exportedAt", "poll": { ..., "options": [...], "ballots": [...] } }.
+// Needs results access (see canSeeResults); ballots are only included for
+// admins and the poll's creator.
+app.get("/api/polls/:id/export", validate(REQUEST_SCHEMAS.pollExport), async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ message: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` });
+    }
+
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (!(await canSeeResults(req, poll))) {
+      return res.status(403).json({ message: resultsHiddenMessage(poll) });
+    }
+
+    const [record] = await buildPollExports(
+      [poll],
+      canManagePoll(req, poll) ? [poll._id] : []
+    );
+    await sendExport(res, format, `poll-${poll._id}`, [record], { poll: record });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error exporting poll" });
+  }
+});
+
+// QR code for the poll's page in the client app, as an SVG (default) or PNG
+// image. ?size= sets the PNG width in pixels; ?download=true sends it as a file.
+app.get("/api/polls/:id/qr", validate(REQUEST_SCHEMAS.pollQr), async (req, res) => {
+  try {
+    const format = req.query.format || "svg";
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (sendSurveyQuestion(res, poll)) return;
+
+    const image = await renderPollQr(poll, format, Number(req.query.size) || undefined);
+    res.type(format === "png" ? "image/png" : "image/svg+xml");
+    // Public links never change, so browsers may keep the image, and shared
+    // caches too in the default workspace, whose polls anyone can open.
+    // Private polls' codes hold an invite that can be regenerated or revoked.
+    let cacheControl = "no-store";
+    if (poll.visibility !== "private") {
+      cacheControl = req.workspace.isDefault ? "public, max-age=86400" : "private, max-age=86400";
+    }
+    res.setHeader("Cache-Control", cacheControl);
+    if (req.query.download === "true") {
+      res.setHeader("Content-Disposition", `attachment; filename="poll-${poll._id}-qr.${format}"`);
+    }
+    res.send(image);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error generating QR code" });
+  }
+});
+
+// The caller's own ballot, so the UI can restore its state from the server
+// Response example:
+// { "optionIndexes": [1] }   (or { "optionIndexes": null } when not voted)
+// Free-text polls also return the caller's answer: { "optionIndexes": [], "text": "..." }
+app.get("/api/polls/:id/my-vote", validate(REQUEST_SCHEMAS.poll), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+
+    const voterKey = getVoterKey(req, poll);
+    const ballot = voterKey ? await Ballot.findOne({ poll: poll._id, voterKey }) : null;
+    if (poll.type === "text") {
+      const response = ballot ? await TextResponse.findOne({ poll: poll._id, voterKey }) : null;
+      return res.json({
+        optionIndexes: ballot ? ballot.optionIndexes : null,
+        text: response ? response.text : null,
+      });
+    }
+    res.json({ optionIndexes: ballot ? ballot.optionIndexes : null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching your vote" });
+  }
+});
+
+// How the poll's votes built up over time
+// Query parameter: bucket (minute | hour | day, default hour)
+// Response example:
+// {
+//   "bucket": "hour",
+//   "options": ["JavaScript", "Python"],
+//   "points": [
+//     { "time": "2025-06-01T09:00:00.000Z", "voterCount": 4, "votes": [3, 1] },
+//     { "time": "2025-06-01T11:00:00.000Z", "voterCount": 9, "votes": [5, 4] }
+//   ]
+// }
+// Points are cumulative totals at the end of each bucket that had votes or
+// cleared votes; empty buckets are skipped. Votes cast before vote events were
+// recorded are not included. Responds 403 while results are hidden.
+app.get("/api/polls/:id/timeline", validate(REQUEST_SCHEMAS.pollTimeline), async (req, res) => {
+  try {
+    const bucket = req.query.bucket || "hour";
+    if (!TIMELINE_BUCKETS.includes(bucket)) {
+      return res
+        .status(400)
+        .json({ message: `bucket must be one of: ${TIMELINE_BUCKETS.join(", ")}.` });
+    }
+
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (!(await canSeeResults(req, poll))) {
+      return res.status(403).json({ message: resultsHiddenMessage(poll) });
+    }
+
+    res.json({
+      bucket,
+      options: poll.options.map((opt) => opt.text),
+      points: await buildTimeline(poll, bucket),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching poll timeline" });
+  }
+});
+
+// Browse a free-text poll's responses, newest first
+// Query parameters:
+//   q       keyword to search for (case-insensitive)
+//   limit   page size, 1-100 (default 20)
+//   cursor  nextCursor from the previous page
+// Response example:
+// {
+//   "responses": [{ "_id": "...", "text": "More standups", "hidden": false, "createdAt": "..." }],
+//   "nextCursor": "<opaque>"
+// }
+// Needs results access (see canSeeResults). Hidden responses are only listed
+// for admins and the poll's creator.
+app.get("/api/polls/:id/responses", validate(REQUEST_SCHEMAS.pollResponses), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (poll.type !== "text") {
+      return res.status(400).json({ message: "Only free-text polls have responses." });
+    }
+    if (!(await canSeeResults(req, poll))) {
+      return res.status(403).json({ message: resultsHiddenMessage(poll) });
+    }
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return res
+          .status(400)
+          .json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+      }
+    }
+
+    const conditions = [{ poll: poll._id }];
+    if (!canManagePoll(req, poll)) {
+      conditions.push({ hidden: false });
+    }
+    const keyword = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (keyword) {
+      conditions.push({ text: { $regex: escapeRegExp(keyword), $options: "i" } });
+    }
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, "createdAt");
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+      conditions.push(afterCursor("createdAt", cursor));
+    }
+
+    const responses = await TextResponse.find(
+      { $and: conditions },
+      { text: 1, hidden: 1, createdAt: 1 }
+    )
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = responses.length > limit;
+    const page = responses.slice(0, limit);
+
+    res.json({
+      responses: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], "createdAt") : null,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching responses" });
+  }
+});
+
+// Hide a free-text response from results and other voters, or show it again
+// (admins, or the creator who owns the poll)
+// Body: { "hidden": true }
+app.patch(
+  "/api/polls/:id/responses/:responseId",
+  requireRole("admin", "creator"),
+  validate(REQUEST_SCHEMAS.hideResponse),
+  async (req, res) => {
+    try {
+      const { hidden } = req.body;
+      const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+      if (!poll) {
+        return res.status(404).json({ message: "Poll not found" });
+      }
+      if (!canManagePoll(req, poll)) {
+        return res
+          .status(403)
+          .json({ message: "You can only moderate responses on polls you created." });
+      }
+
+      const response = await TextResponse.findOne({ _id: req.params.responseId, poll: poll._id });
+      if (!response) {
+        return res.status(404).json({ message: "Response not found" });
+      }
+
+      response.hidden = hidden !== undefined ? !!hidden : !response.hidden;
+      response.hiddenAt = response.hidden ? new Date() : null;
+      response.hiddenBy = response.hidden ? req.user._id : null;
+      await response.save();
+
+      // Touch the poll so open result views (which reload on updatedAt) refresh
+      const updatedPoll = await Poll.findByIdAndUpdate(
+        poll._id,
+        { $set: { updatedAt: new Date() } },
+        { new: true, timestamps: false }
+      );
+      if (updatedPoll) publishPollUpdate(updatedPoll);
+
+      res.json({
+        _id: response._id,
+        text: response.text,
+        hidden: response.hidden,
+        createdAt: response.createdAt,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: "Error updating response" });
+    }
+  }
+);
+
+// Live updates for one poll: sends the current poll right away, then again
+// whenever its votes or publish state change.
+// Events: "poll" (the full poll), "poll-deleted" ({ _id })
+app.get("/api/polls/:id/stream", validate(REQUEST_SCHEMAS.poll), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+
+    const pollId = poll._id.toString();
+    const onPoll = (updatedPoll) => {
+      if (updatedPoll._id.toString() === pollId) sendPoll(updatedPoll);
+    };
+    const onDeleted = (deletedPoll) => {
+      if (deletedPoll._id.toString() === pollId) send("poll-deleted", { _id: pollId });
+    };
+
+    const send = openEventStream(req, res, () => {
+      pollEvents.off("poll", onPoll);
+      pollEvents.off("poll-deleted", onDeleted);
+    });
+    const sendPoll = createPollSender(req, send);
+    pollEvents.on("poll", onPoll);
+    pollEvents.on("poll-deleted", onDeleted);
+    sendPoll(poll);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error opening poll stream" });
+  }
+});
+
+// Vote on a poll
+// Body example:
+// { "optionIndex": 0 }             (single-choice polls)
+// { "optionIndexes": [0, 2] }      (multiple-choice polls)
+// { "ranking": [2, 0, 1] }         (ranked polls, most preferred first)
+// { "text": "More standups" }      (free-text polls)
+// { "value": 9 }                   (scale and NPS polls; optionIndex works too)
+// Any of them can add "attributes": { "department": "Sales" } for attribute
+// fields missing from the voter's membership (see ballotAttributes).
+// The voter is identified by the session token (or the X-Device-Token header
+// on anonymous polls), never by the request body. One ballot per voter.
+app.post("/api/polls/:id/vote", rateLimit("vote"), validate(REQUEST_SCHEMAS.vote), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (sendSurveyQuestion(res, poll)) return;
+
+    const voterKey = getVoterKey(req, poll);
+    if (!voterKey) {
+      return sendVoterRequired(res, poll);
+    }
+    if (sendPollNotOpen(res, poll)) return;
+
+    const { optionIndexes, text, error } = parseSelection(poll, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const { attributes, error: attributeError } = await ballotAttributes(
+      req,
+      req.body.attributes
+    );
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
+
+    const cast = await castBallot(poll, {
+      voterKey,
+      user: req.user,
+      optionIndexes,
+      text,
+      attributes,
+    });
+    if (cast.error) {
+      return res.status(cast.status).json({ message: cast.error });
+    }
+    const updatedPoll = cast.poll;
+
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll, true)); // return updated poll with new vote counts
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error voting on poll" });
+  }
+});
+
+// Clear the caller's own vote on a poll (decrements the options they voted for)
+app.post("/api/polls/:id/clear-vote", rateLimit("clear_vote"), validate(REQUEST_SCHEMAS.poll), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
 
-const Poll = mongoose.model("Poll", pollSchema);
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendNoPollAccess(req, res, poll)) return;
+    if (sendSurveyQuestion(res, poll)) return;
 
-// ====== ROUTES ======
+    const voterKey = getVoterKey(req, poll);
+    if (!voterKey) {
+      return sendVoterRequired(res, poll);
+    }
+    if (sendPollNotOpen(res, poll)) return;
 
-// Simple root route
-app.get("/", (req, res) => {
-  const readyState = mongoose.connection.readyState;
-  const states = { 0: "disconnected", 1: "connected", 2: "connecting", 3: "disconnecting" };
-  res.json({
-    message: "Online Polling and Voting System Backend",
-    mongoStatus: states[readyState] || "unknown",
-    mongoUriSet: !!process.env.MONGODB_URI
-  });
+    const retracted = await retractBallot(poll, voterKey);
+    if (retracted.error) {
+      return res.status(retracted.status).json({ message: retracted.error });
+    }
+    const updatedPoll = retracted.poll;
+
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll, false));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error clearing vote on poll" });
+  }
 });
 
-// Create a new poll
+// Edit a poll (admins, or the creator who owns it)
 // Body example:
 // {
-//   "question": "Your favorite language?",
-//   "options": ["JavaScript", "Python", "Java"],
-//   "allowAnonymous": true
+//   "question": "Your favourite language?",
+//   "options": [
+//     { "_id": "<option id>", "text": "JavaScript" },   // existing option, reworded
+//     { "_id": "<option id>", "text": "Python" },
+//     { "text": "Rust" }                              // new option
+//   ],
+//   "resultsVisibility": "after_close",                // optional
+//   "confirm": true
 // }
-app.post("/api/polls", async (req, res) => {
+// Options keep their votes and are matched by _id, so the array order is the
+// new display order. Rewording and adding options is always allowed. Removing
+// or moving an option that ballots refer to responds 409 with the affected
+// options unless "confirm" is true. Confirmed edits remap those ballots to the
+// new order: picks of removed options are dropped, and ballots left with fewer
+// picks than minSelections (or none) are deleted and uncounted, so those
+// voters can vote again. Every edit is recorded in the poll's "edits" history.
+app.put("/api/polls/:id", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.editPoll), async (req, res) => {
   try {
-    const { question, options, allowAnonymous } = req.body;
+    const { question, options, resultsVisibility, visibility, confirm } = req.body;
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
 
-    const trimmedQuestion = typeof question === "string" ? question.trim() : "";
-    const trimmedOptions = Array.isArray(options)
-      ? options.map((opt) => (typeof opt === "string" ? opt.trim() : "")).filter(Boolean)
-      : [];
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only edit polls you created." });
+    }
 
-    if (!trimmedQuestion || trimmedOptions.length < 2) {
+    const trimmedQuestion =
+      question === undefined ? poll.question : typeof question === "string" ? question.trim() : "";
+    if (!trimmedQuestion) {
+      return res.status(400).json({ message: "Question cannot be empty." });
+    }
+    if (resultsVisibility !== undefined && !RESULTS_VISIBILITY.includes(resultsVisibility)) {
+      return res
+        .status(400)
+        .json({ message: `resultsVisibility must be one of: ${RESULTS_VISIBILITY.join(", ")}` });
+    }
+    if (visibility !== undefined && !POLL_VISIBILITY.includes(visibility)) {
+      return res
+        .status(400)
+        .json({ message: `visibility must be one of: ${POLL_VISIBILITY.join(", ")}` });
+    }
+    if (visibility !== undefined && poll.survey) {
+      return res.status(400).json({ message: "Survey questions can't have their own visibility." });
+    }
+    if (options !== undefined && !OPTION_POLL_TYPES.includes(poll.type)) {
       return res
         .status(400)
-        .json({ message: "Question and at least two non-empty options are required." });
+        .json({ message: "Only the options of single, multiple and ranked polls can be edited." });
     }
 
-    const formattedOptions = trimmedOptions.map((opt) => ({ text: opt }));
+    const parsed =
+      options === undefined
+        ? { options: poll.options.map((opt, i) => ({ oldIndex: i, text: opt.text })) }
+        : parseEditedOptions(poll, options);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const edited = parsed.options;
 
-    const poll = new Poll({
-      question: trimmedQuestion,
-      options: formattedOptions,
-      allowAnonymous: allowAnonymous ?? true,
+    // indexMap[oldIndex] -> new index, or -1 when the option is removed
+    const indexMap = poll.options.map(() => -1);
+    edited.forEach((opt, newIndex) => {
+      if (opt.oldIndex >= 0) indexMap[opt.oldIndex] = newIndex;
     });
+    const optionsChanged = indexMap.some((newIndex, oldIndex) => newIndex !== oldIndex);
 
-    const savedPoll = await poll.save();
-    res.status(201).json(savedPoll);
+    // Options that ballots point at and that would be removed or moved
+    const referenced = optionsChanged
+      ? await Ballot.distinct("optionIndexes", { poll: poll._id })
+      : [];
+    const removed = referenced.filter((i) => indexMap[i] === -1);
+    const moved = referenced.filter((i) => indexMap[i] !== -1 && indexMap[i] !== i);
+
+    if ((removed.length > 0 || moved.length > 0) && confirm !== true) {
+      return res.status(409).json({
+        message:
+          "This edit removes or reorders options that already have votes. Resend with confirm: true to apply it.",
+        requiresConfirmation: true,
+        removedOptions: removed.map((i) => ({ index: i, text: poll.options[i].text })),
+        movedOptions: moved.map((i) => ({ from: i, to: indexMap[i], text: poll.options[i].text })),
+      });
+    }
+
+    const newRevision = optionsChanged ? poll.revision + 1 : poll.revision;
+    const maxSelections =
+      poll.type === "single" ? 1 : Math.min(poll.maxSelections, edited.length);
+    const minSelections = Math.min(poll.minSelections, maxSelections);
+
+    // Rebuilt inside MongoDB from the live "$options" so votes cast while we
+    // were checking carry over. Matching on revision rejects concurrent edits.
+    const newOptions = edited.map((opt) =>
+      opt.oldIndex === -1
+        ? { _id: new mongoose.Types.ObjectId(), text: { $literal: opt.text }, votes: 0 }
+        : {
+            _id: poll.options[opt.oldIndex]._id,
+            text: { $literal: opt.text },
+            votes: { $arrayElemAt: ["$options.votes", opt.oldIndex] },
+          }
+    );
+    const update = {
+      question: { $literal: trimmedQuestion },
+      options: newOptions,
+      minSelections,
+      maxSelections,
+      revision: newRevision,
+      resultsVisibility: resultsVisibility ?? poll.resultsVisibility ?? "always",
+    };
+    // Making a poll private issues its first invite code; leaving private
+    // drops the code so old invites can't come back to life later
+    const newVisibility = visibility ?? poll.visibility ?? "public";
+    if (newVisibility !== (poll.visibility ?? "public")) {
+      update.visibility = newVisibility;
+      update.inviteCode = { $literal: newVisibility === "private" ? generateInviteCode() : null };
+    }
+    if (optionsChanged) {
+      update.edits = {
+        $concatArrays: [
+          { $ifNull: ["$edits", []] },
+          [
+            {
+              $literal: {
+                revision: newRevision,
+                editedAt: new Date(),
+                editedBy: req.user._id,
+                indexMap,
+                removedOptions: poll.options
+                  .filter((_, i) => indexMap[i] === -1)
+                  .map((opt) => ({ text: opt.text, votes: opt.votes })),
+                remappedBallots: 0,
+                deletedBallots: 0,
+              },
+            },
+          ],
+        ],
+      };
+    }
+
+    let updatedPoll = await Poll.findOneAndUpdate(
+      { _id: poll._id, revision: matchRevision(poll.revision) },
+      [{ $set: update }],
+      { new: true }
+    );
+    if (!updatedPoll) {
+      return res
+        .status(409)
+        .json({ message: "This poll was changed by someone else. Reload it and try again." });
+    }
+
+    if (removed.length > 0 || moved.length > 0) {
+      // Remap the ballots that point at moved or removed options. Each write is
+      // conditional on the ballot still being at the old revision, so ballots
+      // cleared in the meantime are skipped.
+      const affected = await Ballot.find({
+        poll: poll._id,
+        optionIndexes: { $in: [...removed, ...moved] },
+        pollRevision: { $not: { $gte: newRevision } },
+      });
+
+      let remappedBallots = 0;
+      let deletedBallots = 0;
+      const increments = {};
+      for (const ballot of affected) {
+        const remapped = mapIndexesForward(updatedPoll, ballot.optionIndexes, ballot.pollRevision);
+        const filter = { _id: ballot._id, pollRevision: matchRevision(ballot.pollRevision) };
+        // A ranked ballot counts for its first choice, which the removed
+        // option's votes took with them
+        const firstRemoved = poll.type === "ranked" && indexMap[ballot.optionIndexes[0]] === -1;
+
+        if (remapped.length === 0 || remapped.length < minSelections) {
+          const { deletedCount } = await Ballot.deleteOne(filter);
+          if (deletedCount) {
+            deletedBallots += 1;
+            increments.voterCount = (increments.voterCount || 0) - 1;
+            const uncounted = firstRemoved ? [] : countedOptionIndexes(poll, remapped);
+            for (const i of uncounted) {
+              increments[`options.${i}.votes`] = (increments[`options.${i}.votes`] || 0) - 1;
+            }
+            await VoteEvent.create({
+              poll: poll._id,
+              kind: "clear",
+              optionIndexes: uncounted,
+              pollRevision: newRevision,
+            });
+          }
+          continue;
+        }
+
+        const { modifiedCount } = await Ballot.updateOne(filter, {
+          $set: { optionIndexes: remapped, pollRevision: newRevision },
+        });
+        if (!modifiedCount) continue;
+        remappedBallots += 1;
+
+        // A ranked ballot whose first choice was removed now counts for its
+        // next preference
+        if (firstRemoved) {
+          const path = `options.${remapped[0]}.votes`;
+          increments[path] = (increments[path] || 0) + 1;
+          await VoteEvent.create({
+            poll: poll._id,
+            kind: "transfer",
+            optionIndexes: [remapped[0]],
+            pollRevision: newRevision,
+          });
+        }
+      }
+
+      updatedPoll = await Poll.findOneAndUpdate(
+        { _id: poll._id },
+        {
+          ...(Object.keys(increments).length > 0 ? { $inc: increments } : {}),
+          $set: {
+            "edits.$[edit].remappedBallots": remappedBallots,
+            "edits.$[edit].deletedBallots": deletedBallots,
+          },
+        },
+        { new: true, arrayFilters: [{ "edit.revision": newRevision }] }
+      );
+    }
+
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error creating poll" });
+    res.status(500).json({ message: "Error updating poll" });
   }
 });
 
-// Get all polls (for listing)
-app.get("/api/polls", async (req, res) => {
+// Delete a poll (admins, or the creator who owns it)
+app.delete("/api/polls/:id", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.poll), async (req, res) => {
   try {
-    const polls = await Poll.find().sort({ createdAt: -1 });
-    res.json(polls);
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (sendSurveyQuestion(res, poll)) return;
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only delete polls you created." });
+    }
+
+    await poll.deleteOne();
+    await Ballot.deleteMany({ poll: poll._id });
+    await TextResponse.deleteMany({ poll: poll._id });
+    await VoteEvent.deleteMany({ poll: poll._id });
+    publishPollDeleted(poll);
+    res.json({ message: "Poll deleted successfully" });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error fetching polls" });
+    res.status(500).json({ message: "Error deleting poll" });
   }
 });
 
-// Get a single poll by ID
-app.get("/api/polls/:id", async (req, res) => {
+// Toggle publish status of a poll (admins, or the creator who owns it)
+app.patch("/api/polls/:id/publish", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.publish), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.id);
+    const { published } = req.body;
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+
     if (!poll) {
       return res.status(404).json({ message: "Poll not found" });
     }
-    res.json(poll);
+    if (sendSurveyQuestion(res, poll)) return;
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only publish polls you created." });
+    }
+
+    poll.published = published !== undefined ? published : !poll.published;
+    const updatedPoll = await poll.save();
+    publishPollUpdate(updatedPoll);
+
+    res.json(await toClientPoll(req, updatedPoll));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error fetching poll" });
+    res.status(500).json({ message: "Error updating poll publish status" });
   }
 });
 
-// Vote on a poll
+// Close a poll now, or reopen it (admins, or the creator who owns it)
 // Body example:
-// { "optionIndex": 0, "userName": "Alice" }
-app.post("/api/polls/:id/vote", async (req, res) => {
+// { "closed": true }
+// Reopening clears a closesAt that has already passed, so the scheduler
+// doesn't close the poll again straight away.
+app.patch("/api/polls/:id/close", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.close), async (req, res) => {
   try {
-    const { optionIndex, userName } = req.body;
-    const poll = await Poll.findById(req.params.id);
+    const { closed } = req.body;
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
 
     if (!poll) {
       return res.status(404).json({ message: "Poll not found" });
     }
-
-    // For non-anonymous polls, require a userName in the request body.
-    if (!poll.allowAnonymous && !userName) {
-      return res
-        .status(400)
-        .json({ message: "User is required to vote on this poll." });
+    if (sendSurveyQuestion(res, poll)) return;
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only close polls you created." });
     }
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      return res.status(400).json({ message: "Invalid option index" });
+
+    const now = new Date();
+    poll.closed = closed !== undefined ? !!closed : getPollStatus(poll, now) !== "closed";
+    if (poll.closed) {
+      poll.closedAt = poll.closedAt || now;
+      if (poll.publishOnClose) poll.published = true;
+    } else {
+      poll.closedAt = null;
+      if (poll.closesAt && poll.closesAt <= now) poll.closesAt = null;
     }
 
-    poll.options[optionIndex].votes += 1;
     const updatedPoll = await poll.save();
-
-    res.json(updatedPoll); // return updated poll with new vote counts
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error voting on poll" });
+    res.status(500).json({ message: "Error updating poll close status" });
   }
 });
 
-// Clear a vote on a poll (decrement a specific option's votes)
-// Body example:
-// { "optionIndex": 0, "userName": "Alice" }
-app.post("/api/polls/:id/clear-vote", async (req, res) => {
+// Issue a new invite code for a private poll (admins, or the creator who owns
+// it). Every earlier code, access token and invite link stops working.
+// Response: the poll, with "invite": { "code", "accessToken", "url" }
+app.post("/api/polls/:id/invite", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.poll), async (req, res) => {
   try {
-    const { optionIndex, userName } = req.body;
-    const poll = await Poll.findById(req.params.id);
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!poll) {
+      return res.status(404).json({ message: "Poll not found" });
+    }
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only manage invites for polls you created." });
+    }
+    if (poll.visibility !== "private") {
+      return res.status(400).json({ message: "Only private polls have invite codes." });
+    }
+
+    poll.inviteCode = generateInviteCode();
+    const updatedPoll = await poll.save();
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error creating invite code" });
+  }
+});
 
+// Revoke a private poll's invite code, access tokens and invite links. Only
+// its managers can open the poll until a new code is issued.
+app.delete("/api/polls/:id/invite", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.poll), async (req, res) => {
+  try {
+    const poll = await Poll.findOne(inWorkspace(req, { _id: req.params.id }));
     if (!poll) {
       return res.status(404).json({ message: "Poll not found" });
     }
+    if (!canManagePoll(req, poll)) {
+      return res.status(403).json({ message: "You can only manage invites for polls you created." });
+    }
+
+    poll.inviteCode = null;
+    const updatedPoll = await poll.save();
+    publishPollUpdate(updatedPoll);
+    res.json(await toClientPoll(req, updatedPoll));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error revoking invite code" });
+  }
+});
+
+// ====== SURVEY ROUTES ======
+
+// The survey's question polls, in survey order
+async function loadSurveyQuestions(survey) {
+  const polls = await Poll.find({ survey: survey._id });
+  const byId = new Map(polls.map((poll) => [poll._id.toString(), poll]));
+  return survey.questions.map((id) => byId.get(id.toString())).filter(Boolean);
+}
+
+async function toClientSurvey(req, survey, questions) {
+  return { ...survey.toJSON(), questions: await toClientPolls(req, questions) };
+}
+
+// Reads [{ "question": "<poll id>", "optionIndexes": [...] }] (or "ranking" /
+// "optionIndex" / "text", as for votes) for a survey's questions. Complete answers
+// follow every question's selection rules and must cover all questions;
+// drafts only need valid option indexes.
+// Returns { answers } in question order or { error }.
+function parseSurveyAnswers(questions, answers, { draft = false } = {}) {
+  if (!Array.isArray(answers)) {
+    return { error: "answers must be an array." };
+  }
+  const positions = new Map(questions.map((question, i) => [question._id.toString(), i]));
+  const picks = new Map();
+
+  for (const answer of answers) {
+    const position = answer ? positions.get(String(answer.question)) : undefined;
+    if (position === undefined) {
+      return { error: "Each answer needs the id of one of this survey's questions." };
+    }
+    if (picks.has(position)) {
+      return { error: `Question ${position + 1} is answered more than once.` };
+    }
+    const { error, ...selection } = parseSelection(questions[position], answer, { draft });
+    if (error) {
+      return { error: `Question ${position + 1}: ${error}` };
+    }
+    picks.set(position, selection);
+  }
 
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      return res.status(400).json({ message: "Invalid option index" });
+  if (!draft) {
+    const missing = questions.findIndex((_, i) => !picks.has(i));
+    if (missing !== -1) {
+      return { error: `Question ${missing + 1} has not been answered.` };
     }
+  }
+  return {
+    answers: [...picks.keys()]
+      .sort((a, b) => a - b)
+      .map((i) => ({ question: questions[i]._id, ...picks.get(i) })),
+  };
+}
+
+// Create a survey (admins and creators)
+// Body example:
+// {
+//   "title": "Team pulse",
+//   "description": "Five quick questions",     // optional
+//   "allowAnonymous": false,                    // optional, as for polls
+//   "resultsVisibility": "after_close",         // optional, as for polls
+//   "opensAt": null, "closesAt": "2025-06-01T17:00:00Z", "publishOnClose": true,
+//   "questions": [
+//     { "question": "How was your week?", "options": ["Good", "OK", "Bad"] },
+//     { "question": "Pick two topics", "options": ["A", "B", "C"], "type": "multiple", "maxSelections": 2 }
+//   ]
+// }
+// Questions take the POST /api/polls fields that describe a question
+// (question, options, type, minSelections, maxSelections and the scale
+// fields); everything else comes from the survey.
+app.post("/api/surveys", requireRole("admin", "creator"), rateLimit("create_poll"), validate(REQUEST_SCHEMAS.createSurvey), async (req, res) => {
+  try {
+    const { title, description, questions } = req.body;
+    const shared = {
+      allowAnonymous: req.body.allowAnonymous,
+      resultsVisibility: req.body.resultsVisibility,
+      opensAt: req.body.opensAt,
+      closesAt: req.body.closesAt,
+      publishOnClose: req.body.publishOnClose,
+    };
 
-    // For non-anonymous polls, also require userName when clearing.
-    if (!poll.allowAnonymous && !userName) {
+    const trimmedTitle = typeof title === "string" ? title.trim() : "";
+    if (!trimmedTitle) {
+      return res.status(400).json({ message: "Title is required." });
+    }
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ message: "A survey needs at least one question." });
+    }
+    if (questions.length > MAX_SURVEY_QUESTIONS) {
       return res
         .status(400)
-        .json({ message: "User is required to clear a vote on this poll." });
+        .json({ message: `A survey can have at most ${MAX_SURVEY_QUESTIONS} questions.` });
     }
 
-    if (poll.options[optionIndex].votes > 0) {
-      poll.options[optionIndex].votes -= 1;
+    const parsedQuestions = [];
+    for (const [i, question] of questions.entries()) {
+      const { question: text, options, type, minSelections, maxSelections } = question || {};
+      const { scaleMin, scaleMax, minLabel, maxLabel } = question || {};
+      const { fields, error, field } = parsePollInput({
+        question: text,
+        options,
+        type,
+        minSelections,
+        maxSelections,
+        scaleMin,
+        scaleMax,
+        minLabel,
+        maxLabel,
+        ...shared,
+      });
+      if (error) {
+        // Survey-wide settings are top-level fields; the rest belong to the question
+        const path = field in shared ? field : `questions[${i}].${field}`;
+        return sendValidationError(res, [{ field: path, message: `Question ${i + 1}: ${error}` }]);
+      }
+      parsedQuestions.push(fields);
     }
 
-    const updatedPoll = await poll.save();
-    res.json(updatedPoll);
+    // Every question carries the same validated survey-wide settings
+    const { allowAnonymous, resultsVisibility, opensAt, closesAt, publishOnClose } =
+      parsedQuestions[0];
+    const survey = new Survey({
+      title: trimmedTitle,
+      description: typeof description === "string" ? description.trim() : "",
+      allowAnonymous,
+      resultsVisibility,
+      opensAt,
+      closesAt,
+      publishOnClose,
+      createdBy: req.user._id,
+      workspace: req.workspace._id,
+    });
+    const createdQuestions = await Poll.insertMany(
+      parsedQuestions.map((fields) => ({
+        ...fields,
+        survey: survey._id,
+        createdBy: req.user._id,
+        workspace: req.workspace._id,
+      }))
+    );
+    survey.questions = createdQuestions.map((poll) => poll._id);
+    await survey.save();
+
+    res.status(201).json(await toClientSurvey(req, survey, createdQuestions));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error clearing vote on poll" });
+    res.status(500).json({ message: "Error creating survey" });
   }
 });
 
-// Delete a poll
-app.delete("/api/polls/:id", async (req, res) => {
+// List surveys, newest first, one page at a time
+// Query parameters: limit (1-100, default 20) and cursor, as for GET /api/polls
+// Response: { "surveys": [...], "nextCursor": "<opaque>" } (questions as ids)
+app.get("/api/surveys", requireWorkspaceAccess, validate(REQUEST_SCHEMAS.listSurveys), async (req, res) => {
   try {
-    const poll = await Poll.findByIdAndDelete(req.params.id);
-    if (!poll) {
-      return res.status(404).json({ message: "Poll not found" });
+    let limit = DEFAULT_PAGE_SIZE;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return res
+          .status(400)
+          .json({ message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+      }
     }
-    res.json({ message: "Poll deleted successfully" });
+
+    const filter = inWorkspace(req);
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, "createdAt");
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+      Object.assign(filter, afterCursor("createdAt", cursor));
+    }
+
+    const surveys = await Survey.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+    const hasMore = surveys.length > limit;
+    const page = surveys.slice(0, limit);
+
+    res.json({
+      surveys: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], "createdAt") : null,
+    });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error deleting poll" });
+    res.status(500).json({ message: "Error fetching surveys" });
+  }
+});
+
+// Get a survey with its questions (vote counts follow resultsVisibility)
+app.get("/api/surveys/:id", requireWorkspaceAccess, validate(REQUEST_SCHEMAS.survey), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+    res.json(await toClientSurvey(req, survey, await loadSurveyQuestions(survey)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching survey" });
+  }
+});
+
+// The caller's saved or submitted answers, to resume where they left off
+// Response example:
+// { "answers": [{ "question": "<poll id>", "optionIndexes": [1] }], "submittedAt": null }
+app.get("/api/surveys/:id/response", requireWorkspaceAccess, validate(REQUEST_SCHEMAS.survey), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    const voterKey = getVoterKey(req, survey);
+    const response = voterKey
+      ? await SurveyResponse.findOne({ survey: survey._id, voterKey })
+      : null;
+    res.json({
+      answers: response ? response.answers : [],
+      submittedAt: response ? response.submittedAt : null,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching your survey response" });
+  }
+});
+
+// Save answers without submitting (save-and-resume). Replaces the saved draft.
+// Body: { "answers": [{ "question": "<poll id>", "optionIndexes": [1] }, ...] }
+// Answers may be partial; they are not counted until the survey is submitted.
+app.put("/api/surveys/:id/response", requireWorkspaceAccess, rateLimit("save_draft"), validate(REQUEST_SCHEMAS.surveyAnswers), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    const voterKey = getVoterKey(req, survey);
+    if (!voterKey) {
+      return sendVoterRequired(res, survey);
+    }
+    if (sendPollNotOpen(res, survey, "survey")) return;
+
+    const questions = await loadSurveyQuestions(survey);
+    const { answers, error } = parseSurveyAnswers(questions, req.body.answers, { draft: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const response = await SurveyResponse.findOneAndUpdate(
+        { survey: survey._id, voterKey, submittedAt: null },
+        { $set: { answers, user: req.user ? req.user._id : null } },
+        { upsert: true, new: true }
+      );
+      res.json({ answers: response.answers, submittedAt: null });
+    } catch (err) {
+      // The upsert collides with an already submitted response
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "You have already submitted this survey." });
+      }
+      throw err;
+    }
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error saving your survey response" });
+  }
+});
+
+// Submit a survey: every question must be answered, and each answer follows
+// that question's rules. All answers are counted together; if one can't be
+// counted (e.g. a question was edited meanwhile) none are, and the answers
+// stay saved as a draft.
+// Body: { "answers": [{ "question": "<poll id>", "optionIndexes": [1] }, ...],
+//         "attributes": { "department": "Sales" } }     // optional, as for votes
+app.post("/api/surveys/:id/submit", requireWorkspaceAccess, rateLimit("vote"), validate(REQUEST_SCHEMAS.surveyAnswers), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+
+    const voterKey = getVoterKey(req, survey);
+    if (!voterKey) {
+      return sendVoterRequired(res, survey);
+    }
+    if (sendPollNotOpen(res, survey, "survey")) return;
+
+    const questions = await loadSurveyQuestions(survey);
+    const { answers, error } = parseSurveyAnswers(questions, req.body.answers);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const { attributes, error: attributeError } = await ballotAttributes(
+      req,
+      req.body.attributes
+    );
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
+
+    // Claiming the response first makes concurrent submissions collide on
+    // the unique (survey, voterKey) index instead of double counting
+    let response;
+    try {
+      response = await SurveyResponse.findOneAndUpdate(
+        { survey: survey._id, voterKey, submittedAt: null },
+        { $set: { answers, user: req.user ? req.user._id : null, submittedAt: new Date() } },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "You have already submitted this survey." });
+      }
+      throw err;
+    }
+
+    const counted = [];
+    for (const [i, answer] of answers.entries()) {
+      const cast = await castBallot(questions[i], {
+        voterKey,
+        user: req.user,
+        optionIndexes: answer.optionIndexes,
+        text: answer.text,
+        attributes,
+      });
+      if (cast.error) {
+        for (const poll of counted) {
+          const retracted = await retractBallot(poll, voterKey);
+          if (retracted.poll) publishPollUpdate(retracted.poll);
+        }
+        await SurveyResponse.updateOne({ _id: response._id }, { $set: { submittedAt: null } });
+        return res.status(cast.status).json({ message: `Question ${i + 1}: ${cast.error}` });
+      }
+      counted.push(cast.poll);
+    }
+    counted.forEach((poll) => publishPollUpdate(poll));
+
+    res.status(201).json({ answers: response.answers, submittedAt: response.submittedAt });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error submitting survey" });
+  }
+});
+
+// Results for every question plus survey-wide response counts
+// Response example:
+// {
+//   "responseCount": 12, "inProgressCount": 3, "completionRate": 80,
+//   "questions": [{ "_id": "...", "question": "How was your week?", "type": "single",
+//                   "voterCount": 12, "options": [{ "text": "Good", "votes": 7 }, ...] }, ...]
+// }
+// completionRate is the percentage of started responses that were submitted.
+// Responds 403 while the survey's resultsVisibility hides results from the caller.
+app.get("/api/surveys/:id/results", requireWorkspaceAccess, validate(REQUEST_SCHEMAS.survey), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+    const questions = await loadSurveyQuestions(survey);
+    // Questions share the survey's settings and are answered together, so
+    // any one of them decides for all
+    if (questions.length > 0 && !(await canSeeResults(req, questions[0]))) {
+      return res.status(403).json({ message: resultsHiddenMessage(survey) });
+    }
+
+    const [responseCount, inProgressCount] = await Promise.all([
+      SurveyResponse.countDocuments({ survey: survey._id, submittedAt: { $ne: null } }),
+      SurveyResponse.countDocuments({ survey: survey._id, submittedAt: null }),
+    ]);
+    const started = responseCount + inProgressCount;
+
+    res.json({
+      responseCount,
+      inProgressCount,
+      completionRate: started ? Math.round((responseCount / started) * 1000) / 10 : 0,
+      questions: await Promise.all(
+        questions.map(async (poll) => ({
+          _id: poll._id,
+          question: poll.question,
+          ...(await buildPollResults(poll)),
+        }))
+      ),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error fetching survey results" });
   }
 });
 
-// Toggle publish status of a poll
-app.patch("/api/polls/:id/publish", async (req, res) => {
+// Publish or unpublish a survey's results (admins, or the creator who owns it)
+// Body: { "published": true }
+app.patch("/api/surveys/:id/publish", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.publish), async (req, res) => {
   try {
     const { published } = req.body;
-    const poll = await Poll.findById(req.params.id);
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+    if (!canManagePoll(req, survey)) {
+      return res.status(403).json({ message: "You can only publish surveys you created." });
+    }
 
-    if (!poll) {
-      return res.status(404).json({ message: "Poll not found" });
+    survey.published = published !== undefined ? !!published : !survey.published;
+    await survey.save();
+    await Poll.updateMany({ survey: survey._id }, { $set: { published: survey.published } });
+
+    res.json(await toClientSurvey(req, survey, await loadSurveyQuestions(survey)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error updating survey publish status" });
+  }
+});
+
+// Close a survey early or reopen it (admins, or the creator who owns it)
+// Body: { "closed": true }. Works like PATCH /api/polls/:id/close.
+app.patch("/api/surveys/:id/close", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.close), async (req, res) => {
+  try {
+    const { closed } = req.body;
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+    if (!canManagePoll(req, survey)) {
+      return res.status(403).json({ message: "You can only close surveys you created." });
     }
 
-    poll.published = published !== undefined ? published : !poll.published;
-    const updatedPoll = await poll.save();
+    const now = new Date();
+    survey.closed = closed !== undefined ? !!closed : getPollStatus(survey, now) !== "closed";
+    if (survey.closed) {
+      survey.closedAt = survey.closedAt || now;
+      if (survey.publishOnClose) survey.published = true;
+    } else {
+      survey.closedAt = null;
+      if (survey.closesAt && survey.closesAt <= now) survey.closesAt = null;
+    }
+    await survey.save();
+    await Poll.updateMany(
+      { survey: survey._id },
+      {
+        $set: {
+          closed: survey.closed,
+          closedAt: survey.closedAt,
+          closesAt: survey.closesAt,
+          published: survey.published,
+        },
+      }
+    );
 
-    res.json(updatedPoll);
+    res.json(await toClientSurvey(req, survey, await loadSurveyQuestions(survey)));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Error updating poll publish status" });
+    res.status(500).json({ message: "Error updating survey close status" });
+  }
+});
+
+// Delete a survey with its questions, ballots and responses
+app.delete("/api/surveys/:id", requireRole("admin", "creator"), validate(REQUEST_SCHEMAS.survey), async (req, res) => {
+  try {
+    const survey = await Survey.findOne(inWorkspace(req, { _id: req.params.id }));
+    if (!survey) {
+      return res.status(404).json({ message: "Survey not found" });
+    }
+    if (!canManagePoll(req, survey)) {
+      return res.status(403).json({ message: "You can only delete surveys you created." });
+    }
+
+    await survey.deleteOne();
+    await Ballot.deleteMany({ poll: { $in: survey.questions } });
+    await TextResponse.deleteMany({ poll: { $in: survey.questions } });
+    await VoteEvent.deleteMany({ poll: { $in: survey.questions } });
+    await Poll.deleteMany({ survey: survey._id });
+    await SurveyResponse.deleteMany({ survey: survey._id });
+    res.json({ message: "Survey deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Error deleting survey" });
   }
 });
 
+// ====== POLL SCHEDULER ======
+// Marks polls closed once their closesAt passes (publishing their results if
+// publishOnClose is set) and pushes the change to live streams. The update
+// is conditional on closed: false, so running several instances is safe.
+const SCHEDULER_INTERVAL_MS = 15000;
+
+async function closeDuePolls(now) {
+  const duePolls = await Poll.find({ closed: false, closesAt: { $ne: null, $lte: now } }, { _id: 1 });
+
+  for (const { _id } of duePolls) {
+    const poll = await Poll.findOneAndUpdate(
+      { _id, closed: false },
+      [
+        {
+          $set: {
+            closed: true,
+            closedAt: now,
+            published: { $or: ["$published", "$publishOnClose"] },
+          },
+        },
+      ],
+      { new: true }
+    );
+    if (!poll) continue; // closed by someone else in the meantime
+
+    publishPollUpdate(poll);
+  }
+}
+
+// Surveys carry the same closesAt as their questions, which closeDuePolls
+// closes one by one; this keeps the survey's own state in step.
+async function closeDueSurveys(now) {
+  await Survey.updateMany({ closed: false, closesAt: { $ne: null, $lte: now } }, [
+    {
+      $set: {
+        closed: true,
+        closedAt: now,
+        published: { $or: ["$published", "$publishOnClose"] },
+      },
+    },
+  ]);
+}
+
+// One pass of the scheduler, as of `now`
+function runPollScheduler(now = new Date()) {
+  return Promise.all([closeDuePolls(now), closeDueSurveys(now)]);
+}
+
+function startPollScheduler() {
+  const run = () => runPollScheduler().catch((err) => console.error("Poll scheduler error:", err));
+  run();
+  return setInterval(run, SCHEDULER_INTERVAL_MS);
+}
+
 // ====== GLOBAL ERROR HANDLER ======
 // Must be defined after all routes — catches any error passed via next(err)
 app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ code: "invalid_json", message: "The request body is not valid JSON." });
+  }
+  // An id that slipped past validation (e.g. in a nested lookup)
+  if (err instanceof mongoose.Error.CastError) {
+    return sendValidationError(res, [
+      { field: err.path, message: `${err.path} must be ${FIELD_TYPES.objectId.noun}.` },
+    ]);
+  }
   console.error("Unhandled error:", err);
   res.status(err.status || 500).json({ message: err.message || "Internal server error" });
 });
@@ -268,6 +4847,32 @@ app.use((req, res) => {
   res.status(404).json({ message: `Route ${req.method} ${req.path} not found` });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Only connect and listen when started directly (node server.js) so tests can
+// import the app
+if (process.argv[1] === __filename) {
+  connectDatabase().catch((err) => console.error("Mongo connection error:", err));
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+  startPollScheduler();
+}
+
+export default app;
+
+// For the tests: connectDatabase, runPollScheduler (run with a later time
+// instead of waiting), and pure helpers that are tested without MongoDB
+export {
+  connectDatabase,
+  runPollScheduler,
+  encodeCursor,
+  decodeCursor,
+  poolSmallGroups,
+  summarizeScale,
+  tabulateInstantRunoff,
+  buildPollExport,
+  toCsvField,
+  toCsv,
+  parseCsv,
+  createMemoryRateLimitStore,
+  checkFields,
+};
@@ -0,0 +1,68 @@
+// Checks the CSV written by poll exports: quoting, and the guard that stops
+// spreadsheet apps from running cells as formulas. Runs without MongoDB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPollExport, toCsvField, toCsv } from "../server.js";
+
+test("fields with commas, quotes or line breaks are quoted", () => {
+  assert.equal(toCsvField("plain"), "plain");
+  assert.equal(toCsvField("Lunch, or dinner?"), '"Lunch, or dinner?"');
+  assert.equal(toCsvField('Say "hi"'), '"Say ""hi"""');
+  assert.equal(toCsvField("two\nlines"), '"two\nlines"');
+  assert.equal(toCsvField(null), "");
+  assert.equal(toCsvField(new Date("2025-06-01T09:00:00Z")), "2025-06-01T09:00:00.000Z");
+});
+
+test("text that starts like a formula is defused", () => {
+  for (const text of ["=SUM(A1:A9)", "+1", "-1", "@cmd", "\tx"]) {
+    assert.equal(toCsvField(text), `'${text}`);
+  }
+  // Quoting still applies after the prefix
+  assert.equal(toCsvField('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  // Numbers are values, not text
+  assert.equal(toCsvField(-3), "-3");
+});
+
+test("one row per option and per ballot", () => {
+  const poll = {
+    _id: "665f1c2e8b3c4a0012345678",
+    question: "=Lunch?",
+    type: "multiple",
+    published: false,
+    allowAnonymous: false,
+    voterCount: 2,
+    options: [
+      { text: "Pizza, hot", votes: 2 },
+      { text: "@salad", votes: 1 },
+    ],
+    edits: [],
+  };
+  const ballots = [
+    { createdAt: new Date("2025-06-01T09:00:00Z"), user: { username: "ann" }, optionIndexes: [0, 1] },
+    { createdAt: new Date("2025-06-01T10:00:00Z"), user: null, optionIndexes: [0] },
+  ];
+
+  const record = buildPollExport(poll, ballots);
+  // Multiple-choice percentages are of voters
+  assert.deepEqual(
+    record.options.map((opt) => opt.percentage),
+    [100, 50]
+  );
+  assert.deepEqual(
+    record.ballots.map((ballot) => [ballot.voter, ballot.choices]),
+    [
+      ["ann", ["Pizza, hot", "@salad"]],
+      ["anonymous", ["Pizza, hot"]],
+    ]
+  );
+
+  const [header, ...rows] = toCsv([record]).trimEnd().split("\r\n");
+  assert.equal(header.split(",")[0], "Poll ID");
+  assert.equal(rows.length, 4);
+  const cells = (row) => row.split(",");
+  assert.deepEqual(cells(rows[0]).slice(0, 3), ["665f1c2e8b3c4a0012345678", "'=Lunch?", "multiple"]);
+  assert.match(rows[0], /,option,"Pizza, hot",2,100,,$/);
+  assert.match(rows[1], /,option,'@salad,1,50,,$/);
+  assert.match(rows[2], /,ballot,"Pizza, hot > @salad",,,2025-06-01T09:00:00.000Z,ann$/);
+  assert.match(rows[3], /,ballot,"Pizza, hot",,,2025-06-01T10:00:00.000Z,anonymous$/);
+});
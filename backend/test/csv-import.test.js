@@ -0,0 +1,26 @@
+// Checks the CSV reader used by poll imports. Runs without MongoDB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../server.js";
+
+test("quoted fields keep commas, escaped quotes and newlines", () => {
+  const rows = parseCsv('question,options\n"Lunch, or dinner?","A|B"\n"Say ""hi""\nplease",x\n');
+  assert.deepEqual(rows, [
+    { line: 1, cells: ["question", "options"] },
+    { line: 2, cells: ["Lunch, or dinner?", "A|B"] },
+    { line: 3, cells: ['Say "hi"\nplease', "x"] },
+  ]);
+});
+
+test("rows keep their line numbers across CRLF and blank lines", () => {
+  const rows = parseCsv("a,b\r\n\r\n , \r\nc,d\r\ne");
+  assert.deepEqual(rows, [
+    { line: 1, cells: ["a", "b"] },
+    { line: 4, cells: ["c", "d"] },
+    { line: 5, cells: ["e"] },
+  ]);
+});
+
+test("empty cells are kept", () => {
+  assert.deepEqual(parseCsv('x,,""'), [{ line: 1, cells: ["x", "", ""] }]);
+});
@@ -0,0 +1,123 @@
+// Shared setup for the tests that call the API. They need a MongoDB server:
+// set TEST_MONGODB_URI to a throwaway database (it is wiped before each test
+// file runs), e.g.
+//   TEST_MONGODB_URI=mongodb://127.0.0.1:27017/polling_app_test npm test
+// Without it they are skipped; the tests of pure helpers always run.
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+export const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI;
+
+let mongoose;
+let server;
+let baseUrl;
+
+// Starts the app on a free port against an empty database. `env` is applied
+// before server.js is loaded, e.g. { RATE_LIMITS: "off" }.
+export async function startServer(env = {}) {
+  if (!TEST_MONGODB_URI) return;
+  Object.assign(process.env, { MONGODB_URI: TEST_MONGODB_URI }, env);
+
+  ({ default: mongoose } = await import("mongoose"));
+  const { default: app, connectDatabase } = await import("../server.js");
+
+  await connectDatabase(TEST_MONGODB_URI);
+  await mongoose.connection.dropDatabase();
+  await Promise.all(Object.values(mongoose.models).map((model) => model.createIndexes()));
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+export async function stopServer() {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (mongoose) await mongoose.disconnect();
+}
+
+// A model of the app, for setting up what the API can't, e.g. model("Ballot")
+export function model(name) {
+  return mongoose.model(name);
+}
+
+export function randomDeviceToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+// Calls the API and resolves to { status, headers, data }. data is the parsed
+// JSON, a Buffer for spreadsheets and PNG images, or the body as text for
+// other responses (SVG, CSV).
+export async function request(method, path, { body, token, deviceToken, access, workspace } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (deviceToken) headers["X-Device-Token"] = deviceToken;
+  if (access) headers["X-Poll-Access"] = access;
+  if (workspace) headers["X-Workspace"] = workspace;
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const type = res.headers.get("Content-Type") || "";
+  let data;
+  if (type.includes("application/json")) data = await res.json();
+  else if (/spreadsheetml|image\/png/.test(type)) data = Buffer.from(await res.arrayBuffer());
+  else data = await res.text();
+  return { status: res.status, headers: res.headers, data };
+}
+
+// Opens an event stream and resolves to { nextEvent, close }. nextEvent()
+// resolves to the next { event, data } sent; close() ends the stream.
+export async function openStream(path, { token, deviceToken, workspace } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (deviceToken) headers["X-Device-Token"] = deviceToken;
+  if (workspace) headers["X-Workspace"] = workspace;
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}${path}`, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+
+  let buffer = "";
+  async function nextEvent() {
+    for (;;) {
+      const end = buffer.indexOf("\n\n");
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`The stream ${path} ended`);
+        buffer += value;
+        continue;
+      }
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m);
+      const data = block.match(/^data: (.*)$/m);
+      // Skips the retry hint and heartbeats
+      if (event && data) return { event: event[1], data: JSON.parse(data[1]) };
+    }
+  }
+  return { nextEvent, close: () => controller.abort() };
+}
+
+// Uploads `contents` as the "file" field of a multipart request and resolves
+// to { status, headers, data }
+export async function upload(path, { filename, contents, token }) {
+  const form = new FormData();
+  form.append("file", new Blob([contents]), filename);
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: form,
+  });
+  return { status: res.status, headers: res.headers, data: await res.json() };
+}
+
+// Registers an account and resolves to its session token. The first account
+// becomes the default workspace's admin.
+export async function register(username) {
+  const { status, data } = await request("POST", "/api/auth/register", {
+    body: { username, password: `${username}-test-password` },
+  });
+  assert.equal(status, 201);
+  return data.token;
+}
@@ -0,0 +1,29 @@
+// Checks the opaque cursors of the poll listing. Runs without MongoDB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { encodeCursor, decodeCursor } from "../server.js";
+
+const id = new mongoose.Types.ObjectId();
+
+test("cursors round-trip dates, counts and missing values", () => {
+  const createdAt = new Date("2024-05-01T12:00:00.000Z");
+  const byDate = decodeCursor(encodeCursor({ _id: id, createdAt }, "createdAt"), "createdAt");
+  assert.equal(byDate.value.getTime(), createdAt.getTime());
+  assert.ok(byDate.id.equals(id));
+
+  const byVotes = decodeCursor(encodeCursor({ _id: id, voterCount: 42 }, "voterCount"), "voterCount");
+  assert.equal(byVotes.value, 42);
+
+  const unset = decodeCursor(encodeCursor({ _id: id, lastActivityAt: null }, "lastActivityAt"), "lastActivityAt");
+  assert.equal(unset.value, null);
+});
+
+test("malformed cursors decode to null", () => {
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+  assert.equal(decodeCursor("not a cursor", "createdAt"), null);
+  assert.equal(decodeCursor(encode({ v: 1, id: "nope" }), "voterCount"), null);
+  assert.equal(decodeCursor(encode({ v: "soon", id }), "createdAt"), null);
+  assert.equal(decodeCursor(encode({ v: "many", id }), "voterCount"), null);
+});
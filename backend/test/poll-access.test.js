@@ -0,0 +1,122 @@
+// Checks poll visibility: unlisted and private polls stay out of the listing
+// and its stream, private polls need an access token from their invite code,
+// and regenerating or revoking the code cuts off the tokens handed out before.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+  openStream,
+} from "./helpers.js";
+
+let adminToken;
+
+async function createPoll(visibility) {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: `A ${visibility} poll?`, options: ["Yes", "No"], visibility },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+async function listedPollIds() {
+  const { data } = await request("GET", "/api/polls?limit=100");
+  return data.polls.map((poll) => poll._id);
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("unlisted polls open from their link but are not listed", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("unlisted");
+
+  assert.ok(!(await listedPollIds()).includes(poll._id));
+  assert.equal((await request("GET", `/api/polls/${poll._id}`)).status, 200);
+  assert.equal(poll.invite, null);
+});
+
+test("the list stream only announces deletions of listed polls", { skip: !TEST_MONGODB_URI }, async () => {
+  const stream = await openStream("/api/polls/stream");
+  try {
+    const hidden = [await createPoll("unlisted"), await createPoll("private")];
+    const listed = await createPoll("public");
+    for (const poll of [...hidden, listed]) {
+      const deleted = await request("DELETE", `/api/polls/${poll._id}`, { token: adminToken });
+      assert.equal(deleted.status, 200);
+    }
+
+    let next;
+    do {
+      next = await stream.nextEvent();
+    } while (next.event !== "poll-deleted");
+    assert.deepEqual(next.data, { _id: listed._id });
+  } finally {
+    stream.close();
+  }
+});
+
+test("private polls need the access token from their invite code", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("private");
+  assert.match(poll.invite.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+
+  assert.ok(!(await listedPollIds()).includes(poll._id));
+  assert.equal((await request("GET", `/api/polls/${poll._id}`)).status, 404);
+  const blockedVote = await request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken: randomDeviceToken(),
+    body: { optionIndex: 0 },
+  });
+  assert.equal(blockedVote.status, 404);
+
+  // Codes are accepted in any case and without the dash
+  const joined = await request("POST", "/api/polls/join", {
+    body: { code: poll.invite.code.replace("-", "").toLowerCase() },
+  });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.data.poll._id, poll._id);
+  assert.equal(joined.data.poll.invite, undefined);
+  const access = joined.data.accessToken;
+
+  assert.equal((await request("GET", `/api/polls/${poll._id}`, { access })).status, 200);
+  const vote = await request("POST", `/api/polls/${poll._id}/vote`, {
+    access,
+    deviceToken: randomDeviceToken(),
+    body: { optionIndex: 0 },
+  });
+  assert.equal(vote.status, 200);
+});
+
+test("regenerating or revoking the code cuts off earlier tokens", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("private");
+  const oldAccess = poll.invite.accessToken;
+
+  const regenerated = await request("POST", `/api/polls/${poll._id}/invite`, { token: adminToken });
+  assert.equal(regenerated.status, 200);
+  assert.notEqual(regenerated.data.invite.code, poll.invite.code);
+  assert.equal((await request("GET", `/api/polls/${poll._id}`, { access: oldAccess })).status, 403);
+  const newAccess = regenerated.data.invite.accessToken;
+  assert.equal((await request("GET", `/api/polls/${poll._id}`, { access: newAccess })).status, 200);
+
+  const revoked = await request("DELETE", `/api/polls/${poll._id}/invite`, { token: adminToken });
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.data.invite, null);
+  assert.equal((await request("GET", `/api/polls/${poll._id}`, { access: newAccess })).status, 403);
+  const rejoin = await request("POST", "/api/polls/join", {
+    body: { code: regenerated.data.invite.code },
+  });
+  assert.equal(rejoin.status, 404);
+
+  // Managers keep access without a token
+  assert.equal((await request("GET", `/api/polls/${poll._id}`, { token: adminToken })).status, 200);
+});
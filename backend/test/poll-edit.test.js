@@ -0,0 +1,193 @@
+// Checks editing a poll's options: edits that move or remove voted options
+// need confirming, and confirmed ones carry ballots, counts and the vote
+// timeline over to the new option order.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+} from "./helpers.js";
+
+let adminToken;
+
+async function createPoll(body) {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Which ones?", ...body },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+// Casts a ballot from a new device and resolves to its device token
+async function vote(poll, selection) {
+  const deviceToken = randomDeviceToken();
+  const { status } = await request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken,
+    body: selection,
+  });
+  assert.equal(status, 200);
+  return deviceToken;
+}
+
+// PUT /api/polls/:id keeping the options named by `texts`, in that order
+function editOptions(poll, texts, { confirm } = {}) {
+  const options = texts.map((text) => ({
+    _id: poll.options.find((opt) => opt.text === text)._id,
+    text,
+  }));
+  return request("PUT", `/api/polls/${poll._id}`, { token: adminToken, body: { options, confirm } });
+}
+
+async function myVote(poll, deviceToken) {
+  const { data } = await request("GET", `/api/polls/${poll._id}/my-vote`, { deviceToken });
+  return data.optionIndexes;
+}
+
+// The running totals of the poll's vote timeline, which is rebuilt from its
+// vote events
+async function timelineTotals(poll) {
+  const { data } = await request("GET", `/api/polls/${poll._id}/timeline?bucket=day`, {
+    token: adminToken,
+  });
+  const { voterCount, votes } = data.points[data.points.length - 1];
+  return { voterCount, votes };
+}
+
+function counts(poll) {
+  return { voterCount: poll.voterCount, votes: poll.options.map((opt) => opt.votes) };
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("rewording options needs no confirmation", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({ options: ["Tea", "Coffee"] });
+  await vote(poll, { optionIndex: 0 });
+
+  const { status, data } = await request("PUT", `/api/polls/${poll._id}`, {
+    token: adminToken,
+    body: {
+      options: [
+        { _id: poll.options[0]._id, text: "Green tea" },
+        { _id: poll.options[1]._id, text: "Coffee" },
+      ],
+    },
+  });
+  assert.equal(status, 200);
+  assert.equal(data.revision, 0);
+  assert.deepEqual(
+    data.options.map((opt) => [opt.text, opt.votes]),
+    [
+      ["Green tea", 1],
+      ["Coffee", 0],
+    ]
+  );
+});
+
+test("single-choice ballots follow their options", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({ options: ["A", "B", "C"] });
+  const forA = await vote(poll, { optionIndex: 0 });
+  const forB = await vote(poll, { optionIndex: 1 });
+  const forC = [await vote(poll, { optionIndex: 2 }), await vote(poll, { optionIndex: 2 })];
+
+  // Drop A and put C first
+  const unconfirmed = await editOptions(poll, ["C", "B"]);
+  assert.equal(unconfirmed.status, 409);
+  assert.equal(unconfirmed.data.requiresConfirmation, true);
+  assert.deepEqual(unconfirmed.data.removedOptions, [{ index: 0, text: "A" }]);
+  assert.deepEqual(unconfirmed.data.movedOptions, [{ from: 2, to: 0, text: "C" }]);
+  const unchanged = await request("GET", `/api/polls/${poll._id}`);
+  assert.deepEqual(
+    unchanged.data.options.map((opt) => opt.text),
+    ["A", "B", "C"]
+  );
+
+  const { status, data } = await editOptions(poll, ["C", "B"], { confirm: true });
+  assert.equal(status, 200);
+  assert.equal(data.revision, 1);
+  assert.deepEqual(counts(data), { voterCount: 3, votes: [2, 1] });
+  const [edit] = data.edits;
+  assert.deepEqual(edit.indexMap, [-1, 1, 0]);
+  assert.deepEqual(edit.removedOptions, [{ text: "A", votes: 1 }]);
+  assert.equal(edit.remappedBallots, 2);
+  assert.equal(edit.deletedBallots, 1);
+
+  assert.equal(await myVote(poll, forA), null);
+  assert.deepEqual(await myVote(poll, forB), [1]);
+  for (const deviceToken of forC) {
+    assert.deepEqual(await myVote(poll, deviceToken), [0]);
+  }
+  assert.deepEqual(await timelineTotals(poll), counts(data));
+
+  // The voter whose option was removed may vote again
+  const revote = await request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken: forA,
+    body: { optionIndex: 1 },
+  });
+  assert.equal(revote.status, 200);
+});
+
+test("multiple-choice ballots left with too few picks are deleted", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({
+    options: ["A", "B", "C", "D"],
+    type: "multiple",
+    minSelections: 2,
+    maxSelections: 3,
+  });
+  const aAndB = await vote(poll, { optionIndexes: [0, 1] });
+  const aCAndD = await vote(poll, { optionIndexes: [0, 2, 3] });
+  const bAndC = await vote(poll, { optionIndexes: [1, 2] });
+
+  const { status, data } = await editOptions(poll, ["B", "C", "D"], { confirm: true });
+  assert.equal(status, 200);
+  assert.equal(data.minSelections, 2);
+  // The ballot left with B alone is uncounted, and its voter may vote again
+  assert.deepEqual(counts(data), { voterCount: 2, votes: [1, 2, 1] });
+  assert.equal(data.edits[0].remappedBallots, 2);
+  assert.equal(data.edits[0].deletedBallots, 1);
+
+  assert.equal(await myVote(poll, aAndB), null);
+  assert.deepEqual(await myVote(poll, aCAndD), [1, 2]);
+  assert.deepEqual(await myVote(poll, bAndC), [0, 1]);
+  assert.deepEqual(await timelineTotals(poll), counts(data));
+});
+
+test("ranked ballots move to their next preference", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({
+    options: ["A", "B", "C"],
+    type: "ranked",
+    minSelections: 1,
+    maxSelections: 3,
+  });
+  const aThenB = await vote(poll, { ranking: [0, 1] });
+  const onlyA = await vote(poll, { ranking: [0] });
+  const cThenA = await vote(poll, { ranking: [2, 0] });
+
+  const { status, data } = await editOptions(poll, ["B", "C"], { confirm: true });
+  assert.equal(status, 200);
+  // A's first preference went to B; the ballot that only ranked A is gone
+  assert.deepEqual(counts(data), { voterCount: 2, votes: [1, 1] });
+  assert.equal(data.edits[0].remappedBallots, 2);
+  assert.equal(data.edits[0].deletedBallots, 1);
+
+  assert.deepEqual(await myVote(poll, aThenB), [0]);
+  assert.equal(await myVote(poll, onlyA), null);
+  assert.deepEqual(await myVote(poll, cThenA), [1]);
+  assert.deepEqual(await timelineTotals(poll), counts(data));
+
+  const results = await request("GET", `/api/polls/${poll._id}/results`);
+  assert.equal(results.status, 200);
+  assert.deepEqual(results.data.rounds[0].counts, [1, 1]);
+});
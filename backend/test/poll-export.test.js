@@ -0,0 +1,101 @@
+// Checks downloading a poll's results as CSV, JSON and XLSX: one option row
+// per option and one ballot row per ballot, with formula-like text defused.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { TEST_MONGODB_URI, startServer, stopServer, request, register } from "./helpers.js";
+
+let adminToken;
+let voterToken;
+let poll;
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+  voterToken = await register("exporter");
+
+  const created = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "=1+1, really?", options: ["Yes", "@No"], allowAnonymous: false },
+  });
+  assert.equal(created.status, 201);
+  poll = created.data;
+  const voted = await request("POST", `/api/polls/${poll._id}/vote`, {
+    token: voterToken,
+    body: { optionIndex: 1 },
+  });
+  assert.equal(voted.status, 200);
+});
+
+after(stopServer);
+
+test("CSV export", { skip: !TEST_MONGODB_URI }, async () => {
+  const { status, headers, data } = await request("GET", `/api/polls/${poll._id}/export?format=csv`, {
+    token: adminToken,
+  });
+  assert.equal(status, 200);
+  assert.match(headers.get("Content-Type"), /^text\/csv/);
+  assert.equal(headers.get("Content-Disposition"), `attachment; filename="poll-${poll._id}.csv"`);
+
+  const [header, ...rows] = data.trimEnd().split("\r\n");
+  assert.match(header, /^Poll ID,Question,Type,/);
+  assert.equal(rows.length, 3);
+  for (const row of rows) {
+    assert.ok(row.startsWith(`${poll._id},"'=1+1, really?",single,`), row);
+  }
+  assert.match(rows[0], /,option,Yes,0,0,,$/);
+  assert.match(rows[1], /,option,'@No,1,100,,$/);
+  assert.match(rows[2], /,ballot,'@No,,,[^,]+,exporter$/);
+});
+
+test("JSON export", { skip: !TEST_MONGODB_URI }, async () => {
+  const { status, headers, data } = await request("GET", `/api/polls/${poll._id}/export?format=json`, {
+    token: adminToken,
+  });
+  assert.equal(status, 200);
+  assert.equal(headers.get("Content-Disposition"), `attachment; filename="poll-${poll._id}.json"`);
+  // JSON is data, so nothing is prefixed
+  assert.equal(data.poll.question, "=1+1, really?");
+  assert.deepEqual(data.poll.options, [
+    { text: "Yes", votes: 0, percentage: 0 },
+    { text: "@No", votes: 1, percentage: 100 },
+  ]);
+  assert.equal(data.poll.ballots.length, 1);
+  assert.equal(data.poll.ballots[0].voter, "exporter");
+  assert.deepEqual(data.poll.ballots[0].choices, ["@No"]);
+
+  // Voters get the counts but not who voted for what
+  const asVoter = await request("GET", `/api/polls/${poll._id}/export?format=json`, {
+    token: voterToken,
+  });
+  assert.equal(asVoter.status, 200);
+  assert.equal(asVoter.data.poll.voterCount, 1);
+  assert.equal(asVoter.data.poll.ballots, undefined);
+});
+
+test("XLSX export", { skip: !TEST_MONGODB_URI }, async () => {
+  const { status, headers, data } = await request("GET", `/api/polls/${poll._id}/export?format=xlsx`, {
+    token: adminToken,
+  });
+  assert.equal(status, 200);
+  assert.equal(
+    headers.get("Content-Type"),
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  assert.equal(headers.get("Content-Disposition"), `attachment; filename="poll-${poll._id}.xlsx"`);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(data);
+  const sheet = workbook.getWorksheet("Results");
+  const rows = sheet.getSheetValues().slice(1).map((row) => row.slice(1));
+  assert.equal(rows.length, 4);
+  assert.deepEqual(rows[0].slice(0, 3), ["Poll ID", "Question", "Type"]);
+  // Cells hold plain strings, which spreadsheet apps don't evaluate
+  assert.equal(rows[1][1], "=1+1, really?");
+  assert.deepEqual(rows[2].slice(11, 15), ["option", "@No", 1, 100]);
+  assert.equal(rows[3][11], "ballot");
+  assert.equal(rows[3][16], "exporter");
+});
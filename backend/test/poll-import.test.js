@@ -0,0 +1,61 @@
+// Checks that imported rows get the same type checks as POST /api/polls and
+// that every created poll counts against the create_poll rate limit.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_MONGODB_URI, startServer, stopServer, request, register, upload } from "./helpers.js";
+
+const PER_USER = 4;
+
+let adminToken;
+
+function importJson(polls, { dryRun = false } = {}) {
+  return upload(`/api/polls/import${dryRun ? "?dryRun=true" : ""}`, {
+    filename: "polls.json",
+    contents: JSON.stringify(polls),
+    token: adminToken,
+  });
+}
+
+async function pollCount() {
+  const { data } = await request("GET", "/api/polls?limit=100", { token: adminToken });
+  return data.polls.length;
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMIT_CREATE_POLL: `${PER_USER}/100/60` });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("rows with wrongly typed fields are reported, not created", { skip: !TEST_MONGODB_URI }, async () => {
+  const rows = [
+    { question: "Lunch?", options: ["Yes", "No"] },
+    { question: "Dinner?", options: ["Yes", "No"], allowAnonymous: "maybe" },
+    { question: "Breakfast?", options: ["Yes", "No"], publishOnClose: "false" },
+  ];
+
+  const dryRun = await importJson(rows, { dryRun: true });
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual(
+    dryRun.data.rows.map((row) => row.status),
+    ["valid", "error", "error"]
+  );
+  assert.equal(dryRun.data.rows[1].message, "allowAnonymous must be true or false.");
+
+  const imported = await importJson(rows);
+  assert.equal(imported.status, 201);
+  assert.equal(imported.data.created, 1);
+  assert.equal(await pollCount(), 1);
+});
+
+test("imports use up the budget one poll at a time", { skip: !TEST_MONGODB_URI }, async () => {
+  // The first test used 2 of the budget (the dry run and the import)
+  const rows = Array.from({ length: PER_USER }, (_, i) => ({ question: `Poll ${i}?`, options: ["A", "B"] }));
+  const imported = await importJson(rows);
+  assert.equal(imported.status, 429);
+  assert.equal(await pollCount(), 1);
+});
@@ -0,0 +1,28 @@
+// Checks the in-memory rate-limit windows. Runs without MongoDB.
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRateLimitStore } from "../server.js";
+
+afterEach(() => mock.timers.reset());
+
+test("hits are counted per key until the window ends", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 1000 });
+  const store = createMemoryRateLimitStore();
+
+  assert.deepEqual(await store.increment("vote:ip:1", 60000), { count: 1, resetAt: 61000 });
+  mock.timers.tick(30000);
+  assert.deepEqual(await store.increment("vote:ip:1", 60000), { count: 2, resetAt: 61000 });
+  assert.deepEqual(await store.increment("vote:ip:2", 60000), { count: 1, resetAt: 91000 });
+
+  // A new window starts once the old one has ended
+  mock.timers.tick(30000);
+  assert.deepEqual(await store.increment("vote:ip:1", 60000), { count: 1, resetAt: 121000 });
+});
+
+test("several hits can be counted at once", async () => {
+  mock.timers.enable({ apis: ["Date"], now: 0 });
+  const store = createMemoryRateLimitStore();
+
+  await store.increment("create_poll:user:1", 60000);
+  assert.equal((await store.increment("create_poll:user:1", 60000, 25)).count, 26);
+});
@@ -0,0 +1,80 @@
+// Checks that write routes answer 429 with Retry-After once a budget is used
+// up, and that budgets are kept per user as well as per IP.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+} from "./helpers.js";
+
+const PER_USER = 2;
+const PER_IP = 4;
+
+let adminToken;
+
+async function createPoll() {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Favourite colour?", options: ["Red", "Green"], allowAnonymous: true },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMIT_VOTE: `${PER_USER}/${PER_IP}/60` });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("a user over their vote budget gets 429 with Retry-After", { skip: !TEST_MONGODB_URI }, async () => {
+  const polls = await Promise.all(Array.from({ length: PER_USER + 1 }, () => createPoll()));
+
+  const results = [];
+  for (const poll of polls) {
+    results.push(
+      await request("POST", `/api/polls/${poll._id}/vote`, {
+        token: adminToken,
+        body: { optionIndex: 0 },
+      })
+    );
+  }
+
+  assert.deepEqual(
+    results.map((r) => r.status),
+    [...Array(PER_USER).fill(200), 429]
+  );
+  const limited = results[PER_USER];
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+  assert.equal(limited.data.retryAfter, retryAfter);
+});
+
+test("anonymous votes share the IP budget", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll();
+
+  // The previous test already used PER_USER + 1 hits of this IP's budget
+  const remaining = PER_IP - (PER_USER + 1);
+  const results = [];
+  for (let i = 0; i < remaining + 1; i++) {
+    results.push(
+      await request("POST", `/api/polls/${poll._id}/vote`, {
+        deviceToken: randomDeviceToken(),
+        body: { optionIndex: 1 },
+      })
+    );
+  }
+
+  assert.deepEqual(
+    results.map((r) => r.status),
+    [...Array(remaining).fill(200), 429]
+  );
+});
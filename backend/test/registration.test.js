@@ -0,0 +1,29 @@
+// Checks that only one of several simultaneous first registrations becomes
+// the default workspace's admin.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_MONGODB_URI, startServer, stopServer, request, register } from "./helpers.js";
+
+const ACCOUNTS = 10;
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+});
+
+after(stopServer);
+
+test("simultaneous first registrations make one admin", { skip: !TEST_MONGODB_URI }, async () => {
+  const tokens = await Promise.all(
+    Array.from({ length: ACCOUNTS }, (_, i) => register(`first-${i}`))
+  );
+  tokens.push(await register("later"));
+
+  const users = await Promise.all(
+    tokens.map(async (token) => (await request("GET", "/api/auth/me", { token })).data.user)
+  );
+  assert.equal(users.filter((user) => user.role === "admin").length, 1);
+  assert.equal(users[ACCOUNTS].role, "voter");
+});
@@ -0,0 +1,57 @@
+// Checks that requests failing their schema get a 400 with
+// { code, message, details } and change nothing.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_MONGODB_URI, startServer, stopServer, request, register, randomDeviceToken } from "./helpers.js";
+
+let adminToken;
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("invalid votes list every problem", { skip: !TEST_MONGODB_URI }, async () => {
+  const created = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Which ones?", options: ["A", "B"], type: "multiple" },
+  });
+  assert.equal(created.status, 201);
+  const poll = created.data;
+
+  const { status, data } = await request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken: randomDeviceToken(),
+    body: { optionIndexes: [0, -1], attributes: "staff" },
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(data, {
+    code: "validation_failed",
+    message: "optionIndexes[1] must be at least 0.",
+    details: [
+      { field: "optionIndexes[1]", message: "optionIndexes[1] must be at least 0." },
+      { field: "attributes", message: "attributes must be an object." },
+    ],
+  });
+
+  const unchanged = await request("GET", `/api/polls/${poll._id}`);
+  assert.equal(unchanged.data.voterCount, 0);
+});
+
+test("params and query strings are checked too", { skip: !TEST_MONGODB_URI }, async () => {
+  const badId = await request("GET", "/api/polls/not-an-id");
+  assert.equal(badId.status, 400);
+  assert.deepEqual(badId.data.details, [{ field: "id", message: "id must be a valid id." }]);
+
+  const badQuery = await request("GET", "/api/polls?limit=0&published=maybe");
+  assert.equal(badQuery.status, 400);
+  assert.equal(badQuery.data.code, "validation_failed");
+  assert.deepEqual(
+    badQuery.data.details.map((detail) => detail.field),
+    ["limit", "published"]
+  );
+});
@@ -0,0 +1,119 @@
+// Checks that a poll's resultsVisibility is enforced by every route that
+// could give its counts away: voters get no counts until the policy allows
+// them, while the poll's managers always do.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+  openStream,
+} from "./helpers.js";
+
+let adminToken;
+
+async function createPoll(resultsVisibility) {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Lunch?", options: ["Yes", "No"], resultsVisibility },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+// Votes from a new device and resolves to its device token
+async function vote(poll) {
+  const deviceToken = randomDeviceToken();
+  const { status } = await request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken,
+    body: { optionIndex: 0 },
+  });
+  assert.equal(status, 200);
+  return deviceToken;
+}
+
+const hasCounts = (poll) => poll.options.every((opt) => typeof opt.votes === "number");
+
+// Whether each route shows the caller the poll's counts. Every route must
+// agree, so a single leak fails the test.
+async function assertCountsShown(poll, caller, shown) {
+  const single = await request("GET", `/api/polls/${poll._id}`, caller);
+  assert.equal(single.data.resultsHidden, !shown, "GET /api/polls/:id");
+  assert.equal(hasCounts(single.data), shown, "GET /api/polls/:id");
+  if (!shown) assert.equal(single.data.edits, undefined);
+
+  const list = await request("GET", "/api/polls?limit=100", caller);
+  const listed = list.data.polls.find((p) => p._id === poll._id);
+  assert.equal(hasCounts(listed), shown, "GET /api/polls");
+
+  const stream = await openStream(`/api/polls/${poll._id}/stream`, caller);
+  try {
+    const { event, data } = await stream.nextEvent();
+    assert.equal(event, "poll");
+    assert.equal(hasCounts(data), shown, "GET /api/polls/:id/stream");
+  } finally {
+    stream.close();
+  }
+
+  for (const path of ["results", "timeline", "export?format=json"]) {
+    const { status } = await request("GET", `/api/polls/${poll._id}/${path}`, caller);
+    assert.equal(status, shown ? 200 : 403, `GET /api/polls/:id/${path}`);
+  }
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("after_vote shows counts to voters who voted", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("after_vote");
+  const voter = await vote(poll);
+
+  await assertCountsShown(poll, { deviceToken: randomDeviceToken() }, false);
+  await assertCountsShown(poll, { deviceToken: voter }, true);
+  await assertCountsShown(poll, { token: adminToken }, true);
+});
+
+test("after_close hides counts until the poll closes", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("after_close");
+  const voter = await vote(poll);
+
+  await assertCountsShown(poll, { deviceToken: voter }, false);
+  await assertCountsShown(poll, { token: adminToken }, true);
+
+  const closed = await request("PATCH", `/api/polls/${poll._id}/close`, {
+    token: adminToken,
+    body: { closed: true },
+  });
+  assert.equal(closed.status, 200);
+  await assertCountsShown(poll, { deviceToken: voter }, true);
+});
+
+test("after_publish hides counts until they are published", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll("after_publish");
+  const voter = await vote(poll);
+  const closed = await request("PATCH", `/api/polls/${poll._id}/close`, {
+    token: adminToken,
+    body: { closed: true },
+  });
+  assert.equal(closed.status, 200);
+
+  await assertCountsShown(poll, { deviceToken: voter }, false);
+  await assertCountsShown(poll, { token: adminToken }, true);
+
+  const published = await request("PATCH", `/api/polls/${poll._id}/publish`, {
+    token: adminToken,
+    body: { published: true },
+  });
+  assert.equal(published.status, 200);
+  await assertCountsShown(poll, { deviceToken: voter }, true);
+});
@@ -0,0 +1,134 @@
+// Checks the result calculations that don't need the database: scale and NPS
+// statistics, the pooling of small attribute groups and instant-runoff
+// tabulation. Runs without MongoDB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeScale, poolSmallGroups, tabulateInstantRunoff } from "../server.js";
+
+const scalePoll = (type, scaleMin, votes) => ({
+  type,
+  scaleMin,
+  scaleMax: scaleMin + votes.length - 1,
+  options: votes.map((count) => ({ votes: count })),
+});
+
+test("scale summaries", () => {
+  const summary = summarizeScale(scalePoll("scale", 1, [1, 0, 2, 0, 1]));
+  assert.equal(summary.count, 4);
+  assert.equal(summary.mean, 3);
+  assert.equal(summary.median, 3);
+  assert.equal(summary.standardDeviation, 1.41);
+  assert.deepEqual(
+    summary.distribution.map((point) => point.value),
+    [1, 2, 3, 4, 5]
+  );
+
+  const empty = summarizeScale(scalePoll("scale", 1, [0, 0, 0]));
+  assert.deepEqual(
+    [empty.count, empty.mean, empty.median, empty.standardDeviation],
+    [0, null, null, null]
+  );
+});
+
+test("NPS summaries", () => {
+  // One detractor (3), one passive (7) and three promoters (9, 10, 10)
+  const summary = summarizeScale(scalePoll("nps", 0, [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 2]));
+  assert.deepEqual(summary.promoters, { count: 3, percentage: 60 });
+  assert.deepEqual(summary.passives, { count: 1, percentage: 20 });
+  assert.deepEqual(summary.detractors, { count: 1, percentage: 20 });
+  assert.equal(summary.nps, 40);
+  assert.equal(summary.median, 9);
+
+  assert.equal(summarizeScale(scalePoll("nps", 0, Array(11).fill(0))).nps, null);
+});
+
+const group = (value, voterCount) => ({ value, voterCount, votes: [voterCount, 0] });
+const freeText = { choices: [] };
+
+test("groups below the minimum size are pooled", () => {
+  const groups = poolSmallGroups([group("B", 3), group("A", 10), group("C", 2)], freeText, 2, 5);
+  assert.deepEqual(
+    groups.map((g) => [g.value, g.voterCount, g.other || false]),
+    [
+      ["A", 10, false],
+      [null, 5, true],
+    ]
+  );
+  assert.deepEqual(groups[1].votes, [5, 0]);
+});
+
+test("a pool that is still too small takes the next smallest group", () => {
+  const groups = poolSmallGroups([group("A", 10), group("B", 6), group("C", 2)], freeText, 2, 5);
+  assert.deepEqual(
+    groups.map((g) => [g.value, g.voterCount]),
+    [
+      ["A", 10],
+      [null, 8],
+    ]
+  );
+
+  // Nothing is shown when even everyone together is too few
+  assert.deepEqual(poolSmallGroups([group("A", 2), group("B", 2)], freeText, 2, 5), []);
+});
+
+test("fields with choices keep their choice order", () => {
+  const groups = poolSmallGroups([group("y", 7), group("x", 6)], { choices: ["x", "y"] }, 2, 5);
+  assert.deepEqual(
+    groups.map((g) => g.value),
+    ["x", "y"]
+  );
+});
+
+// Ballots as [ranking, how many]
+const rankings = (...groups) => groups.flatMap(([ranking, count]) => Array(count).fill(ranking));
+
+test("instant runoff: a first-round majority wins at once", () => {
+  const result = tabulateInstantRunoff(3, rankings([[0], 2], [[1], 1]));
+  assert.equal(result.winner, 0);
+  assert.deepEqual(result.rounds, [{ round: 1, counts: [2, 1, 0], exhausted: 0, eliminated: [] }]);
+});
+
+test("instant runoff: eliminated options pass their ballots on", () => {
+  const result = tabulateInstantRunoff(3, rankings([[0], 2], [[1], 2], [[2, 1], 1]));
+  assert.deepEqual(
+    result.rounds.map((round) => [round.counts, round.eliminated]),
+    [
+      [[2, 2, 1], [2]],
+      [[2, 3, null], []],
+    ]
+  );
+  assert.equal(result.winner, 1);
+});
+
+test("instant runoff: partial rankings exhaust and can end in a tie", () => {
+  const result = tabulateInstantRunoff(3, rankings([[0], 2], [[1], 2], [[2], 1]));
+  assert.deepEqual(result.rounds[1], { round: 2, counts: [2, 2, null], exhausted: 1, eliminated: [] });
+  assert.equal(result.winner, null);
+  assert.deepEqual(result.tied, [0, 1]);
+});
+
+test("instant runoff: ties for last place look back at earlier rounds", () => {
+  // B and C both have 3 votes in round 2; C had fewer in round 1
+  const result = tabulateInstantRunoff(4, rankings([[0], 4], [[1], 3], [[2], 2], [[3, 2], 1]));
+  assert.deepEqual(
+    result.rounds.map((round) => round.eliminated),
+    [[3], [2], []]
+  );
+  assert.deepEqual(result.rounds[2].counts, [4, 3, null, null]);
+  assert.equal(result.rounds[2].exhausted, 3);
+  assert.equal(result.winner, 0);
+});
+
+test("instant runoff: options still tied after looking back go out together", () => {
+  const result = tabulateInstantRunoff(4, rankings([[0], 2], [[3], 2], [[1], 1], [[2], 1]));
+  assert.deepEqual(result.rounds[0].eliminated, [1, 2]);
+  assert.equal(result.winner, null);
+  assert.deepEqual(result.tied, [0, 3]);
+});
+
+test("instant runoff: no ballots, no winner", () => {
+  const result = tabulateInstantRunoff(2, []);
+  assert.equal(result.winner, null);
+  assert.deepEqual(result.tied, []);
+  assert.equal(result.rounds.length, 1);
+});
@@ -0,0 +1,112 @@
+// Checks scheduled polls: votes are refused before opensAt and once the
+// scheduler has closed the poll at closesAt. The scheduler is run with a later
+// time instead of waiting for it.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+  model,
+} from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let adminToken;
+let runPollScheduler;
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+async function createPoll(schedule) {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Lunch?", options: ["Yes", "No"], ...schedule },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+function vote(poll) {
+  return request("POST", `/api/polls/${poll._id}/vote`, {
+    deviceToken: randomDeviceToken(),
+    body: { optionIndex: 0 },
+  });
+}
+
+async function fetchPoll(poll) {
+  const { data } = await request("GET", `/api/polls/${poll._id}`);
+  return data;
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  ({ runPollScheduler } = await import("../server.js"));
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("polls refuse votes until they open", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({ opensAt: hoursFromNow(1).toISOString() });
+  assert.equal(poll.status, "scheduled");
+
+  const early = await vote(poll);
+  assert.equal(early.status, 403);
+  assert.match(early.data.message, /not open yet/);
+
+  // Moving opensAt into the past stands in for waiting until then
+  await model("Poll").updateOne({ _id: poll._id }, { $set: { opensAt: hoursFromNow(-1) } });
+  assert.equal((await fetchPoll(poll)).status, "open");
+  assert.equal((await vote(poll)).status, 200);
+});
+
+test("the scheduler closes polls at closesAt", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll({ closesAt: hoursFromNow(1).toISOString(), publishOnClose: true });
+  const unscheduled = await createPoll({});
+  assert.equal((await vote(poll)).status, 200);
+
+  await runPollScheduler();
+  assert.equal((await fetchPoll(poll)).closed, false);
+
+  await runPollScheduler(hoursFromNow(2));
+  const closed = await fetchPoll(poll);
+  assert.equal(closed.closed, true);
+  assert.equal(closed.status, "closed");
+  assert.equal(closed.published, true);
+  assert.ok(closed.closedAt);
+  assert.equal((await fetchPoll(unscheduled)).closed, false);
+
+  const late = await vote(poll);
+  assert.equal(late.status, 403);
+  assert.match(late.data.message, /closed/);
+});
+
+test("the scheduler closes surveys with their questions", { skip: !TEST_MONGODB_URI }, async () => {
+  const created = await request("POST", "/api/surveys", {
+    token: adminToken,
+    body: {
+      title: "Team pulse",
+      closesAt: hoursFromNow(1).toISOString(),
+      questions: [{ question: "How was your week?", options: ["Good", "Bad"] }],
+    },
+  });
+  assert.equal(created.status, 201);
+  const survey = created.data;
+
+  await runPollScheduler(hoursFromNow(2));
+  const { data } = await request("GET", `/api/surveys/${survey._id}`);
+  assert.equal(data.closed, true);
+  assert.equal(data.questions[0].closed, true);
+
+  const late = await request("POST", `/api/surveys/${survey._id}/submit`, {
+    deviceToken: randomDeviceToken(),
+    body: { answers: [{ question: survey.questions[0]._id, optionIndex: 0 }] },
+  });
+  assert.equal(late.status, 403);
+});
@@ -0,0 +1,146 @@
+// Checks survey responses: drafts are saved and resumed without counting,
+// a submission counts every answer or none, and it can't be made twice.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+  model,
+} from "./helpers.js";
+
+let adminToken;
+
+async function createSurvey() {
+  const { status, data } = await request("POST", "/api/surveys", {
+    token: adminToken,
+    body: {
+      title: "Team pulse",
+      questions: [
+        { question: "How was your week?", options: ["Good", "OK", "Bad"] },
+        { question: "Pick two topics", options: ["A", "B", "C"], type: "multiple", maxSelections: 2 },
+      ],
+    },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+// Answers to both questions: the first option of the first, and `picks` of the second
+function answers(survey, picks = [0, 2]) {
+  const [first, second] = survey.questions;
+  return [
+    { question: first._id, optionIndex: 0 },
+    { question: second._id, optionIndexes: picks },
+  ];
+}
+
+function submit(survey, deviceToken, body) {
+  return request("POST", `/api/surveys/${survey._id}/submit`, { deviceToken, body });
+}
+
+async function surveyCounts(survey) {
+  const { data } = await request("GET", `/api/surveys/${survey._id}/results`, { token: adminToken });
+  return {
+    responseCount: data.responseCount,
+    inProgressCount: data.inProgressCount,
+    votes: data.questions.map((question) => question.options.map((opt) => opt.votes)),
+  };
+}
+
+const NO_VOTES = [
+  [0, 0, 0],
+  [0, 0, 0],
+];
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("drafts are saved and resumed without being counted", { skip: !TEST_MONGODB_URI }, async () => {
+  const survey = await createSurvey();
+  const deviceToken = randomDeviceToken();
+  const draft = [{ question: survey.questions[0]._id, optionIndexes: [1] }];
+
+  const saved = await request("PUT", `/api/surveys/${survey._id}/response`, {
+    deviceToken,
+    body: { answers: draft },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.data.submittedAt, null);
+
+  const resumed = await request("GET", `/api/surveys/${survey._id}/response`, { deviceToken });
+  assert.deepEqual(resumed.data, { answers: draft, submittedAt: null });
+  assert.deepEqual(await surveyCounts(survey), { responseCount: 0, inProgressCount: 1, votes: NO_VOTES });
+});
+
+test("a submission counts every answer once", { skip: !TEST_MONGODB_URI }, async () => {
+  const survey = await createSurvey();
+  const deviceToken = randomDeviceToken();
+
+  const submitted = await submit(survey, deviceToken, { answers: answers(survey) });
+  assert.equal(submitted.status, 201);
+  assert.ok(submitted.data.submittedAt);
+  const counted = {
+    responseCount: 1,
+    inProgressCount: 0,
+    votes: [
+      [1, 0, 0],
+      [1, 0, 1],
+    ],
+  };
+  assert.deepEqual(await surveyCounts(survey), counted);
+
+  const again = await submit(survey, deviceToken, { answers: answers(survey, [1]) });
+  assert.equal(again.status, 409);
+  const redraft = await request("PUT", `/api/surveys/${survey._id}/response`, {
+    deviceToken,
+    body: { answers: answers(survey, [1]) },
+  });
+  assert.equal(redraft.status, 409);
+  assert.deepEqual(await surveyCounts(survey), counted);
+});
+
+test("incomplete or invalid submissions count nothing", { skip: !TEST_MONGODB_URI }, async () => {
+  const survey = await createSurvey();
+  const deviceToken = randomDeviceToken();
+
+  const partial = await submit(survey, deviceToken, { answers: answers(survey).slice(0, 1) });
+  assert.equal(partial.status, 400);
+  assert.equal(partial.data.message, "Question 2 has not been answered.");
+  const tooMany = await submit(survey, deviceToken, { answers: answers(survey, [0, 1, 2]) });
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.data.message, /^Question 2: /);
+
+  assert.deepEqual(await surveyCounts(survey), { responseCount: 0, inProgressCount: 0, votes: NO_VOTES });
+});
+
+test("an answer that can't be counted rolls the others back", { skip: !TEST_MONGODB_URI }, async () => {
+  const survey = await createSurvey();
+  const deviceToken = randomDeviceToken();
+  // A ballot already on the second question makes its answer collide
+  await model("Ballot").create({
+    poll: survey.questions[1]._id,
+    voterKey: `device:${deviceToken}`,
+    optionIndexes: [0],
+  });
+
+  const submitted = await submit(survey, deviceToken, { answers: answers(survey) });
+  assert.equal(submitted.status, 409);
+  assert.match(submitted.data.message, /^Question 2: /);
+
+  // The first answer was counted and then uncounted; the answers stay as a draft
+  assert.deepEqual(await surveyCounts(survey), { responseCount: 0, inProgressCount: 1, votes: NO_VOTES });
+  const resumed = await request("GET", `/api/surveys/${survey._id}/response`, { deviceToken });
+  assert.equal(resumed.data.submittedAt, null);
+  assert.equal(resumed.data.answers.length, 2);
+});
@@ -0,0 +1,102 @@
+// Checks the vote timeline: vote events are grouped into minute, hour or day
+// buckets, and each point holds the running totals as of the end of its
+// bucket, with retracted votes taken off again.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  model,
+  randomDeviceToken,
+} from "./helpers.js";
+
+let adminToken;
+
+async function createPoll(options) {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Which one?", options },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+async function timeline(poll, bucket) {
+  const { status, data } = await request("GET", `/api/polls/${poll._id}/timeline?bucket=${bucket}`, {
+    token: adminToken,
+  });
+  assert.equal(status, 200);
+  assert.equal(data.bucket, bucket);
+  return data.points;
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("points hold running totals per bucket", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll(["A", "B", "C"]);
+  const event = (at, kind, optionIndexes) => ({ poll: poll._id, kind, optionIndexes, at: new Date(at) });
+  await model("VoteEvent").insertMany([
+    event("2025-03-01T09:05:00Z", "vote", [0]),
+    event("2025-03-01T09:40:00Z", "vote", [1]),
+    event("2025-03-01T09:55:00Z", "vote", [0]),
+    // A retracted vote
+    event("2025-03-01T10:10:00Z", "clear", [0]),
+    event("2025-03-01T12:30:00Z", "vote", [2]),
+    // A ranked ballot moved by an edit adds a vote but no voter
+    event("2025-03-01T12:50:00Z", "transfer", [1]),
+  ]);
+
+  // Buckets without events have no point
+  assert.deepEqual(await timeline(poll, "hour"), [
+    { time: "2025-03-01T09:00:00.000Z", voterCount: 3, votes: [2, 1, 0] },
+    { time: "2025-03-01T10:00:00.000Z", voterCount: 2, votes: [1, 1, 0] },
+    { time: "2025-03-01T12:00:00.000Z", voterCount: 3, votes: [1, 2, 1] },
+  ]);
+  assert.deepEqual(await timeline(poll, "day"), [
+    { time: "2025-03-01T00:00:00.000Z", voterCount: 3, votes: [1, 2, 1] },
+  ]);
+
+  const minutes = await timeline(poll, "minute");
+  assert.deepEqual(
+    minutes.map((point) => [point.time, point.voterCount]),
+    [
+      ["2025-03-01T09:05:00.000Z", 1],
+      ["2025-03-01T09:40:00.000Z", 2],
+      ["2025-03-01T09:55:00.000Z", 3],
+      ["2025-03-01T10:10:00.000Z", 2],
+      ["2025-03-01T12:30:00.000Z", 3],
+      ["2025-03-01T12:50:00.000Z", 3],
+    ]
+  );
+});
+
+test("votes and cleared votes are recorded", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll(["A", "B"]);
+  const deviceTokens = [randomDeviceToken(), randomDeviceToken()];
+  for (const [i, deviceToken] of deviceTokens.entries()) {
+    const voted = await request("POST", `/api/polls/${poll._id}/vote`, {
+      deviceToken,
+      body: { optionIndex: i },
+    });
+    assert.equal(voted.status, 200);
+  }
+  const cleared = await request("POST", `/api/polls/${poll._id}/clear-vote`, {
+    deviceToken: deviceTokens[1],
+  });
+  assert.equal(cleared.status, 200);
+
+  const points = await timeline(poll, "day");
+  const { voterCount, votes } = points[points.length - 1];
+  assert.deepEqual({ voterCount, votes }, { voterCount: 1, votes: [1, 0] });
+});
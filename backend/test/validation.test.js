@@ -0,0 +1,112 @@
+// Checks the field rules that validate() applies to params, query strings and
+// bodies. Runs without MongoDB.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkFields } from "../server.js";
+
+// The messages for `values` checked against `rules` as a JSON body
+const messages = (rules, values) => checkFields(rules, values, "", false).map((d) => d.message);
+
+test("values must have the declared type", () => {
+  const rules = {
+    name: { type: "string" },
+    count: { type: "integer" },
+    ratio: { type: "number" },
+    flag: { type: "boolean" },
+    id: { type: "objectId" },
+    at: { type: "date" },
+    list: { type: "array" },
+    extra: { type: "object" },
+  };
+  assert.deepEqual(
+    messages(rules, {
+      name: "Ann",
+      count: 3,
+      ratio: 0.5,
+      flag: false,
+      id: "665f1c2e8b3c4a0012345678",
+      at: "2025-06-01T09:00:00Z",
+      list: [],
+      extra: {},
+    }),
+    []
+  );
+  assert.deepEqual(
+    messages(rules, {
+      name: 1,
+      count: 1.5,
+      ratio: "0.5",
+      flag: "true",
+      id: "665f",
+      at: "soon",
+      list: {},
+      extra: [],
+    }),
+    [
+      "name must be a string.",
+      "count must be an integer.",
+      "ratio must be a number.",
+      "flag must be true or false.",
+      "id must be a valid id.",
+      "at must be a valid date.",
+      "list must be an array.",
+      "extra must be an object.",
+    ]
+  );
+});
+
+test("required fields must be present", () => {
+  const rules = { name: { type: "string", required: true }, note: { type: "string" } };
+  assert.deepEqual(checkFields(rules, {}, "", false), [{ field: "name", message: "name is required." }]);
+  assert.deepEqual(messages(rules, { name: null }), ["name is required."]);
+  // An empty string is a value in a body but missing in a query string
+  assert.deepEqual(messages(rules, { name: "" }), []);
+  assert.deepEqual(
+    checkFields(rules, { name: "" }, "", true).map((d) => d.message),
+    ["name is required."]
+  );
+});
+
+test("enums list the allowed values", () => {
+  const rules = { sort: { type: "string", enum: ["newest", "oldest"] } };
+  assert.deepEqual(messages(rules, { sort: "oldest" }), []);
+  assert.deepEqual(messages(rules, { sort: "random" }), ["sort must be one of: newest, oldest."]);
+});
+
+test("bounds apply to numbers and to the length of strings and arrays", () => {
+  const rules = {
+    limit: { type: "integer", min: 1, max: 100 },
+    label: { type: "string", max: 3 },
+    picks: { type: "array", min: 2 },
+  };
+  assert.deepEqual(messages(rules, { limit: 100, label: "abc", picks: [0, 1] }), []);
+  assert.deepEqual(messages(rules, { limit: 0, label: "abcd", picks: [0] }), [
+    "limit must be at least 1.",
+    "label must be at most 3 characters.",
+    "picks must be at least 2 items.",
+  ]);
+  assert.deepEqual(messages(rules, { limit: 101 }), ["limit must be at most 100."]);
+});
+
+test("query strings are converted before they are checked", () => {
+  const rules = { limit: { type: "integer", min: 1 }, published: { type: "boolean" } };
+  assert.deepEqual(checkFields(rules, { limit: "20", published: "true" }, "", true), []);
+  assert.deepEqual(
+    checkFields(rules, { limit: "0", published: "yes" }, "", true).map((d) => d.message),
+    ["limit must be at least 1.", "published must be true or false."]
+  );
+  // Bodies are not converted
+  assert.deepEqual(messages(rules, { limit: "20" }), ["limit must be an integer."]);
+});
+
+test("array items and object fields are named by their path", () => {
+  const rules = {
+    options: { type: "array", items: { type: "string", max: 5 } },
+    settings: { type: "object", fields: { size: { type: "integer", required: true } } },
+  };
+  assert.deepEqual(checkFields(rules, { options: ["Tea", 2, "Lemonade"], settings: {} }, "", false), [
+    { field: "options[1]", message: "options[1] must be a string." },
+    { field: "options[2]", message: "options[2] must be at most 5 characters." },
+    { field: "settings.size", message: "settings.size is required." },
+  ]);
+});
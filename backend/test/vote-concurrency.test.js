@@ -0,0 +1,104 @@
+// Fires many simultaneous requests at the vote and clear-vote routes and
+// checks that every vote is counted exactly once.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_MONGODB_URI,
+  startServer,
+  stopServer,
+  request,
+  register,
+  randomDeviceToken,
+} from "./helpers.js";
+
+const VOTERS = 300;
+const OPTIONS = ["Red", "Green", "Blue"];
+
+let adminToken;
+
+async function createPoll() {
+  const { status, data } = await request("POST", "/api/polls", {
+    token: adminToken,
+    body: { question: "Favourite colour?", options: OPTIONS, allowAnonymous: true },
+  });
+  assert.equal(status, 201);
+  return data;
+}
+
+const deviceTokens = Array.from({ length: VOTERS }, randomDeviceToken);
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  // Every request comes from 127.0.0.1, which would soon hit the per-IP budget
+  await startServer({ RATE_LIMITS: "off" });
+  adminToken = await register("admin");
+});
+
+after(stopServer);
+
+test("simultaneous votes from different voters are all counted", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll();
+
+  const results = await Promise.all(
+    deviceTokens.map((deviceToken, i) =>
+      request("POST", `/api/polls/${poll._id}/vote`, {
+        deviceToken,
+        body: { optionIndex: i % OPTIONS.length },
+      })
+    )
+  );
+  assert.ok(results.every((r) => r.status === 200));
+
+  const { data } = await request("GET", `/api/polls/${poll._id}`);
+  assert.deepEqual(
+    data.options.map((opt) => opt.votes),
+    OPTIONS.map(() => VOTERS / OPTIONS.length)
+  );
+});
+
+test("simultaneous duplicate votes from one voter count once", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll();
+  const deviceToken = deviceTokens[0];
+
+  const results = await Promise.all(
+    Array.from({ length: VOTERS }, () =>
+      request("POST", `/api/polls/${poll._id}/vote`, { deviceToken, body: { optionIndex: 0 } })
+    )
+  );
+  assert.equal(results.filter((r) => r.status === 200).length, 1);
+  assert.equal(results.filter((r) => r.status === 409).length, VOTERS - 1);
+
+  const { data } = await request("GET", `/api/polls/${poll._id}`);
+  assert.equal(data.options[0].votes, 1);
+});
+
+test("simultaneous clear-votes never go negative", { skip: !TEST_MONGODB_URI }, async () => {
+  const poll = await createPoll();
+  const voters = deviceTokens.slice(0, 90);
+
+  await Promise.all(
+    voters.map((deviceToken, i) =>
+      request("POST", `/api/polls/${poll._id}/vote`, {
+        deviceToken,
+        body: { optionIndex: i % OPTIONS.length },
+      })
+    )
+  );
+
+  // Every voter clears twice at once; only the first clear per voter counts
+  const results = await Promise.all(
+    [...voters, ...voters].map((deviceToken) =>
+      request("POST", `/api/polls/${poll._id}/clear-vote`, { deviceToken })
+    )
+  );
+  assert.equal(results.filter((r) => r.status === 200).length, voters.length);
+  assert.equal(results.filter((r) => r.status === 404).length, voters.length);
+
+  const { data } = await request("GET", `/api/polls/${poll._id}`);
+  assert.deepEqual(
+    data.options.map((opt) => opt.votes),
+    OPTIONS.map(() => 0)
+  );
+});
@@ -0,0 +1,166 @@
+// Checks that workspaces keep their polls apart: polls are only listed, opened
+// and managed inside their own workspace, only by its members (or with a
+// private poll's invite), and roles are per workspace.
+//
+// Needs a MongoDB server (see helpers.js).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_MONGODB_URI, startServer, stopServer, request, register, randomDeviceToken } from "./helpers.js";
+
+let adminToken;
+let bobToken;
+let teamWorkspace;
+let teamPoll;
+
+async function listedPollIds(token, workspace) {
+  const { data } = await request("GET", "/api/polls?limit=100", { token, workspace });
+  return data.polls.map((poll) => poll._id);
+}
+
+before(async () => {
+  if (!TEST_MONGODB_URI) return;
+  await startServer({ RATE_LIMITS: "off" });
+
+  // The first account administers the default workspace; bob is a voter there
+  adminToken = await register("admin");
+  bobToken = await register("bob");
+
+  const created = await request("POST", "/api/workspaces", {
+    token: bobToken,
+    body: { name: "Team B" },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.role, "admin");
+  teamWorkspace = created.data._id;
+
+  const poll = await request("POST", "/api/polls", {
+    token: bobToken,
+    workspace: teamWorkspace,
+    body: { question: "Team lunch?", options: ["Yes", "No"] },
+  });
+  assert.equal(poll.status, 201);
+  teamPoll = poll.data;
+});
+
+after(stopServer);
+
+test("polls stay inside their workspace", { skip: !TEST_MONGODB_URI }, async () => {
+  assert.ok((await listedPollIds(bobToken, teamWorkspace)).includes(teamPoll._id));
+  assert.ok(!(await listedPollIds(adminToken)).includes(teamPoll._id));
+  assert.ok(!(await listedPollIds(null)).includes(teamPoll._id));
+
+  // Looked up from the default workspace, the poll does not exist
+  assert.equal((await request("GET", `/api/polls/${teamPoll._id}`, { token: adminToken })).status, 404);
+  const deleted = await request("DELETE", `/api/polls/${teamPoll._id}`, { token: adminToken });
+  assert.equal(deleted.status, 404);
+});
+
+test("non-members can't list or manage a workspace's polls", { skip: !TEST_MONGODB_URI }, async () => {
+  const list = await request("GET", "/api/polls", { token: adminToken, workspace: teamWorkspace });
+  assert.equal(list.status, 403);
+
+  // The admin of the default workspace has no role in Team B
+  const publish = await request("PATCH", `/api/polls/${teamPoll._id}/publish`, {
+    token: adminToken,
+    workspace: teamWorkspace,
+    body: { published: true },
+  });
+  assert.equal(publish.status, 403);
+  const members = await request("GET", "/api/users", { token: adminToken, workspace: teamWorkspace });
+  assert.equal(members.status, 403);
+
+});
+
+test("non-members can't open, vote on or stream a workspace's polls", { skip: !TEST_MONGODB_URI }, async () => {
+  for (const token of [adminToken, null]) {
+    for (const path of ["", "/results", "/timeline", "/stream"]) {
+      const opened = await request("GET", `/api/polls/${teamPoll._id}${path}`, { token, workspace: teamWorkspace });
+      assert.equal(opened.status, 403, `GET ${path || "poll"}`);
+    }
+    const voted = await request("POST", `/api/polls/${teamPoll._id}/vote`, {
+      token,
+      deviceToken: randomDeviceToken(),
+      workspace: teamWorkspace,
+      body: { optionIndex: 0 },
+    });
+    assert.equal(voted.status, 403);
+    const attributes = await request("GET", "/api/attributes", { token, workspace: teamWorkspace });
+    assert.equal(attributes.status, 403);
+  }
+});
+
+test("only members get a workspace's QR codes, and shared caches don't keep them", { skip: !TEST_MONGODB_URI }, async () => {
+  const path = `/api/polls/${teamPoll._id}/qr?format=svg`;
+  assert.equal((await request("GET", path, { workspace: teamWorkspace })).status, 403);
+
+  const qr = await request("GET", path, { token: bobToken, workspace: teamWorkspace });
+  assert.equal(qr.status, 200);
+  assert.match(qr.data, /<svg/);
+  assert.equal(qr.headers.get("Cache-Control"), "private, max-age=86400");
+});
+
+test("a private poll's invite opens it for non-members", { skip: !TEST_MONGODB_URI }, async () => {
+  const created = await request("POST", "/api/polls", {
+    token: bobToken,
+    workspace: teamWorkspace,
+    body: { question: "Invite only?", options: ["Yes", "No"], visibility: "private" },
+  });
+  assert.equal(created.status, 201);
+
+  const joined = await request("POST", "/api/polls/join", {
+    token: adminToken,
+    body: { code: created.data.invite.code },
+  });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.data.workspace, teamWorkspace);
+
+  const opened = await request("GET", `/api/polls/${created.data._id}`, {
+    token: adminToken,
+    workspace: teamWorkspace,
+    access: joined.data.accessToken,
+  });
+  assert.equal(opened.status, 200);
+  // The invite is for that poll only
+  const other = await request("GET", `/api/polls/${teamPoll._id}`, {
+    token: adminToken,
+    workspace: teamWorkspace,
+    access: joined.data.accessToken,
+  });
+  assert.equal(other.status, 403);
+});
+
+test("roles are held per workspace", { skip: !TEST_MONGODB_URI }, async () => {
+  const added = await request("POST", "/api/users", {
+    token: bobToken,
+    workspace: teamWorkspace,
+    body: { username: "admin" },
+  });
+  assert.equal(added.status, 201);
+  assert.equal(added.data.role, "voter");
+
+  assert.ok((await listedPollIds(adminToken, teamWorkspace)).includes(teamPoll._id));
+  const deleted = await request("DELETE", `/api/polls/${teamPoll._id}`, {
+    token: adminToken,
+    workspace: teamWorkspace,
+  });
+  assert.equal(deleted.status, 403);
+
+  const me = await request("GET", "/api/auth/me", { token: adminToken, workspace: teamWorkspace });
+  assert.equal(me.data.user.role, "voter");
+  const workspaces = await request("GET", "/api/workspaces", { token: adminToken });
+  assert.deepEqual(
+    workspaces.data.map(({ name, role }) => [name, role]),
+    [
+      ["CrowdVoice", "admin"],
+      ["Team B", "voter"],
+    ]
+  );
+
+  // Bob is Team B's only admin
+  const demoted = await request("PATCH", `/api/users/${teamPoll.createdBy}/role`, {
+    token: bobToken,
+    workspace: teamWorkspace,
+    body: { role: "voter" },
+  });
+  assert.equal(demoted.status, 400);
+});